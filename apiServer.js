@@ -0,0 +1,468 @@
+import * as http from 'http';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { createMessage } from './transcript.js';
+import { backendError, ERROR_CODES, isCancelled } from './backends/errors.js';
+import { GENERATION_PARAMETERS, parseParameterValue } from './generationParameters.js';
+
+// HTTP API for editors and scripts (qa serve): OpenAI-compatible chat completions,
+// streamed as server-sent events on request, and endpoints for stored sessions.
+// Everything is answered by the one loaded model, so generations are queued and
+// run one at a time.
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// HTTP status for failures reported by the backends
+const STATUS_FOR_CODE = {
+  [ERROR_CODES.TIMEOUT]: 504,
+  [ERROR_CODES.PROCESS_EXITED]: 503,
+  [ERROR_CODES.UNREACHABLE]: 502,
+  [ERROR_CODES.HTTP]: 502,
+  [ERROR_CODES.BAD_RESPONSE]: 502
+};
+
+function httpError(message, status, type = 'invalid_request_error') {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  return error;
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError('Request body too large', 413);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw httpError('Request body is not valid JSON', 400);
+  }
+}
+
+// Message content may be a string or a list of { type: 'text', text } parts
+function messageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter((part) => part?.type === 'text').map((part) => part.text).join('\n');
+  }
+  throw httpError('Message content must be a string or a list of text parts', 400);
+}
+
+// Sampling parameters given in the request, under their OpenAI/llama-server names
+function parseOverrides(body) {
+  const overrides = {};
+  for (const [key, { field }] of Object.entries(GENERATION_PARAMETERS)) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    try {
+      // A single stop sequence may be passed as a plain string
+      overrides[key] = parseParameterValue(key, [JSON.stringify(key === 'stop' && typeof value === 'string' ? [value] : value)]);
+    } catch (error) {
+      throw httpError(`Invalid ${field}: ${error.message}`, 400);
+    }
+  }
+  return overrides;
+}
+
+function sameTurns(a, b) {
+  return a.length === b.length && a.every((message, index) => message.role === b[index].role && message.content === b[index].content);
+}
+
+// Runs tasks one at a time in arrival order
+class RequestQueue {
+  constructor(limit) {
+    this.limit = limit;
+    this.waiting = [];
+    this.running = false;
+  }
+
+  // Resolves with the task's result. A full queue rejects at once, and a request
+  // whose signal aborts while it waits is dropped from the queue.
+  run(task, signal) {
+    if (this.waiting.length >= this.limit) {
+      return Promise.reject(httpError(`Too many queued requests (${this.limit}); try again later`, 503, 'queue_full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { task, resolve, reject, signal };
+      job.onAbort = () => {
+        const index = this.waiting.indexOf(job);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          reject(backendError('Request cancelled', ERROR_CODES.CANCELLED));
+        }
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+      this.waiting.push(job);
+      this.next();
+    });
+  }
+
+  async next() {
+    if (this.running || this.waiting.length === 0) {
+      return;
+    }
+    const job = this.waiting.shift();
+    job.signal?.removeEventListener('abort', job.onAbort);
+    this.running = true;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      this.running = false;
+      this.next();
+    }
+  }
+}
+
+class ApiServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.client = options.client;
+    this.sessionStore = options.sessionStore;
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.sessionMetadata = options.sessionMetadata || (() => ({}));
+    this.messageParams = options.messageParams || (() => undefined);
+    // Checks text before the model sees it for secrets; resolves with the text to send
+    this.screen = options.screen || ((text) => text);
+    this.whenReady = options.whenReady || (() => Promise.resolve());
+    this.getHealth = options.getHealth || (() => null);
+    // Used for requests that bring no system message, and for sessions
+    this.systemPrompt = this.client.systemPrompt;
+    this.queue = new RequestQueue(options.maxQueue ?? 16);
+    // The conversation the model currently holds, so a caller continuing it is
+    // not replayed (with the spawn backend, replaying restarts the process)
+    this.loaded = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Resolves with the address once the server accepts connections
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  async handle(req, res) {
+    const started = Date.now();
+    res.on('finish', () => {
+      this.emit('request', { method: req.method, path: req.url, status: res.statusCode, ms: Date.now() - started });
+    });
+
+    try {
+      if (this.apiKey && req.headers.authorization !== `Bearer ${this.apiKey}`) {
+        throw httpError('Invalid or missing API key', 401, 'invalid_api_key');
+      }
+      await this.route(req, res);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  async route(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const session = pathname.match(/^\/v1\/sessions\/([^/]+)(\/messages)?$/);
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return this.sendJson(res, 200, this.healthInfo());
+    }
+    if (req.method === 'GET' && pathname === '/v1/models') {
+      return this.sendJson(res, 200, { object: 'list', data: [{ id: this.model, object: 'model', owned_by: 'qaterm' }] });
+    }
+    if (req.method === 'POST' && pathname === '/v1/chat/completions') {
+      return this.chatCompletion(req, res);
+    }
+    if (pathname === '/v1/sessions' && req.method === 'GET') {
+      return this.sendJson(res, 200, { object: 'list', data: this.sessionStore.list() });
+    }
+    if (pathname === '/v1/sessions' && req.method === 'POST') {
+      return this.createSession(req, res);
+    }
+    if (session) {
+      const name = decodeURIComponent(session[1]);
+      if (session[2] && req.method === 'POST') {
+        return this.sessionMessage(req, res, name);
+      }
+      if (!session[2] && req.method === 'GET') {
+        return this.sendJson(res, 200, { ...this.findSession(name), messages: this.sessionStore.load(name) });
+      }
+      if (!session[2] && req.method === 'DELETE') {
+        this.findSession(name);
+        this.sessionStore.remove(name);
+        return this.sendJson(res, 200, { name, deleted: true });
+      }
+    }
+    throw httpError(`No route for ${req.method} ${pathname}`, 404, 'not_found');
+  }
+
+  healthInfo() {
+    return {
+      status: this.client.isConnected ? 'ok' : 'unavailable',
+      model: this.model,
+      queue: { running: this.queue.running, waiting: this.queue.waiting.length },
+      supervisor: this.getHealth()
+    };
+  }
+
+  // POST /v1/chat/completions: the caller sends the whole conversation each time
+  async chatCompletion(req, res) {
+    const body = await readJson(req);
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      throw httpError('"messages" must be a non-empty array', 400);
+    }
+
+    const messages = [];
+    for (const message of body.messages) {
+      if (!['system', 'user', 'assistant'].includes(message?.role)) {
+        throw httpError(`Unsupported message role "${message?.role}"`, 400);
+      }
+      messages.push({ role: message.role, content: messageText(message.content) });
+    }
+    const system = messages.filter((message) => message.role === 'system').map((message) => message.content).join('\n\n');
+    const turns = messages.filter((message) => message.role !== 'system');
+    const last = turns[turns.length - 1];
+    if (!last || last.role !== 'user') {
+      throw httpError('The last message must be from the user', 400);
+    }
+
+    const conversation = { key: 'chat', systemPrompt: system || this.systemPrompt, history: turns.slice(0, -1) };
+    const overrides = parseOverrides(body);
+    const id = `chatcmpl-${randomUUID()}`;
+    const events = body.stream ? this.eventStream(res, id) : null;
+
+    // Only the new message is screened here; earlier turns are screened when they are replayed
+    const content = await this.screen(last.content);
+    const { reply, usage } = await this.enqueue(res, (signal) => (
+      this.generate(conversation, content, { original: last.content, overrides, signal, onToken: events?.token })
+    ));
+
+    if (events) {
+      events.finish(reply, usage);
+      return;
+    }
+    this.sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: this.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+      usage
+    });
+  }
+
+  // POST /v1/sessions { name }
+  async createSession(req, res) {
+    const body = await readJson(req);
+    if (typeof body.name !== 'string') {
+      throw httpError('"name" must be a string', 400);
+    }
+    if (this.sessionStore.exists(body.name)) {
+      throw httpError(`Session "${body.name}" already exists`, 409, 'conflict');
+    }
+
+    let meta;
+    try {
+      meta = this.sessionStore.create(body.name, { ...this.sessionMetadata(), tokens: 0, summary: null });
+    } catch (error) {
+      throw httpError(error.message, 400);
+    }
+    this.sendJson(res, 201, meta);
+  }
+
+  // POST /v1/sessions/<name>/messages { content, stream }: continue a stored session
+  // and save both turns to it, as the REPL does
+  async sessionMessage(req, res, name) {
+    this.findSession(name);
+    const body = await readJson(req);
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+      throw httpError('"content" must be a non-empty string', 400);
+    }
+    const content = await this.screen(body.content);
+
+    const overrides = parseOverrides(body);
+    const id = `chatcmpl-${randomUUID()}`;
+    const events = body.stream ? this.eventStream(res, id) : null;
+
+    const result = await this.enqueue(res, async (signal) => {
+      // Read the transcript only now, so turns added by requests ahead in the queue are included
+      const meta = this.findSession(name);
+      const history = this.sessionStore.load(name);
+      const conversation = { key: `session:${name}`, systemPrompt: this.systemPrompt, history, summary: meta.summary || null };
+      const { reply, usage } = await this.generate(conversation, content, { overrides, signal, onToken: events?.token });
+
+      const message = createMessage('assistant', reply, { tokens: usage.completion_tokens, params: { ...this.messageParams(), ...this.client.appliedParameters(overrides) } });
+      history.push(createMessage('user', content, { tokens: this.client.lastUsage.promptTokens }), message);
+      this.sessionStore.save(name, history, this.sessionMetadata());
+      return { reply, usage, message };
+    });
+
+    if (events) {
+      events.finish(result.reply, result.usage);
+      return;
+    }
+    this.sendJson(res, 200, { session: name, message: result.message, usage: result.usage });
+  }
+
+  findSession(name) {
+    if (!this.sessionStore.exists(name)) {
+      throw httpError(`No session named "${name}"`, 404, 'not_found');
+    }
+    return this.sessionStore.get(name);
+  }
+
+  // Run a generation in turn; it is cancelled if the caller disconnects
+  enqueue(res, task) {
+    const abort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abort.abort();
+      }
+    });
+
+    return this.queue.run(async () => {
+      // A crashed model may be restarting
+      await this.whenReady().catch(() => {});
+      if (!this.client.isConnected) {
+        throw httpError('The model is not running', 503, 'server_error');
+      }
+      return task(abort.signal);
+    }, abort.signal);
+  }
+
+  // Load a conversation into the model unless it already holds it, then send the message
+  // original is the message as the caller wrote it, before screening: it is what
+  // the caller resends as history, so it is what the next request is compared with
+  async generate(conversation, message, { original = message, overrides = {}, signal, onToken } = {}) {
+    if (signal?.aborted) {
+      throw backendError('Request cancelled', ERROR_CODES.CANCELLED);
+    }
+    await this.loadConversation(conversation);
+
+    const onAbort = () => this.client.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      // The request's sampling parameters apply to this call only
+      const reply = await this.client.sendMessage(message, { stream: Boolean(onToken), onToken, session: conversation.key, parameters: overrides });
+      this.loaded.messages.push({ role: 'user', content: original }, { role: 'assistant', content: reply });
+
+      const completionTokens = this.client.lastUsage.completionTokens;
+      const promptTokens = this.client.usedTokens() - completionTokens;
+      return {
+        reply,
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+      };
+    } catch (error) {
+      // The model may have seen part of this exchange, so replay next time
+      this.loaded = null;
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async loadConversation({ key, systemPrompt, history, summary = null }) {
+    const loaded = this.loaded;
+    if (loaded && loaded.key === key && loaded.systemPrompt === systemPrompt && sameTurns(loaded.messages, history)) {
+      return;
+    }
+
+    // Replayed turns reach the model again, so what the caller wrote is screened
+    this.loaded = null;
+    this.client.setSystemPrompt(await this.screen(systemPrompt));
+    const turns = [];
+    for (const turn of history) {
+      turns.push(turn.role === 'user' ? { ...turn, content: await this.screen(turn.content) } : turn);
+    }
+    await this.client.switchConversation(turns, { summary });
+    this.loaded = { key, systemPrompt, messages: history.map(({ role, content }) => ({ role, content })) };
+  }
+
+  // Server-sent events in the OpenAI chat.completion.chunk format. Headers go out
+  // with the first token, so errors before that still get a proper status code.
+  eventStream(res, id) {
+    const created = Math.floor(Date.now() / 1000);
+    let started = false;
+    let streamed = false;
+
+    const send = (delta, finishReason = null, extra = {}) => {
+      if (!started) {
+        started = true;
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        send({ role: 'assistant' });
+      }
+      const chunk = { id, object: 'chat.completion.chunk', created, model: this.model, choices: [{ index: 0, delta, finish_reason: finishReason }], ...extra };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+
+    return {
+      token: (text) => {
+        streamed = true;
+        send({ content: text });
+      },
+      finish: (reply, usage) => {
+        // Nothing was streamed (e.g. the whole reply arrived at once), so send it now
+        if (!streamed) {
+          send({ content: reply });
+        }
+        send({}, 'stop', { usage });
+        res.end('data: [DONE]\n\n');
+      }
+    };
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendError(res, error) {
+    // The caller is gone; there is nobody to tell
+    if (res.destroyed || (isCancelled(error) && res.writableEnded)) {
+      return;
+    }
+
+    const status = error.status || STATUS_FOR_CODE[error.code] || 500;
+    const body = {
+      error: {
+        message: error.message,
+        type: error.type || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+        code: error.code || null
+      }
+    };
+    if (res.headersSent) {
+      res.end(`data: ${JSON.stringify(body)}\n\n`);
+      return;
+    }
+    this.sendJson(res, status, body);
+  }
+}
+
+export default ApiServer;
@@ -0,0 +1,137 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { redactSecrets } from './redaction.js';
+import { PRIVATE_FILE_MODE } from './transcript.js';
+
+// Audit log of model calls: one JSON object per line with the time, session,
+// model, sampling parameters, token counts, latency, time to first token,
+// generation speed and outcome. Prompt and reply text is only kept with
+// audit.logContent, and secrets in it (and in error messages) are redacted.
+
+export const DEFAULTS = {
+  enabled: false,
+  file: '~/.qaterm/audit.jsonl',
+  logContent: false
+};
+
+function round(value, digits = 1) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Completion tokens per second of generation, not counting the wait for the
+// first token when it is known (prompt processing)
+export function tokensPerSecond({ completionTokens, latencyMs, timeToFirstTokenMs }) {
+  const generationMs = timeToFirstTokenMs === null ? latencyMs : latencyMs - timeToFirstTokenMs;
+  return completionTokens > 0 && generationMs > 0 ? round((completionTokens * 1000) / generationMs) : null;
+}
+
+class AuditLog {
+  // redact masks secrets in logged text; by default only the known formats are found
+  constructor(file, { logContent = false, redact = redactSecrets } = {}) {
+    this.file = file;
+    this.logContent = logContent;
+    this.redact = redact;
+  }
+
+  // Append one model call, as reported by PhindClient's 'request' event plus
+  // session, model, backend and params
+  record(call) {
+    const entry = {
+      timestamp: call.startedAt,
+      session: call.session ?? null,
+      model: call.model,
+      backend: call.backend,
+      kind: call.kind,
+      params: call.params,
+      promptTokens: call.promptTokens,
+      completionTokens: call.completionTokens,
+      latencyMs: call.latencyMs,
+      timeToFirstTokenMs: call.timeToFirstTokenMs,
+      tokensPerSecond: tokensPerSecond(call),
+      status: call.status
+    };
+    if (call.error) {
+      entry.error = { code: call.error.code || null, message: this.redact(call.error.message) };
+    }
+    if (this.logContent) {
+      entry.prompt = this.redact(call.prompt);
+      entry.completion = call.completion === null ? null : this.redact(call.completion);
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`, { mode: PRIVATE_FILE_MODE });
+    return entry;
+  }
+
+  // Logged calls, oldest first, optionally only those since a date. Lines that
+  // do not parse (a write cut short) are skipped.
+  read({ since = null } = {}) {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    const entries = [];
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!since || new Date(entry.timestamp) >= since) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+}
+
+function average(values) {
+  const known = values.filter((value) => typeof value === 'number');
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+function percentile(values, fraction) {
+  const sorted = values.filter((value) => typeof value === 'number').sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * fraction) - 1)] : null;
+}
+
+// How to group entries for summarizeUsage
+export const GROUPINGS = {
+  day: (entry) => entry.timestamp.slice(0, 10),
+  model: (entry) => entry.model || '(unknown)',
+  session: (entry) => entry.session || '(none)',
+  backend: (entry) => entry.backend || '(unknown)'
+};
+
+// One row of totals and averages per group, in the order the groups first appear
+export function summarizeUsage(entries, groupBy = 'day') {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = GROUPINGS[groupBy](entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  return [...groups].map(([key, group]) => {
+    const succeeded = group.filter((entry) => entry.status === 'ok');
+    return {
+      key,
+      requests: group.length,
+      errors: group.filter((entry) => entry.status === 'error').length,
+      cancelled: group.filter((entry) => entry.status === 'cancelled').length,
+      promptTokens: group.reduce((sum, entry) => sum + (entry.promptTokens || 0), 0),
+      completionTokens: group.reduce((sum, entry) => sum + (entry.completionTokens || 0), 0),
+      averageLatencyMs: round(average(succeeded.map((entry) => entry.latencyMs)), 0),
+      p95LatencyMs: percentile(succeeded.map((entry) => entry.latencyMs), 0.95),
+      averageTimeToFirstTokenMs: round(average(succeeded.map((entry) => entry.timeToFirstTokenMs)), 0),
+      averageTokensPerSecond: round(average(succeeded.map((entry) => entry.tokensPerSecond)))
+    };
+  });
+}
+
+export default AuditLog;
@@ -0,0 +1,20 @@
+// Error codes shared by all backends so callers can tell failures apart
+export const ERROR_CODES = {
+  HTTP: 'BACKEND_HTTP_ERROR',
+  TIMEOUT: 'BACKEND_TIMEOUT',
+  UNREACHABLE: 'BACKEND_UNREACHABLE',
+  BAD_RESPONSE: 'BACKEND_BAD_RESPONSE',
+  PROCESS_EXITED: 'BACKEND_PROCESS_EXITED',
+  CANCELLED: 'CANCELLED'
+};
+
+export function backendError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+export function isCancelled(error) {
+  return error?.code === ERROR_CODES.CANCELLED;
+}
@@ -0,0 +1,313 @@
+import { EventEmitter } from 'events';
+import { backendError, ERROR_CODES } from './errors.js';
+import { GENERATION_PARAMETERS, pickParameters } from '../generationParameters.js';
+
+// Backend for llama-server or any OpenAI-compatible /v1/chat/completions endpoint.
+// Requests are stateless, so the full conversation is sent with every call.
+class HttpBackend extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = config;
+    this.baseUrl = (config.serverUrl || 'http://127.0.0.1:8080').replace(/\/+$/, '');
+    this.connected = false;
+    // Set once the server turns out to have no /tokenize endpoint
+    this.tokenizerUnavailable = false;
+    // Set once the server turns out to have no embeddings endpoint
+    this.embeddingsUnavailable = false;
+    // Replies arrive as structured JSON and need no stdout scraping
+    this.needsCleaning = false;
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  // Build an error that keeps the HTTP status and the server's own message
+  async httpError(response) {
+    let detail = response.statusText;
+    try {
+      const body = await response.json();
+      detail = body.error?.message || body.error || detail;
+    } catch {
+      // Body was not JSON, keep the status text
+    }
+    return backendError(`Server returned ${response.status}: ${detail}`, ERROR_CODES.HTTP, {
+      status: response.status
+    });
+  }
+
+  // Abort signal that fires on timeout or when the caller's own signal aborts.
+  // extend() restarts the timeout, so it can measure time without progress.
+  createDeadline(timeout, signal) {
+    const controller = new AbortController();
+    const expire = () => controller.abort(backendError('Response timeout', ERROR_CODES.TIMEOUT));
+    let timeoutId = setTimeout(expire, timeout);
+    const onAbort = () => controller.abort(backendError('Generation cancelled', ERROR_CODES.CANCELLED));
+
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      extend: () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(expire, timeout);
+      },
+      done: () => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  async request(pathname, { method = 'GET', body, signal } = {}) {
+    try {
+      return await fetch(`${this.baseUrl}${pathname}`, {
+        method,
+        headers: this.headers(),
+        body: body ? JSON.stringify(body) : undefined,
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw backendError(`Cannot reach ${this.baseUrl}: ${error.cause?.code || error.message}`, ERROR_CODES.UNREACHABLE);
+    }
+  }
+
+  // Wait until the server reports healthy (llama-server answers 503 while the model loads)
+  async connect() {
+    const deadline = Date.now() + (this.config.connectTimeout || 120000);
+    let lastError = null;
+
+    while (Date.now() < deadline) {
+      const probe = this.createDeadline(5000);
+      try {
+        let response = await this.request('/health', { signal: probe.signal });
+        if (response.status === 404) {
+          // Generic OpenAI-compatible servers have no /health endpoint
+          response = await this.request('/v1/models', { signal: probe.signal });
+        }
+        if (response.ok) {
+          this.connected = true;
+          this.emit('ready');
+          return;
+        }
+        lastError = await this.httpError(response);
+      } catch (error) {
+        lastError = error;
+      } finally {
+        probe.done();
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`Phind connection timeout${lastError ? ` (${lastError.message})` : ''}`);
+  }
+
+  // Request fields for the sampling parameters set in the config, read on every call
+  // so changes made with \set apply to the next request, and those given for this call
+  samplingFields(parameters = {}) {
+    const fields = {};
+    for (const [key, value] of Object.entries(pickParameters({ ...this.config, ...parameters }))) {
+      fields[GENERATION_PARAMETERS[key].field] = value;
+    }
+    return fields;
+  }
+
+  // Every parameter is sent with the request
+  unsupportedParameters() {
+    return [];
+  }
+
+  // Parameters given for one call are sent with it
+  requestParameters(parameters = {}) {
+    return { ...parameters };
+  }
+
+  // Send the whole conversation; streams deltas to options.onToken when given.
+  // options.parameters override the configured sampling parameters for this call.
+  async complete(request, options = {}) {
+    if (!this.connected) {
+      throw new Error('HTTP backend not connected');
+    }
+
+    const messages = [];
+    if (request.systemPrompt) {
+      messages.push({ role: 'system', content: request.systemPrompt });
+    }
+    for (const message of request.messages) {
+      messages.push({ role: message.role, content: message.content });
+    }
+
+    const stream = typeof options.onToken === 'function';
+    const deadline = this.createDeadline(options.timeout || 120000, options.signal);
+
+    try {
+      const response = await this.request('/v1/chat/completions', {
+        method: 'POST',
+        signal: deadline.signal,
+        body: {
+          model: this.config.model || 'default',
+          messages,
+          ...this.samplingFields(options.parameters),
+          stream
+        }
+      });
+
+      if (!response.ok) {
+        throw await this.httpError(response);
+      }
+
+      if (stream) {
+        // A streamed reply only times out when the server stops sending
+        return await this.readStream(response, options.onToken, deadline.extend);
+      }
+
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      if (!choice || typeof choice.message?.content !== 'string') {
+        throw backendError('Server returned no completion', ERROR_CODES.BAD_RESPONSE);
+      }
+
+      return choice.message.content;
+    } catch (error) {
+      throw deadline.signal.aborted ? deadline.signal.reason : error;
+    } finally {
+      deadline.done();
+    }
+  }
+
+  // Exact token count from llama-server's /tokenize endpoint, or null when the
+  // server has none (plain OpenAI-compatible servers) or the call fails
+  async countTokens(text) {
+    if (!this.connected || this.tokenizerUnavailable) {
+      return null;
+    }
+
+    const deadline = this.createDeadline(10000);
+    try {
+      const response = await this.request('/tokenize', {
+        method: 'POST',
+        signal: deadline.signal,
+        body: { content: text }
+      });
+      if (response.status === 404 || response.status === 405) {
+        this.tokenizerUnavailable = true;
+        return null;
+      }
+      if (!response.ok) {
+        return null;
+      }
+      const data = await response.json();
+      return Array.isArray(data.tokens) ? data.tokens.length : null;
+    } catch {
+      return null;
+    } finally {
+      deadline.done();
+    }
+  }
+
+  // One embedding vector per text from /v1/embeddings, or null when the server
+  // has none (llama-server only serves them when started with --embeddings)
+  async embed(texts) {
+    if (!this.connected || this.embeddingsUnavailable) {
+      return null;
+    }
+
+    const deadline = this.createDeadline(120000);
+    try {
+      const response = await this.request('/v1/embeddings', {
+        method: 'POST',
+        signal: deadline.signal,
+        body: { input: texts, model: this.config.model || 'default' }
+      });
+      if ([404, 405, 501].includes(response.status)) {
+        this.embeddingsUnavailable = true;
+        return null;
+      }
+      if (!response.ok) {
+        throw await this.httpError(response);
+      }
+      const data = await response.json();
+      if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+        throw backendError('Unexpected response from /v1/embeddings', ERROR_CODES.BAD_RESPONSE);
+      }
+      return [...data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+    } finally {
+      deadline.done();
+    }
+  }
+
+  // Parse a server-sent events body into content deltas
+  async readStream(response, onToken, onProgress = () => {}) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    for await (const chunk of response.body) {
+      onProgress();
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          return content;
+        }
+
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch {
+          throw backendError('Server sent malformed stream data', ERROR_CODES.BAD_RESPONSE);
+        }
+        if (event.error) {
+          throw backendError(`Server error: ${event.error.message || event.error}`, ERROR_CODES.HTTP);
+        }
+
+        const token = event.choices?.[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    }
+
+    return content;
+  }
+
+  // Nothing to reset: the conversation is resent on every request
+  reset() {}
+
+  forgetConversation() {}
+
+  holdsConversation() {
+    return false;
+  }
+
+  async restart() {}
+
+  async disconnect() {
+    this.connected = false;
+  }
+}
+
+export default HttpBackend;
@@ -0,0 +1,19 @@
+import SpawnBackend from './spawnBackend.js';
+import HttpBackend from './httpBackend.js';
+
+// Available backends, selected with config.phind.backend
+const BACKENDS = {
+  spawn: SpawnBackend,
+  http: HttpBackend
+};
+
+export function createBackend(config = {}) {
+  const name = config.backend || 'spawn';
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Backend(config);
+}
+
+export { SpawnBackend, HttpBackend };
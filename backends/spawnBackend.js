@@ -0,0 +1,409 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import * as path from 'path';
+import { backendError, ERROR_CODES } from './errors.js';
+import { getTemplate } from '../promptTemplates.js';
+import { GENERATION_PARAMETERS, pickParameters } from '../generationParameters.js';
+
+// The prompt llama-simple-chat prints when it waits for input: "> " (or a "User:" or
+// "Assistant:" label) on a line of its own at the end of the output, possibly coloured.
+// The same text inside a reply ("=>", "Vec<String>", a quote) is followed by more output.
+const INPUT_PROMPT = /(?:^|\n)(?:\x1b\[[\d;]*m)*(?:>|User:|Assistant:) ?(?:\x1b\[[\d;]*m)*\s*$/;
+
+// How long the output has to stay quiet after a possible input prompt before the
+// reply counts as finished; tokens arrive much faster than this while generating
+const PROMPT_QUIET_MS = 200;
+
+// llama-simple-chat only understands -m, -c and -ngl and exits on any other flag
+const BINARIES_WITHOUT_SAMPLING_FLAGS = ['llama-simple-chat'];
+
+// Where the first of the markers starts in the output, or -1
+function markerIndex(output, markers) {
+  const positions = markers.map((marker) => output.indexOf(marker)).filter((index) => index !== -1);
+  return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+// How much of the output is reply text so far: not a possible input prompt at the
+// end, nor the start of a marker that the next chunk may complete
+function replyLength(output, markers) {
+  const prompt = output.match(INPUT_PROMPT);
+  let length = prompt ? prompt.index : output.length;
+  const text = output.slice(0, length);
+  for (const marker of markers) {
+    for (let size = Math.min(marker.length - 1, text.length); size > 0; size--) {
+      if (text.endsWith(marker.slice(0, size))) {
+        length = Math.min(length, text.length - size);
+        break;
+      }
+    }
+  }
+  return length;
+}
+
+// Calls onPrompt once the output fed to it ends in the input prompt and nothing
+// more arrives for PROMPT_QUIET_MS. Output is checked as a whole, because the
+// prompt, or a ">" in the reply, can arrive split across chunks.
+function promptWatcher(onPrompt) {
+  let output = '';
+  let timer = null;
+  return {
+    feed(text) {
+      output += text;
+      clearTimeout(timer);
+      if (INPUT_PROMPT.test(output)) {
+        timer = setTimeout(onPrompt, PROMPT_QUIET_MS);
+      }
+    },
+    stop() {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// Backend that drives an interactive llama.cpp binary (llama-simple-chat) over stdin/stdout.
+// The child process keeps its own conversation state, so only new turns are written to it.
+class SpawnBackend extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = config;
+    this.template = getTemplate(config.template);
+    this.process = null;
+    this.hasSentSystemPrompt = false;
+    this.hasConversation = false;
+    this.draining = null;
+    this.stopDraining = null;
+    this.restartPending = false;
+    // Raw stdout includes prompts and banners, so replies must go through cleanResponse
+    this.needsCleaning = true;
+  }
+
+  get name() {
+    return 'spawn';
+  }
+
+  supportsSamplingFlags() {
+    return !BINARIES_WITHOUT_SAMPLING_FLAGS.includes(path.basename(this.config.llamaPath));
+  }
+
+  // Command-line flags for the sampling parameters set in the config
+  samplingArgs() {
+    if (!this.supportsSamplingFlags()) {
+      return [];
+    }
+    const args = [];
+    for (const [key, value] of Object.entries(pickParameters(this.config))) {
+      const { flag } = GENERATION_PARAMETERS[key];
+      for (const item of Array.isArray(value) ? value : [value]) {
+        args.push(flag, item.toString());
+      }
+    }
+    return args;
+  }
+
+  // Configured parameters the binary cannot be told about. Stop sequences are
+  // still honoured, because replies are cut at them here.
+  unsupportedParameters() {
+    if (this.supportsSamplingFlags()) {
+      return [];
+    }
+    return Object.keys(pickParameters(this.config)).filter((key) => key !== 'stop');
+  }
+
+  // Of the parameters given for one call only stop applies (see complete)
+  requestParameters(parameters = {}) {
+    return parameters.stop === undefined ? {} : { stop: parameters.stop };
+  }
+
+  // Sampling flags are fixed when the process starts, so pick up new values by
+  // restarting before the next request (the conversation is replayed)
+  parametersChanged() {
+    if (this.supportsSamplingFlags()) {
+      this.restartPending = true;
+    }
+  }
+
+  // Text that ends a reply wherever it appears: the template's end markers and
+  // the stop sequences given for this call or configured. The model prints its
+  // input prompt after them.
+  endMarkers(parameters = {}) {
+    return [...this.template.stop, ...(parameters.stop || this.config.stop || [])];
+  }
+
+  async connect() {
+    // The new process starts with the current sampling flags and no turns
+    this.restartPending = false;
+    this.hasConversation = false;
+
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-m', this.config.modelPath,
+        '-ngl', this.config.gpuLayers.toString(),
+        '-c', this.config.contextSize.toString(),
+        ...this.samplingArgs()
+      ];
+
+      this.process = spawn(this.config.llamaPath, args, {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      // Writes after the process has died fail with EPIPE; 'close' reports the exit instead
+      this.process.stdin.on('error', () => {});
+
+      let buffer = '';
+      let isReady = false;
+
+      this.process.stdout.on('data', (data) => {
+        const chunk = data.toString();
+        buffer += chunk;
+
+        // Check for various ready indicators
+        if (!isReady && (
+          buffer.includes('llama_simple_chat') ||
+          buffer.includes('>') ||
+          buffer.includes('User:') ||
+          buffer.includes('Assistant:') ||
+          buffer.includes('main:') ||
+          buffer.includes('ggml') ||
+          buffer.includes('model loaded') ||
+          buffer.includes('ready') ||
+          buffer.includes('prompt:') ||
+          buffer.includes('system:')
+        )) {
+          isReady = true;
+          clearTimeout(connectTimeoutId);
+          this.emit('ready');
+          resolve();
+        }
+      });
+
+      this.process.stderr.on('data', (data) => {
+        const chunk = data.toString();
+        // Only log stderr if it's not just dots (loading indicators)
+        if (!chunk.match(/^\.+$/)) {
+          console.error('STDERR:', chunk);
+        }
+      });
+
+      this.process.on('error', (error) => {
+        console.error('Process error:', error);
+        clearTimeout(connectTimeoutId);
+        reject(error);
+      });
+
+      this.process.on('close', (code) => {
+        this.process = null;
+        if (!isReady) {
+          clearTimeout(connectTimeoutId);
+          reject(new Error(`Model process exited with code ${code} before it was ready`));
+        }
+        this.emit('disconnected', code);
+      });
+
+      // Timeout after 120 seconds (model loading can take time); a process that
+      // never got ready is not left running
+      const connectTimeoutId = setTimeout(() => {
+        if (!isReady) {
+          this.disconnect();
+          reject(new Error('Phind connection timeout'));
+        }
+      }, this.config.connectTimeout || 120000);
+    });
+  }
+
+  // Send the newest user turn and resolve with the raw (uncleaned) output.
+  // Chunks are passed to options.onToken as they arrive; options.signal cancels.
+  // Of options.parameters only stop applies: the running process keeps the
+  // sampling flags it was started with.
+  async complete(request, options = {}) {
+    if (!this.process) {
+      throw backendError('Phind process is not running', ERROR_CODES.PROCESS_EXITED);
+    }
+
+    // Let a cancelled reply finish so its tail does not leak into this one
+    if (this.draining) {
+      await this.draining;
+    }
+
+    if (this.restartPending) {
+      await this.restart();
+    }
+
+    const lastMessage = request.messages[request.messages.length - 1];
+    const { onToken, signal } = options;
+    if (signal?.aborted) {
+      throw backendError('Generation cancelled', ERROR_CODES.CANCELLED);
+    }
+
+    return new Promise((resolve, reject) => {
+      let responseBuffer = '';
+      let streamed = 0;
+      let isComplete = false;
+      const markers = this.endMarkers(options.parameters);
+      // How long the model may stay silent; the deadline moves with every chunk,
+      // so a long reply that keeps streaming is not cut off
+      const timeout = options.timeout || 120000;
+      let timeoutId = null;
+
+      // Pass the reply text up to end on to onToken, once
+      const stream = (end) => {
+        if (onToken && end > streamed) {
+          onToken(responseBuffer.slice(streamed, end));
+          streamed = end;
+        }
+      };
+
+      const finish = () => {
+        isComplete = true;
+        clearTimeout(timeoutId);
+        watcher.stop();
+        signal?.removeEventListener('abort', onAbort);
+        this.removeListener('disconnected', onExit);
+        this.process?.stdout.removeListener('data', dataHandler);
+      };
+
+      const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+          if (!isComplete) {
+            finish();
+            reject(backendError('Response timeout', ERROR_CODES.TIMEOUT));
+          }
+        }, timeout);
+      };
+      resetTimeout();
+
+      const onAbort = () => {
+        if (isComplete) {
+          return;
+        }
+        finish();
+        this.drain(responseBuffer);
+        reject(backendError('Generation cancelled', ERROR_CODES.CANCELLED));
+      };
+
+      // Fail at once when the process dies instead of waiting for the timeout
+      const onExit = (code) => {
+        if (isComplete) {
+          return;
+        }
+        finish();
+        reject(backendError(`Model process exited with code ${code} during the reply`, ERROR_CODES.PROCESS_EXITED, { exitCode: code }));
+      };
+
+      // The reply is over when the model is back at its input prompt
+      const watcher = promptWatcher(() => {
+        finish();
+        stream(replyLength(responseBuffer, []));
+        resolve(responseBuffer);
+      });
+
+      const dataHandler = (data) => {
+        responseBuffer += data.toString();
+        resetTimeout();
+
+        // Cut at an end marker or stop sequence. The model still prints its input
+        // prompt after it (and, without the -r flag, keeps generating past a stop
+        // sequence), so that is read and discarded before the next request.
+        const end = markerIndex(responseBuffer, markers);
+        if (end !== -1) {
+          finish();
+          stream(end);
+          this.drain(responseBuffer.slice(end));
+          resolve(responseBuffer.slice(0, end));
+          return;
+        }
+
+        watcher.feed(data.toString());
+        stream(replyLength(responseBuffer, markers));
+      };
+
+      this.process.stdout.on('data', dataHandler);
+      this.once('disconnected', onExit);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.hasConversation = true;
+
+      // Send the system prompt, plus any restored turns, ahead of the first message
+      if (!this.hasSentSystemPrompt && request.systemPrompt) {
+        const history = request.messages.slice(0, -1);
+        this.process.stdin.write(this.template.format(request.systemPrompt, history) + '\n');
+        this.hasSentSystemPrompt = true;
+      }
+
+      this.process.stdin.write(lastMessage.content + '\n');
+    });
+  }
+
+  // llama-simple-chat has no tokenizer endpoint; callers fall back to an estimate
+  async countTokens() {
+    return null;
+  }
+
+  // Nor can it compute embeddings
+  async embed() {
+    return null;
+  }
+
+  // Discard output until the model is back at its input prompt: the rest of a
+  // cancelled reply, or what follows an end marker. output is what already arrived.
+  drain(output = '') {
+    if (!this.process || this.draining) {
+      return;
+    }
+    const stdout = this.process.stdout;
+    this.draining = new Promise((resolve) => {
+      const done = () => {
+        watcher.stop();
+        stdout.removeListener('data', drainHandler);
+        this.removeListener('disconnected', done);
+        this.draining = null;
+        this.stopDraining = null;
+        resolve();
+      };
+      const watcher = promptWatcher(done);
+      this.stopDraining = done;
+      const drainHandler = (data) => watcher.feed(data.toString());
+      stdout.on('data', drainHandler);
+      this.once('disconnected', done);
+      watcher.feed(output);
+    });
+  }
+
+  // Forget conversation state so the system prompt is sent again
+  reset() {
+    this.hasSentSystemPrompt = false;
+  }
+
+  // Whether the running process has been sent the current conversation
+  holdsConversation() {
+    return this.hasConversation && !this.restartPending;
+  }
+
+  // Forget the conversation itself: a process that has seen any turns is replaced
+  // before the next request, which then sends the system prompt and context again
+  forgetConversation() {
+    this.restartPending ||= this.hasConversation;
+    this.hasSentSystemPrompt = false;
+  }
+
+  // Start a new process so no earlier turns are remembered
+  async restart() {
+    await this.disconnect();
+    this.hasSentSystemPrompt = false;
+    await this.connect();
+  }
+
+  async disconnect() {
+    if (this.process) {
+      // A deliberate shutdown is not reported as 'disconnected'
+      this.process.removeAllListeners('close');
+      this.process.stdin.write('\x03'); // Send Ctrl+C
+      this.process.kill();
+      this.process = null;
+    }
+    // Nothing is left to drain once the process is gone
+    this.stopDraining?.();
+  }
+}
+
+export default SpawnBackend;
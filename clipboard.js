@@ -0,0 +1,36 @@
+import { spawnSync } from 'child_process';
+
+// Copy text to the system clipboard. Uses the first clipboard tool that is
+// installed; without one (e.g. over SSH) the terminal is asked to do it with an
+// OSC 52 escape sequence, which most modern terminals support.
+
+const CLIPBOARD_COMMANDS = [
+  ['pbcopy', []],
+  ['wl-copy', []],
+  ['xclip', ['-selection', 'clipboard']],
+  ['xsel', ['--clipboard', '--input']],
+  ['clip.exe', []]
+];
+
+// Returns how the text was copied: the tool's name, or "terminal"
+export function copyToClipboard(text) {
+  for (const [command, args] of CLIPBOARD_COMMANDS) {
+    // wl-copy, xclip and xsel need a running display server
+    if (command === 'wl-copy' && !process.env.WAYLAND_DISPLAY) {
+      continue;
+    }
+    if (command.startsWith('x') && !process.env.DISPLAY) {
+      continue;
+    }
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+    if (!result.error && result.status === 0) {
+      return command;
+    }
+  }
+
+  if (!process.stdout.isTTY) {
+    throw new Error('No clipboard tool found (install xclip, xsel or wl-copy)');
+  }
+  process.stdout.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+  return 'terminal';
+}
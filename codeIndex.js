@@ -0,0 +1,350 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import { languageForFile } from './fileOperations.js';
+import { loadIgnoreRules, walkFiles } from './ignoreRules.js';
+import { writeFileAtomic } from './transcript.js';
+
+// Search index over the project's source files. Files are split into chunks of
+// about chunkLines lines and ranked with BM25; when the backend can compute
+// embeddings, vector similarity is combined with the BM25 ranking. The index is
+// kept in .qaterm/cache/index.json and rebuilt incrementally: chunks of files
+// that have not changed (and their embeddings) are reused.
+//
+// Events: 'progress' ({ phase, done, total }) while building, phase being
+// 'reading' or 'embedding'.
+
+const INDEX_VERSION = 1;
+
+export const DEFAULTS = {
+  enabled: true,
+  topK: 5,
+  maxTokens: 2000,
+  chunkLines: 40,
+  embeddings: true
+};
+
+// Larger files are usually generated or data, not code worth searching
+const MAX_FILE_BYTES = 256 * 1024;
+
+// Lockfiles and minified code only add noise to the results
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock)$|\.min\.(js|css)$/;
+
+const EMBEDDING_BATCH_SIZE = 16;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Rank offset for reciprocal rank fusion of the BM25 and embedding rankings
+const RRF_K = 60;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'not', 'but', 'you',
+  'how', 'what', 'why', 'does', 'can', 'use', 'should', 'would', 'could', 'into', 'its', 'our'
+]);
+
+export function indexPath(root) {
+  return path.join(root, '.qaterm', 'cache', 'index.json');
+}
+
+// Search terms in text: lowercased words, with identifiers also split into
+// their parts (parseConfigFile -> parseconfigfile, parse, config, file)
+export function tokenize(text) {
+  const terms = [];
+  for (const word of text.match(/[A-Za-z_][A-Za-z0-9_]*|\d+/g) || []) {
+    const lower = word.toLowerCase();
+    if (lower.length > 1 && !STOP_WORDS.has(lower)) {
+      terms.push(lower);
+    }
+    const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    if (parts.length > 1) {
+      for (const part of parts) {
+        const lowerPart = part.toLowerCase();
+        if (lowerPart.length > 1 && !STOP_WORDS.has(lowerPart)) {
+          terms.push(lowerPart);
+        }
+      }
+    }
+  }
+  return terms;
+}
+
+// Split a file into chunks of at most chunkLines lines, preferring to end a
+// chunk at a blank line so functions are less often cut in half
+export function chunkFile(content, chunkLines) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  const chunks = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = Math.min(start + chunkLines, lines.length);
+    if (end < lines.length) {
+      for (let line = end - 1; line > start + chunkLines / 2; line--) {
+        if (!lines[line].trim()) {
+          end = line + 1;
+          break;
+        }
+      }
+    }
+    const text = lines.slice(start, end).join('\n');
+    if (text.trim()) {
+      chunks.push({ startLine: start + 1, endLine: end, text });
+    }
+    start = end;
+  }
+  return chunks;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class CodeIndex extends EventEmitter {
+  constructor(root, options = {}) {
+    super();
+    this.root = root;
+    this.options = { ...DEFAULTS, ...options };
+    this.path = indexPath(root);
+    this.files = {};
+    this.chunks = [];
+    this.builtAt = null;
+    this.hasEmbeddings = false;
+    this.prepare();
+  }
+
+  // Load the saved index; false when there is none or it was built by another version
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return false;
+    }
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    if (data.version !== INDEX_VERSION) {
+      return false;
+    }
+    this.files = data.files;
+    this.chunks = data.chunks;
+    this.builtAt = data.builtAt;
+    this.hasEmbeddings = data.hasEmbeddings;
+    this.prepare();
+    return true;
+  }
+
+  save() {
+    writeFileAtomic(this.path, JSON.stringify({
+      version: INDEX_VERSION,
+      builtAt: this.builtAt,
+      hasEmbeddings: this.hasEmbeddings,
+      files: this.files,
+      chunks: this.chunks
+    }));
+  }
+
+  remove() {
+    fs.rmSync(this.path, { force: true });
+    this.files = {};
+    this.chunks = [];
+    this.builtAt = null;
+    this.hasEmbeddings = false;
+    this.prepare();
+  }
+
+  // Files to index: everything not excluded by .gitignore or .aiignore
+  listFiles() {
+    const isIgnored = loadIgnoreRules(this.root, ['.gitignore', '.aiignore']);
+    return walkFiles(this.root, (relativePath, isDirectory) => relativePath === '.qaterm' || isIgnored(relativePath, isDirectory))
+      .filter((file) => !SKIPPED_FILES.test(file));
+  }
+
+  // Index the project, reusing what is unchanged since the last build. embed
+  // (texts => vectors or null) is called for new chunks when embeddings are on.
+  async build({ embed = null } = {}) {
+    const previous = new Map();
+    for (const chunk of this.chunks) {
+      if (!previous.has(chunk.path)) {
+        previous.set(chunk.path, []);
+      }
+      previous.get(chunk.path).push(chunk);
+    }
+
+    const files = {};
+    const chunks = [];
+    const paths = this.listFiles();
+    let reused = 0;
+
+    paths.forEach((file, index) => {
+      this.emit('progress', { phase: 'reading', done: index + 1, total: paths.length });
+      const stat = fs.statSync(path.join(this.root, file));
+      if (stat.size > MAX_FILE_BYTES) {
+        return;
+      }
+
+      const known = this.files[file];
+      if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size && previous.has(file)) {
+        files[file] = known;
+        chunks.push(...previous.get(file));
+        reused++;
+        return;
+      }
+
+      const content = fs.readFileSync(path.join(this.root, file), 'utf8');
+      if (content.includes('\0')) {
+        return; // Skip binary files
+      }
+      files[file] = { mtimeMs: stat.mtimeMs, size: stat.size };
+      for (const chunk of chunkFile(content, this.options.chunkLines)) {
+        chunks.push({ path: file, ...chunk });
+      }
+    });
+
+    // Vector search needs an embedding for every chunk; otherwise none are kept
+    let hasEmbeddings = false;
+    if (embed && this.options.embeddings) {
+      hasEmbeddings = await this.embedChunks(chunks, embed);
+    }
+    for (const chunk of hasEmbeddings ? [] : chunks) {
+      delete chunk.embedding;
+    }
+
+    this.files = files;
+    this.chunks = chunks;
+    this.hasEmbeddings = hasEmbeddings;
+    this.builtAt = new Date().toISOString();
+    this.prepare();
+    this.save();
+    return { files: Object.keys(files).length, chunks: chunks.length, reused, embeddings: hasEmbeddings };
+  }
+
+  // Add embeddings to the chunks that lack one; false if the backend has none
+  async embedChunks(chunks, embed) {
+    const missing = chunks.filter((chunk) => !chunk.embedding);
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+      this.emit('progress', { phase: 'embedding', done: i, total: missing.length });
+      const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embed(batch.map((chunk) => `${chunk.path}\n${chunk.text}`));
+      if (!vectors) {
+        return false;
+      }
+      batch.forEach((chunk, index) => {
+        // Four decimals keep the cache file small without changing the ranking
+        chunk.embedding = vectors[index].map((value) => Math.round(value * 10000) / 10000);
+      });
+    }
+    return chunks.length > 0;
+  }
+
+  // Build the BM25 statistics: term postings, document lengths and their average
+  prepare() {
+    this.postings = new Map();
+    this.lengths = [];
+    this.chunks.forEach((chunk, index) => {
+      const terms = tokenize(`${chunk.path} ${chunk.text}`);
+      this.lengths.push(terms.length);
+      const counts = new Map();
+      for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      for (const [term, count] of counts) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, []);
+        }
+        this.postings.get(term).push([index, count]);
+      }
+    });
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (this.lengths.length || 1);
+  }
+
+  // BM25 score per chunk index for the query
+  bm25(query) {
+    const scores = new Map();
+    const total = this.chunks.length;
+    for (const term of new Set(tokenize(query))) {
+      const postings = this.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+      const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [index, count] of postings) {
+        const norm = count + K1 * (1 - B + (B * this.lengths[index]) / this.averageLength);
+        scores.set(index, (scores.get(index) || 0) + (idf * count * (K1 + 1)) / norm);
+      }
+    }
+    return scores;
+  }
+
+  // Best chunks for the query, most relevant first, as { path, startLine,
+  // endLine, text, score }. With queryEmbedding the BM25 and embedding rankings
+  // are merged by reciprocal rank fusion. Chunks of files changed since the
+  // index was built are left out and counted in `stale`.
+  search(query, { limit = this.options.topK, queryEmbedding = null } = {}) {
+    const bm25 = [...this.bm25(query)].sort((a, b) => b[1] - a[1]);
+    let ranked = bm25;
+
+    if (queryEmbedding && this.hasEmbeddings) {
+      const fused = new Map();
+      bm25.forEach(([index], rank) => fused.set(index, 1 / (RRF_K + rank + 1)));
+      this.chunks
+        .map((chunk, index) => [index, cosineSimilarity(queryEmbedding, chunk.embedding)])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, Math.max(limit * 4, 20))
+        .forEach(([index], rank) => fused.set(index, (fused.get(index) || 0) + 1 / (RRF_K + rank + 1)));
+      ranked = [...fused].sort((a, b) => b[1] - a[1]);
+    }
+
+    const results = [];
+    const staleFiles = new Set();
+    for (const [index, score] of ranked) {
+      if (results.length >= limit) {
+        break;
+      }
+      const chunk = this.chunks[index];
+      if (this.isStale(chunk.path)) {
+        staleFiles.add(chunk.path);
+        continue;
+      }
+      const { path: file, startLine, endLine, text } = chunk;
+      results.push({ path: file, startLine, endLine, text, score });
+    }
+    results.stale = staleFiles.size;
+    return results;
+  }
+
+  isStale(file) {
+    const known = this.files[file];
+    try {
+      const stat = fs.statSync(path.join(this.root, file));
+      return !known || stat.mtimeMs !== known.mtimeMs || stat.size !== known.size;
+    } catch {
+      return true;
+    }
+  }
+
+  getStats() {
+    return {
+      files: Object.keys(this.files).length,
+      chunks: this.chunks.length,
+      builtAt: this.builtAt,
+      embeddings: this.hasEmbeddings,
+      path: this.path
+    };
+  }
+}
+
+// Prompt section with the retrieved chunks, cited as path:start-end
+export function formatSources(sources) {
+  const blocks = sources.map((source) => {
+    const code = source.text.replace(/\n$/, '');
+    return `${source.path}:${source.startLine}-${source.endLine}\n\`\`\`${languageForFile(source.path)}\n${code}\n\`\`\``;
+  });
+  return `Code from the project that may be relevant (cite it as path:line):\n\n${blocks.join('\n\n')}`;
+}
+
+export default CodeIndex;
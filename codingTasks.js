@@ -0,0 +1,244 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { languageForFile, readAttachments } from './fileOperations.js';
+import { budgetDiff, readGitDiff } from './gitContext.js';
+
+// Task commands (\explain, \review, \test, \refactor, \fix) and \commit wrap their
+// input in a prompt template. A file named <task>.md in a prompts directory replaces the
+// built-in template; see promptDirectories for where they are looked up.
+
+// "feature" is the flag in config.features that turns the command off
+export const CODING_TASKS = {
+  explain: { feature: 'codeExplanation' },
+  review: { feature: 'codeReview' },
+  test: { feature: 'testing' },
+  refactor: { feature: 'refactoring' },
+  fix: { feature: 'codeGeneration' }
+};
+
+// Placeholders: {{subject}} names what is sent (a file, line range or diff),
+// {{input}} is the code itself, {{language}} its language, {{framework}} the test
+// framework and {{instructions}} any text typed after the target.
+const DEFAULT_TEMPLATES = {
+  explain: `Explain the following {{subject}}. Start with a short summary of what it is for, then walk through how it works. Point out anything non-obvious: side effects, error handling, edge cases and assumptions it makes.{{instructions}}
+
+{{input}}`,
+
+  review: `Review the following {{subject}} as a senior engineer would. Answer in exactly these sections:
+
+## Summary
+One or two sentences on what the code or change does.
+
+## Issues
+Concrete problems, most serious first: bugs, security issues, error handling, performance, then readability. Start each with [blocker], [major], [minor] or [nit], give the file and line, quote the code, explain the problem and suggest a fix. Write "None" if there is nothing worth changing.
+
+## Suggestions
+Optional improvements that are not problems.
+
+## Verdict
+"Approve" or "Request changes", with one sentence why.{{instructions}}
+
+{{input}}`,
+
+  test: `Write tests for the following {{subject}} using {{framework}}. Cover the main behaviour, edge cases and error paths, and follow the conventions of the project's existing tests. Reply with one complete test file in a fenced code block, with its path on the line above the block.{{instructions}}
+
+{{input}}`,
+
+  refactor: `Refactor the following {{subject}} to make it easier to read and maintain without changing its behaviour. Explain each change briefly, then give the updated code in a fenced code block with the file path on the line above it.{{instructions}}
+
+{{input}}`,
+
+  fix: `{{input}}
+
+Find the cause of this failure and fix it. Explain the cause in a few sentences, then give the changes as fenced code blocks with the file path on the line above each block, or as a unified diff in a diff block.{{instructions}}`,
+
+  // Used by \commit and qa commit-msg
+  commit: `Write a git commit message for the following {{subject}}. Start with a summary line of at most 72 characters in the imperative mood ("Add", "Fix", not "Added"), then a blank line and a short body saying what changed and why, wrapped at 72 characters. Leave out the body for trivial changes. Reply with the commit message only, without code fences or commentary.{{instructions}}
+
+{{input}}`
+};
+
+function expandHome(dir) {
+  return dir.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+// Where template overrides are looked up, first match wins: the project's
+// .qaterm/prompts, then the configured (personal) directory
+export function promptDirectories(configuredDirectory, cwd = process.cwd()) {
+  const directories = [path.join(cwd, '.qaterm', 'prompts')];
+  if (configuredDirectory) {
+    directories.push(path.resolve(cwd, expandHome(configuredDirectory)));
+  }
+  return directories;
+}
+
+export function loadTaskTemplate(task, directories = []) {
+  for (const directory of directories) {
+    const file = path.join(directory, `${task}.md`);
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8');
+    }
+  }
+  return DEFAULT_TEMPLATES[task];
+}
+
+// Fill in {{placeholders}}; unknown ones are left as they are
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+export function buildTaskPrompt(task, values, directories) {
+  const instructions = values.instructions ? `\n\nAdditional instructions: ${values.instructions}` : '';
+  return renderTemplate(loadTaskTemplate(task, directories), {
+    subject: '',
+    input: '',
+    language: '',
+    framework: '',
+    ...values,
+    instructions
+  }).trim();
+}
+
+// "<file>[:<start>[-<end>]] [instructions...]", or "--diff"/"--staged" for the
+// uncommitted or staged git changes
+export function parseTaskTarget(args) {
+  const [first = '', ...rest] = args.filter(Boolean);
+  const instructions = rest.join(' ');
+
+  if (!first) {
+    return null;
+  }
+  if (first === '--diff' || first === '--staged') {
+    return { kind: 'diff', staged: first === '--staged', instructions };
+  }
+
+  const match = first.match(/^(.*?)(?::(\d+)(?:-(\d+))?)?$/);
+  const start = match[2] ? Number(match[2]) : null;
+  const end = match[3] ? Number(match[3]) : start;
+  return { kind: 'file', path: match[1], start, end, instructions };
+}
+
+// Read what a task command points at. Files go through the same checks as \read
+// (.aiignore, working directory, size); diffs are cut down to maxDiffTokens.
+export function readTaskInput(target, { cwd = process.cwd(), estimateTokens, maxDiffTokens = Infinity } = {}) {
+  if (target.kind === 'diff') {
+    const diff = readGitDiff({ staged: target.staged, ref: target.ref, cwd });
+    if (!diff.trim()) {
+      throw new Error(target.staged ? 'No staged changes' : 'No uncommitted changes');
+    }
+    const budgeted = budgetDiff(diff, maxDiffTokens, estimateTokens);
+    return {
+      subject: target.staged ? 'staged changes (git diff)' : 'uncommitted changes (git diff)',
+      input: `\`\`\`diff\n${budgeted.text.trimEnd()}\n\`\`\``,
+      language: 'diff',
+      instructions: target.instructions,
+      diff: budgeted
+    };
+  }
+
+  const files = readAttachments(target.path, { cwd, estimateTokens });
+  if (files.length === 0) {
+    throw new Error(`No readable files match ${target.path}`);
+  }
+  if (target.start !== null && files.length > 1) {
+    throw new Error('A line range needs a single file');
+  }
+
+  const blocks = files.map((file) => {
+    let content = file.content.replace(/\n$/, '');
+    let label = file.path;
+    if (target.start !== null) {
+      const lines = content.split('\n');
+      if (target.start < 1 || target.start > lines.length || target.end < target.start) {
+        throw new Error(`Invalid line range ${target.start}-${target.end}: ${file.path} has ${lines.length} lines`);
+      }
+      content = lines.slice(target.start - 1, Math.min(target.end, lines.length)).join('\n');
+      label = `${file.path} (lines ${target.start}-${Math.min(target.end, lines.length)})`;
+    }
+    return { label, content, language: languageForFile(file.path) };
+  });
+
+  const subject = blocks.length === 1 ? `code from ${blocks[0].label}` : `code from ${blocks.length} files`;
+  return {
+    subject,
+    input: blocks.map((block) => `File: ${block.label}\n\`\`\`${block.language}\n${block.content}\n\`\`\``).join('\n\n'),
+    language: blocks[0].language,
+    instructions: target.instructions
+  };
+}
+
+// JavaScript test runners, by package name, in order of preference
+const JS_TEST_FRAMEWORKS = [
+  ['vitest', 'Vitest'],
+  ['jest', 'Jest'],
+  ['mocha', 'Mocha'],
+  ['ava', 'AVA'],
+  ['jasmine', 'Jasmine'],
+  ['tap', 'node-tap'],
+  ['uvu', 'uvu'],
+  ['@playwright/test', 'Playwright Test'],
+  ['cypress', 'Cypress']
+];
+
+function readIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// The project's test framework, from package.json or pytest configuration; null if unknown
+export function detectTestFramework(cwd = process.cwd()) {
+  const packageJson = readIfExists(path.join(cwd, 'package.json'));
+  if (packageJson) {
+    let pkg = {};
+    try {
+      pkg = JSON.parse(packageJson);
+    } catch {
+      // Fall through to the other checks
+    }
+    const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+    const testScript = pkg.scripts?.test || '';
+    for (const [name, label] of JS_TEST_FRAMEWORKS) {
+      if (dependencies[name] || new RegExp(`(^|[\\s/])${name}(\\s|$)`).test(testScript)) {
+        return label;
+      }
+    }
+    if (/\bnode\b.*--test\b/.test(testScript)) {
+      return 'the node:test module (node --test)';
+    }
+  }
+
+  const pytestConfigs = [
+    ['pytest.ini', null],
+    ['conftest.py', null],
+    ['pyproject.toml', '[tool.pytest'],
+    ['setup.cfg', '[tool:pytest]'],
+    ['tox.ini', '[pytest]'],
+    ['requirements-dev.txt', 'pytest'],
+    ['requirements.txt', 'pytest']
+  ];
+  for (const [file, marker] of pytestConfigs) {
+    const content = readIfExists(path.join(cwd, file));
+    if (content !== null && (!marker || content.includes(marker))) {
+      return 'pytest';
+    }
+  }
+
+  if (fs.existsSync(path.join(cwd, 'go.mod'))) {
+    return 'Go\'s testing package (go test)';
+  }
+  if (fs.existsSync(path.join(cwd, 'Cargo.toml'))) {
+    return 'Rust\'s built-in test harness (cargo test)';
+  }
+  return null;
+}
+
+// What \test asks for when the project gives no hint
+export function defaultTestFramework(language) {
+  if (language === 'python') {
+    return 'pytest';
+  }
+  if (['javascript', 'typescript', 'jsx', 'tsx'].includes(language)) {
+    return 'the node:test module (node --test)';
+  }
+  return 'the standard test framework for the language';
+}
@@ -0,0 +1,482 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GENERATION_PARAMETERS } from './generationParameters.js';
+import { TEMPLATE_NAMES } from './promptTemplates.js';
+import { writeFileAtomic } from './transcript.js';
+
+// Layered configuration. Later layers override earlier ones, key by key:
+//   1. the config.json shipped with QAterm (defaults)
+//   2. the user's ~/.config/qaterm/config.json ($XDG_CONFIG_HOME is honoured)
+//   3. the project's .qaterm.json, in the working directory or one above it
+//   4. QATERM_* environment variables (QATERM_PHIND_MODEL_PATH -> phind.modelPath)
+//   5. --config key=value on the command line
+// The result is validated against SCHEMA, and the layer each value came from is
+// kept so \config show can explain it.
+
+const MODEL_SETTINGS = {
+  backend: { type: 'string', enum: ['spawn', 'http'] },
+  serverUrl: { type: 'string' },
+  apiKey: { type: 'string', secret: true },
+  model: { type: 'string' },
+  modelPath: { type: 'string', path: true },
+  llamaPath: { type: 'string', path: true },
+  gpuLayers: { type: 'integer', min: 0 },
+  contextSize: { type: 'integer', min: 256 },
+  compactThreshold: { type: 'number', min: 0, max: 1 },
+  connectTimeout: { type: 'integer', min: 1000 },
+  template: { type: 'string', enum: TEMPLATE_NAMES },
+  restart: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      maxAttempts: { type: 'integer', min: 0 },
+      initialDelay: { type: 'integer', min: 0 },
+      maxDelay: { type: 'integer', min: 0 }
+    }
+  }
+};
+
+// Sampling parameters can be set wherever model settings can
+for (const [key, spec] of Object.entries(GENERATION_PARAMETERS)) {
+  MODEL_SETTINGS[key] = spec.type === 'list'
+    ? { type: 'array', items: { type: 'string' } }
+    : { type: spec.type, min: spec.min, max: spec.max };
+}
+
+const boolean = { type: 'boolean' };
+
+export const SCHEMA = {
+  type: 'object',
+  properties: {
+    phind: { type: 'object', properties: MODEL_SETTINGS },
+    defaultModel: { type: 'string' },
+    models: { type: 'object', values: { type: 'object', properties: MODEL_SETTINGS } },
+    interface: {
+      type: 'object',
+      properties: { showTimestamps: boolean, streamResponses: boolean, autoConnect: boolean }
+    },
+    coding: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        projectContextFile: { type: 'string' },
+        currentContextFile: { type: 'string' },
+        autoSaveContext: boolean,
+        promptsDirectory: { type: 'string', path: true }
+      }
+    },
+    sessions: {
+      type: 'object',
+      properties: { directory: { type: 'string', path: true }, default: { type: 'string' }, encrypt: boolean }
+    },
+    terminal: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string' },
+        enableTabCompletion: boolean,
+        enableHistory: boolean,
+        historySize: { type: 'integer', min: 0 },
+        historyFile: { type: 'string', path: true }
+      }
+    },
+    shell: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        timeout: { type: 'integer', min: 1000 },
+        maxOutputBytes: { type: 'integer', min: 1024 },
+        allow: { type: 'array', items: { type: 'string' } },
+        deny: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    retrieval: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        topK: { type: 'integer', min: 1 },
+        maxTokens: { type: 'integer', min: 0 },
+        chunkLines: { type: 'integer', min: 5 },
+        embeddings: boolean
+      }
+    },
+    redaction: {
+      type: 'object',
+      properties: {
+        prompts: { type: 'string', enum: ['ask', 'redact', 'off'] },
+        transcripts: boolean,
+        highEntropy: boolean,
+        maskHomeDirectory: boolean,
+        allowlist: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    audit: {
+      type: 'object',
+      properties: { enabled: boolean, file: { type: 'string', path: true }, logContent: boolean }
+    },
+    server: {
+      type: 'object',
+      properties: {
+        host: { type: 'string' },
+        port: { type: 'integer', min: 0, max: 65535 },
+        maxQueue: { type: 'integer', min: 1 },
+        apiKey: { type: 'string', secret: true }
+      }
+    },
+    features: {
+      type: 'object',
+      properties: {
+        fileOperations: boolean,
+        codeGeneration: boolean,
+        codeExplanation: boolean,
+        codeReview: boolean,
+        refactoring: boolean,
+        testing: boolean
+      }
+    }
+  }
+};
+
+// Older names kept working
+const ENV_ALIASES = {
+  QATERM_API_KEY: 'server.apiKey'
+};
+
+export function userConfigPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'qaterm', 'config.json');
+}
+
+// The nearest .qaterm.json in cwd or a directory above it, stopping at the home directory
+export function findProjectConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const file = path.join(dir, '.qaterm.json');
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir || dir === os.homedir()) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expandHome(value) {
+  return value.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+// Schema entry for a dotted key, or null if the schema has no such key
+export function schemaFor(keyPath) {
+  let spec = SCHEMA;
+  for (const part of keyPath.split('.')) {
+    spec = spec.properties?.[part] || spec.values || null;
+    if (!spec) {
+      return null;
+    }
+  }
+  return spec;
+}
+
+// QATERM_ plus the key path in upper snake case: phind.modelPath -> QATERM_PHIND_MODEL_PATH
+export function envName(keyPath) {
+  return `QATERM_${keyPath.split('.').map((part) => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_')}`;
+}
+
+// Dotted paths of the fixed (not per-profile) settings, for matching env variables
+function settingPaths(spec = SCHEMA, prefix = '') {
+  if (spec.type !== 'object' || !spec.properties) {
+    return prefix ? [prefix] : [];
+  }
+  return Object.entries(spec.properties).flatMap(([key, child]) => settingPaths(child, prefix ? `${prefix}.${key}` : key));
+}
+
+// Turn text from the environment or the command line into a value of the
+// setting's type. Text that does not parse is returned as is for validate() to report.
+export function parseSettingValue(text, spec) {
+  if (!spec) {
+    return text;
+  }
+  const trimmed = text.trim();
+  if (spec.type === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(trimmed)) {
+      return true;
+    }
+    if (/^(false|0|no|off)$/i.test(trimmed)) {
+      return false;
+    }
+    return text;
+  }
+  if (spec.type === 'number' || spec.type === 'integer') {
+    return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : text;
+  }
+  if (spec.type === 'array' || spec.type === 'object') {
+    // A JSON value, or for arrays a comma-separated list
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        return text;
+      }
+    }
+    return spec.type === 'array' ? trimmed.split(',').map((item) => item.trim()).filter(Boolean) : text;
+  }
+  return text;
+}
+
+function setPath(target, keyPath, value) {
+  const parts = keyPath.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function deletePath(target, keyPath) {
+  const parts = keyPath.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) {
+      return;
+    }
+    node = node[part];
+  }
+  delete node[parts[parts.length - 1]];
+}
+
+// Set one value from the environment or the command line. An object (a JSON
+// value) replaces the whole section, so its keys all take the new source.
+function applyValue(config, keyPath, value, source, sources) {
+  for (const key of [...sources.keys()]) {
+    if (key.startsWith(`${keyPath}.`)) {
+      sources.delete(key);
+    }
+  }
+  if (isPlainObject(value)) {
+    setPath(config, keyPath, {});
+    const parts = keyPath.split('.');
+    const parent = parts.slice(0, -1).reduce((node, part) => node[part], config);
+    mergeLayer(parent, { [parts[parts.length - 1]]: value }, source, sources, parts.slice(0, -1).join('.'));
+  } else {
+    setPath(config, keyPath, value);
+    sources.set(keyPath, source);
+  }
+}
+
+// Copy a layer into the config, recording its source for every value it sets
+function mergeLayer(target, layer, source, sources, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergeLayer(target[key], value, source, sources, keyPath);
+    } else {
+      target[key] = Array.isArray(value) ? [...value] : value;
+      sources.set(keyPath, source);
+    }
+  }
+}
+
+function readLayerFile(file, label) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    // Point at the line, which JSON.parse only gives as a character offset
+    const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+    const line = Number.isFinite(position) ? ` (line ${content.slice(0, position).split('\n').length})` : '';
+    throw new Error(`${label} ${file} is not valid JSON${line}: ${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`${label} ${file} must contain a JSON object`);
+  }
+  return data;
+}
+
+function describeType(spec) {
+  if (spec.enum) {
+    return `one of ${spec.enum.map((value) => JSON.stringify(value)).join(', ')}`;
+  }
+  const names = { string: 'a string', number: 'a number', integer: 'an integer', boolean: 'true or false', array: 'a list', object: 'an object' };
+  let description = names[spec.type];
+  if (spec.min !== undefined && spec.max !== undefined) {
+    description += ` from ${spec.min} to ${spec.max}`;
+  } else if (spec.min !== undefined) {
+    description += ` of at least ${spec.min}`;
+  } else if (spec.max !== undefined) {
+    description += ` of at most ${spec.max}`;
+  }
+  return description;
+}
+
+function matchesType(value, spec) {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' && (!spec.enum || spec.enum.includes(value));
+    case 'number':
+    case 'integer':
+      return typeof value === 'number' && Number.isFinite(value)
+        && (spec.type === 'number' || Number.isInteger(value))
+        && (spec.min === undefined || value >= spec.min)
+        && (spec.max === undefined || value <= spec.max);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return isPlainObject(value);
+  }
+}
+
+// Check the merged config. Wrong types are errors; unknown keys are only
+// warnings, since they are usually typos that would otherwise go unnoticed.
+export function validate(value, sources, spec = SCHEMA, prefix = '') {
+  const errors = [];
+  const warnings = [];
+  const from = (keyPath) => (sources.has(keyPath) ? ` (set in ${sources.get(keyPath)})` : '');
+
+  // null stands for "not set" in the JSON files
+  if (value === null || value === undefined) {
+    return { errors, warnings };
+  }
+  if (!matchesType(value, spec)) {
+    errors.push(`${prefix} must be ${describeType(spec)}, got ${JSON.stringify(value)}${from(prefix)}`);
+    return { errors, warnings };
+  }
+
+  if (spec.type === 'array' && spec.items) {
+    value.forEach((item, index) => {
+      if (!matchesType(item, spec.items)) {
+        errors.push(`${prefix}[${index}] must be ${describeType(spec.items)}, got ${JSON.stringify(item)}${from(prefix)}`);
+      }
+    });
+  }
+
+  if (spec.type === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const childSpec = spec.properties?.[key] || spec.values;
+      if (!childSpec) {
+        const example = [...sources.keys()].find((source) => source === keyPath || source.startsWith(`${keyPath}.`));
+        warnings.push(`Unknown setting ${keyPath}${example ? from(example) : ''}`);
+        continue;
+      }
+      const result = validate(child, sources, childSpec, keyPath);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+  }
+  return { errors, warnings };
+}
+
+// Expand ~ in settings that hold paths, including those in model profiles
+function expandPaths(value, spec = SCHEMA) {
+  if (!isPlainObject(value)) {
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const childSpec = spec.properties?.[key] || spec.values;
+    if (!childSpec) {
+      continue;
+    }
+    if (childSpec.path && typeof child === 'string') {
+      value[key] = expandHome(child);
+    } else if (childSpec.type === 'object') {
+      expandPaths(child, childSpec);
+    }
+  }
+}
+
+// Build the effective configuration. overrides are "key=value" strings from
+// --config. Resolves to { config, sources, warnings, files }; throws with
+// error.problems listing every invalid setting.
+export function loadConfig({ defaultsFile, cwd = process.cwd(), env = process.env, overrides = [] }) {
+  const config = {};
+  const sources = new Map();
+  const files = { defaults: defaultsFile, user: userConfigPath(env), project: findProjectConfig(cwd) };
+
+  mergeLayer(config, readLayerFile(defaultsFile, 'Default config'), 'defaults', sources);
+  if (fs.existsSync(files.user)) {
+    mergeLayer(config, readLayerFile(files.user, 'User config'), files.user.replace(os.homedir(), '~'), sources);
+  } else {
+    files.user = null;
+  }
+  if (files.project) {
+    mergeLayer(config, readLayerFile(files.project, 'Project config'), files.project, sources);
+  }
+
+  const variables = Object.entries(ENV_ALIASES);
+  for (const keyPath of settingPaths()) {
+    variables.push([envName(keyPath), keyPath]);
+  }
+  for (const [name, keyPath] of variables) {
+    if (env[name] !== undefined && env[name] !== '') {
+      applyValue(config, keyPath, parseSettingValue(env[name], schemaFor(keyPath)), `env ${name}`, sources);
+    }
+  }
+
+  for (const override of overrides) {
+    const match = override.match(/^([\w.-]+)=(.*)$/s);
+    if (!match) {
+      throw Object.assign(new Error('Invalid configuration'), { problems: [`--config ${override}: expected key=value`] });
+    }
+    const [, keyPath, text] = match;
+    applyValue(config, keyPath, parseSettingValue(text, schemaFor(keyPath)), '--config', sources);
+  }
+
+  const { errors, warnings } = validate(config, sources);
+  if (errors.length > 0) {
+    throw Object.assign(new Error('Invalid configuration'), { problems: errors });
+  }
+  expandPaths(config);
+  return { config, sources, warnings, files };
+}
+
+// Effective settings starting with prefix as [key, value, source] rows, for \config show;
+// secrets are masked
+export function describeConfig(config, sources, prefix = '') {
+  const rows = [];
+  const walk = (value, keyPath) => {
+    if (isPlainObject(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, keyPath ? `${keyPath}.${key}` : key);
+      }
+      return;
+    }
+    if (!keyPath.startsWith(prefix)) {
+      return;
+    }
+    const secret = schemaFor(keyPath)?.secret && value;
+    rows.push([keyPath, secret ? '********' : JSON.stringify(value), sources.get(keyPath) || 'defaults']);
+  };
+  walk(config, '');
+  return rows;
+}
+
+// Set (or with undefined, remove) one setting in a config file such as the user config
+export function updateConfigFile(file, keyPath, value) {
+  const data = fs.existsSync(file) ? readLayerFile(file, 'Config') : {};
+  if (value === undefined) {
+    deletePath(data, keyPath);
+  } else {
+    setPath(data, keyPath, value);
+  }
+  writeFileAtomic(file, JSON.stringify(data, null, 2) + '\n');
+}
@@ -0,0 +1,325 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { createMessage, formatMarkdown, parseMarkdown, readTranscript } from './transcript.js';
+import { highlightLine } from './markdownRenderer.js';
+
+// Sessions as files to share or reuse: \export writes markdown, QAterm JSON,
+// OpenAI message arrays or a self-contained HTML page, and \import reads any of
+// them (plus a session's JSONL transcript) back into a session.
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'openai', 'html'];
+
+// File name ending used when no file is given
+export const EXPORT_EXTENSIONS = {
+  markdown: '.md',
+  json: '.json',
+  openai: '.openai.json',
+  html: '.html'
+};
+
+// Marks a QAterm JSON export, as opposed to any other JSON
+const TRANSCRIPT_FORMAT = 'qaterm-transcript';
+
+const FORMAT_ALIASES = { md: 'markdown', markdown: 'markdown', json: 'json', openai: 'openai', html: 'html', htm: 'html' };
+
+// The format asked for, or else the one the file name implies (markdown by default)
+export function resolveExportFormat(filePath, requested) {
+  if (requested) {
+    const format = FORMAT_ALIASES[requested.toLowerCase()];
+    if (!format) {
+      throw new Error(`Unknown export format "${requested}" (use ${EXPORT_FORMATS.join(', ')})`);
+    }
+    return format;
+  }
+
+  const name = (filePath || '').toLowerCase();
+  if (name.endsWith('.openai.json')) {
+    return 'openai';
+  }
+  if (name.endsWith('.json')) {
+    return 'json';
+  }
+  if (/\.html?$/.test(name)) {
+    return 'html';
+  }
+  return 'markdown';
+}
+
+// session: { name, createdAt, model, systemPrompt }; the system prompt is only
+// included where the format has a place for it (json, openai)
+export function exportConversation(messages, format, session = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        format: TRANSCRIPT_FORMAT,
+        version: 1,
+        session: {
+          name: session.name || null,
+          createdAt: session.createdAt || null,
+          exportedAt: new Date().toISOString(),
+          model: session.model || null,
+          systemPrompt: session.systemPrompt || null
+        },
+        messages
+      }, null, 2) + '\n';
+
+    case 'openai': {
+      const system = session.systemPrompt ? [{ role: 'system', content: session.systemPrompt }] : [];
+      return JSON.stringify([...system, ...messages.map(({ role, content }) => ({ role, content }))], null, 2) + '\n';
+    }
+
+    case 'html':
+      return formatHtml(messages, session);
+
+    default:
+      return formatMarkdown(messages, session.createdAt);
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function span(className) {
+  return (text) => `<span class="${className}">${escapeHtml(text)}</span>`;
+}
+
+// highlightLine output as HTML; the colours are in the page's stylesheet
+const HTML_STYLE = {
+  text: escapeHtml,
+  comment: span('comment'),
+  string: span('string'),
+  key: span('key'),
+  number: span('number'),
+  keyword: span('keyword'),
+  added: span('added'),
+  removed: span('removed'),
+  hunk: span('hunk')
+};
+
+// A line of prose as escaped HTML with inline code, bold, italics and http(s) links
+function inlineHtml(text) {
+  return text.split(/(`+[^`]+`+)/).map((part, index) => {
+    if (index % 2 === 1) {
+      return `<code>${escapeHtml(part.replace(/^`+|`+$/g, ''))}</code>`;
+    }
+    return escapeHtml(part)
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*|__(?=\S)(.+?)(?<=\S)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+      .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])|(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g, (match, a, b) => `<em>${a || b}</em>`);
+  }).join('');
+}
+
+// Markdown message to HTML: fenced code (highlighted), headings, lists, quotes
+// and paragraphs. Line breaks within paragraphs are kept, as in the terminal.
+export function markdownToHtml(markdown) {
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(inlineHtml).join('<br>\n')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map((item) => `<li>${inlineHtml(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (code) {
+      if (line.trim().startsWith(code.fence) && !line.trim().slice(code.fence.length).trim()) {
+        html.push(`<pre><code${code.language ? ` class="language-${escapeHtml(code.language)}"` : ''}>${code.lines.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.lines.push(highlightLine(line, code.language, code.state, HTML_STYLE));
+      }
+      continue;
+    }
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (fence) {
+      flushParagraph();
+      closeList();
+      code = { fence: fence[1], language: fence[2], lines: [], state: {} };
+    } else if (heading) {
+      flushParagraph();
+      closeList();
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${inlineHtml(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) {
+        closeList();
+      }
+      list = list || { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (line.startsWith('>') && line.slice(1).trim()) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${inlineHtml(line.replace(/^>\s?/, ''))}</blockquote>`);
+    } else if (!line.replace(/^>/, '').trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  // A reply cut off inside a code block still shows the code
+  if (code) {
+    html.push(`<pre><code>${code.lines.join('\n')}</code></pre>`);
+  }
+  flushParagraph();
+  closeList();
+  return html.join('\n');
+}
+
+const HTML_STYLESHEET = `
+  :root { color-scheme: light dark; --bg: #fff; --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --code: #f6f8fa; --user: #eef6ff; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --border: #30363d; --code: #161b22; --user: #132337; }
+  }
+  body { margin: 0 auto; max-width: 860px; padding: 2rem 1rem; background: var(--bg); color: var(--fg); font: 15px/1.55 system-ui, sans-serif; }
+  header { border-bottom: 1px solid var(--border); margin-bottom: 1.5rem; }
+  .meta, .role time { color: var(--muted); font-size: 0.85em; }
+  .message { border: 1px solid var(--border); border-radius: 8px; padding: 0.25rem 1rem; margin: 1rem 0; }
+  .message.user { background: var(--user); }
+  .role { font-weight: 600; margin-top: 0.5rem; }
+  pre { background: var(--code); border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem; overflow-x: auto; }
+  code { font: 13px/1.45 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  p code, li code { background: var(--code); padding: 0.1em 0.3em; border-radius: 4px; }
+  blockquote { margin: 0.5rem 0; padding-left: 0.75rem; border-left: 3px solid var(--border); color: var(--muted); }
+  .comment { color: #6e7781; } .string { color: #0a7b3e; } .key { color: #0550ae; } .number { color: #8250df; }
+  .keyword { color: #cf222e; } .added { color: #116329; } .removed { color: #82071e; } .hunk { color: #0550ae; }
+  @media (prefers-color-scheme: dark) {
+    .comment { color: #8b949e; } .string { color: #7ee787; } .key { color: #79c0ff; } .number { color: #d2a8ff; }
+    .keyword { color: #ff7b72; } .added { color: #56d364; } .removed { color: #f85149; } .hunk { color: #79c0ff; }
+  }
+`;
+
+// A single HTML file with the stylesheet inlined, readable without QAterm
+function formatHtml(messages, session) {
+  const title = session.name ? `QAterm session: ${session.name}` : 'QAterm session';
+  const details = [
+    session.createdAt ? `Started ${new Date(session.createdAt).toLocaleString()}` : null,
+    session.model ? `model ${session.model}` : null,
+    `${messages.length} messages`
+  ].filter(Boolean).join(' · ');
+
+  const body = messages.map((message) => {
+    const role = message.role === 'user' ? 'User' : 'Assistant';
+    const time = message.timestamp ? ` <time datetime="${escapeHtml(message.timestamp)}">${escapeHtml(new Date(message.timestamp).toLocaleString())}</time>` : '';
+    return `<section class="message ${message.role === 'user' ? 'user' : 'assistant'}">
+<div class="role">${role}${time}</div>
+${markdownToHtml(message.content)}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLESHEET}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(details)}</p>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// Text of an OpenAI message: a string, or an array of parts of which only text is kept
+function openAiContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter((part) => part && part.type === 'text').map((part) => part.text).join('\n');
+  }
+  return '';
+}
+
+// User and assistant turns from OpenAI-style messages. System messages, tool
+// results and replies that only call tools are counted in `skipped`.
+function fromOpenAi(items) {
+  const messages = [];
+  let systemPrompt = null;
+  let skipped = 0;
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item.role !== 'string') {
+      throw new Error(`Message ${index + 1} has no role`);
+    }
+    const content = openAiContent(item.content).trim();
+    if (item.role === 'system' && systemPrompt === null) {
+      systemPrompt = content;
+      skipped++;
+    } else if ((item.role === 'user' || item.role === 'assistant') && content) {
+      messages.push(createMessage(item.role, content));
+    } else {
+      skipped++;
+    }
+  }
+  return { messages, systemPrompt, skipped };
+}
+
+// Read a conversation from a file: an OpenAI message array (or a request body
+// with "messages"), a QAterm JSON export, a session transcript (.jsonl) or a
+// markdown export. Resolves to { format, messages, systemPrompt, skipped }.
+export function readConversationFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const name = path.basename(filePath);
+
+  if (extension === '.jsonl') {
+    return { format: 'QAterm transcript', messages: readTranscript(filePath), systemPrompt: null, skipped: 0 };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (extension === '.md' || extension === '.markdown') {
+    return { format: 'markdown', messages: parseMarkdown(content), systemPrompt: null, skipped: 0 };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error(`${name} is not JSON, markdown (.md) or a session transcript (.jsonl)`);
+  }
+
+  if (Array.isArray(data)) {
+    return { format: 'OpenAI messages', ...fromOpenAi(data) };
+  }
+  if (data && data.format === TRANSCRIPT_FORMAT && Array.isArray(data.messages)) {
+    const messages = data.messages.map((message, index) => {
+      if (typeof message.role !== 'string' || typeof message.content !== 'string') {
+        throw new Error(`${name}: message ${index + 1} is not a message`);
+      }
+      // Keep ids, timestamps and parameters from the export
+      return { ...createMessage(message.role, message.content), ...message };
+    });
+    return { format: 'QAterm JSON', messages, systemPrompt: data.session?.systemPrompt || null, skipped: 0 };
+  }
+  if (data && Array.isArray(data.messages)) {
+    return { format: 'OpenAI messages', ...fromOpenAi(data.messages) };
+  }
+  throw new Error(`${name} is neither a message array nor a QAterm export`);
+}
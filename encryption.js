@@ -0,0 +1,52 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+
+// Encryption at rest for session transcripts: AES-256-GCM with a key derived
+// from a passphrase by scrypt. Encrypted text is a one-line JSON envelope, so it
+// can be told apart from a plain JSONL transcript by its first characters.
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_PREFIX = '{"encrypted":';
+
+// scrypt is slow on purpose; keys are cached per passphrase and salt, and one
+// salt is used for everything written by this process
+const keyCache = new Map();
+let processSalt = null;
+
+function deriveKey(passphrase, salt) {
+  const cacheKey = `${salt.toString('base64')}:${passphrase}`;
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, scryptSync(passphrase, salt, 32));
+  }
+  return keyCache.get(cacheKey);
+}
+
+export function isEncrypted(text) {
+  return typeof text === 'string' && text.startsWith(ENVELOPE_PREFIX);
+}
+
+export function encryptText(text, passphrase) {
+  processSalt ??= randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, deriveKey(passphrase, processSalt), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    encrypted: ALGORITHM,
+    kdf: 'scrypt',
+    salt: processSalt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+// Throws with code WRONG_PASSPHRASE when the passphrase does not match (or the data was altered)
+export function decryptText(envelope, passphrase) {
+  const { salt, iv, tag, data } = JSON.parse(envelope);
+  const decipher = createDecipheriv(ALGORITHM, deriveKey(passphrase, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw Object.assign(new Error('Wrong passphrase, or the file was changed'), { code: 'WRONG_PASSPHRASE' });
+  }
+}
@@ -0,0 +1,339 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { globToRegExp, hasGlobChars, loadIgnoreRules, walkFiles } from './ignoreRules.js';
+
+// Reading files into prompts and applying edits from assistant replies
+
+// Files larger than this are refused rather than flooding the context
+const MAX_ATTACHMENT_BYTES = 256 * 1024;
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.tsx': 'tsx', '.py': 'python', '.rb': 'ruby', '.go': 'go',
+  '.rs': 'rust', '.java': 'java', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cs': 'csharp',
+  '.sh': 'bash', '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.md': 'markdown',
+  '.html': 'html', '.css': 'css', '.sql': 'sql'
+};
+
+export function languageForFile(filePath) {
+  return LANGUAGE_BY_EXTENSION[path.extname(filePath).toLowerCase()] || '';
+}
+
+// Path relative to cwd, or null when it points outside the working directory
+export function relativeToCwd(filePath, cwd = process.cwd()) {
+  const relative = path.relative(cwd, path.resolve(cwd, filePath));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+// Expand a path or glob into readable files under cwd, honouring .aiignore
+export function resolveFiles(pattern, cwd = process.cwd()) {
+  const isIgnored = loadIgnoreRules(cwd, ['.aiignore']);
+
+  if (!hasGlobChars(pattern)) {
+    const relative = relativeToCwd(pattern, cwd);
+    if (!relative) {
+      throw new Error(`${pattern} is outside the working directory`);
+    }
+    if (isIgnored(relative)) {
+      throw new Error(`${relative} is excluded by .aiignore`);
+    }
+    if (!fs.existsSync(path.join(cwd, relative)) || !fs.statSync(path.join(cwd, relative)).isFile()) {
+      throw new Error(`File not found: ${relative}`);
+    }
+    return [relative];
+  }
+
+  const regex = globToRegExp(pattern.replace(/^\.\//, ''));
+  return walkFiles(cwd, isIgnored).filter((file) => regex.test(file)).sort();
+}
+
+// Read files matching a path or glob, with a token estimate for each
+export function readAttachments(pattern, { cwd = process.cwd(), estimateTokens } = {}) {
+  const attachments = [];
+  for (const file of resolveFiles(pattern, cwd)) {
+    const fullPath = path.join(cwd, file);
+    const { size } = fs.statSync(fullPath);
+    if (size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`${file} is too large to attach (${Math.round(size / 1024)} KB)`);
+    }
+    const content = fs.readFileSync(fullPath, 'utf8');
+    if (content.includes('\0')) {
+      continue; // Skip binary files
+    }
+    const attachment = { path: file, content };
+    attachment.tokens = estimateTokens ? estimateTokens(formatAttachment(attachment)) : Math.ceil(content.length / 4);
+    attachments.push(attachment);
+  }
+  return attachments;
+}
+
+// Attachments that are not files (the diff from \diff) set their own heading and language
+export function formatAttachment(attachment) {
+  const heading = attachment.heading || `File: ${attachment.path}`;
+  const language = attachment.language ?? languageForFile(attachment.path);
+  return `${heading}\n\`\`\`${language}\n${attachment.content.replace(/\n$/, '')}\n\`\`\``;
+}
+
+// Prefix a prompt with the attached files
+export function formatAttachments(attachments, prompt) {
+  const files = attachments.map(formatAttachment).join('\n\n');
+  return `${files}\n\n${prompt}`;
+}
+
+// Find a file path for a fenced block: in its info string, the line before it, or a first-line comment
+function findBlockPath(info, precedingLine, firstLine) {
+  const looksLikePath = (value) => value && /[\w-]+\.[\w]+$/.test(value) && !/\s/.test(value);
+
+  const [language, ...rest] = info.split(/[\s:]+/).filter(Boolean);
+  const fromInfo = [...rest, language].find(looksLikePath);
+  if (fromInfo) {
+    return fromInfo;
+  }
+
+  const preceding = precedingLine.trim().match(/(?:file(?:name)?:?\s*)?[`*]*([\w./-]+\.\w+)[`*]*:?$/i);
+  if (preceding && looksLikePath(preceding[1])) {
+    return preceding[1];
+  }
+
+  const comment = firstLine.trim().match(/^(?:\/\/|#|--)\s*(?:file(?:name)?:\s*)?([\w./-]+\.\w+)\s*$/i);
+  if (comment && looksLikePath(comment[1])) {
+    return comment[1];
+  }
+
+  return null;
+}
+
+// Pull fenced code blocks and unified diffs out of an assistant reply
+export function extractEdits(text) {
+  const edits = [];
+  const fence = /^```([^\n]*)\n([\s\S]*?)^```[ \t]*$/gm;
+  let match;
+
+  while ((match = fence.exec(text)) !== null) {
+    const info = match[1].trim();
+    const body = match[2];
+    const before = text.slice(0, match.index).trimEnd().split('\n');
+    const precedingLine = before[before.length - 1] || '';
+    const language = info.split(/[\s:]+/)[0] || '';
+
+    if (language === 'diff' || language === 'patch' || /^--- .*\n\+\+\+ /m.test(body)) {
+      for (const filePatch of parseUnifiedDiff(body)) {
+        edits.push({ type: 'diff', path: filePatch.path, hunks: filePatch.hunks });
+      }
+      continue;
+    }
+
+    edits.push({
+      type: 'file',
+      path: findBlockPath(info, precedingLine, body.split('\n')[0]),
+      language,
+      content: body
+    });
+  }
+
+  return edits;
+}
+
+// Parse unified diff text into per-file hunks
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('--- ')) {
+      current = { path: null, hunks: [] };
+      files.push(current);
+      hunk = null;
+    } else if (line.startsWith('+++ ') && current) {
+      const target = line.slice(4).split('\t')[0].trim();
+      current.path = target === '/dev/null' ? null : target.replace(/^b\//, '');
+    } else if (line.startsWith('@@') && current) {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (!header) {
+        continue;
+      }
+      hunk = { oldStart: Number(header[1]), newStart: Number(header[3]), lines: [] };
+      current.hunks.push(hunk);
+    } else if (hunk && /^[ +-]/.test(line)) {
+      hunk.lines.push(line);
+    } else if (hunk && line === '') {
+      // Some generators drop the leading space on empty context lines
+      hunk.lines.push(' ');
+    }
+  }
+
+  return files.filter((file) => file.path && file.hunks.length > 0);
+}
+
+// Apply hunks to file content, searching near the stated line when the context has drifted
+export function applyHunks(original, hunks) {
+  const lines = original.split('\n');
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    // Trailing blank context lines are often artefacts of the fence. They are
+    // left out of a copy, so the caller's hunks stay as parsed.
+    let end = hunk.lines.length;
+    while (end > 0 && hunk.lines[end - 1] === ' ') {
+      end--;
+    }
+    const hunkLines = hunk.lines.slice(0, end);
+    const oldLines = hunkLines.filter((line) => !line.startsWith('+')).map((line) => line.slice(1));
+    const newLines = hunkLines.filter((line) => !line.startsWith('-')).map((line) => line.slice(1));
+
+    const expected = Math.max(0, hunk.oldStart - 1 + offset);
+    const position = findLines(lines, oldLines, expected);
+    if (position === -1) {
+      throw new Error(`Hunk at line ${hunk.oldStart} does not match the current file`);
+    }
+
+    lines.splice(position, oldLines.length, ...newLines);
+    offset += newLines.length - oldLines.length;
+  }
+
+  return lines.join('\n');
+}
+
+// Index of needle in haystack, preferring the match closest to the expected position
+function findLines(haystack, needle, expected) {
+  const matchesAt = (start) => needle.every((line, i) => haystack[start + i] === line);
+  const last = haystack.length - needle.length;
+  for (let distance = 0; distance <= Math.max(expected, last - expected); distance++) {
+    for (const start of [expected - distance, expected + distance]) {
+      if (start >= 0 && start <= last && matchesAt(start)) {
+        return start;
+      }
+    }
+  }
+  return -1;
+}
+
+// Line diff between two texts as unified diff lines (used for previews)
+export function createUnifiedDiff(oldText, newText, filePath, context = 3) {
+  const a = oldText === '' ? [] : oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Strip the common prefix and suffix, then run LCS on the middle
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+
+  const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map((line) => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([' ', midA[i++]]);
+      j++;
+    } else if (i < midA.length && (j === midB.length || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push(['-', midA[i++]]);
+    } else {
+      ops.push(['+', midB[j++]]);
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map((line) => [' ', line]));
+
+  // Group changes into hunks with surrounding context
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index][0] === ' ') {
+      index++;
+      continue;
+    }
+    let start = Math.max(0, index - context);
+    let end = index;
+    while (end < ops.length) {
+      if (ops[end][0] !== ' ') {
+        end++;
+        continue;
+      }
+      let run = 0;
+      while (end + run < ops.length && ops[end + run][0] === ' ') {
+        run++;
+      }
+      if (end + run >= ops.length || run > context * 2) {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+      end += run;
+    }
+
+    const oldStart = ops.slice(0, start).filter(([op]) => op !== '+').length + 1;
+    const newStart = ops.slice(0, start).filter(([op]) => op !== '-').length + 1;
+    const hunkOps = ops.slice(start, end);
+    const oldCount = hunkOps.filter(([op]) => op !== '+').length;
+    const newCount = hunkOps.filter(([op]) => op !== '-').length;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    output.push(...hunkOps.map(([op, line]) => op + line));
+    index = end;
+  }
+
+  return output.length > 2 ? output.join('\n') : '';
+}
+
+// Write a file, first copying any existing version into the backup directory
+export function writeWithBackup(filePath, content, backupDir) {
+  const manifestPath = path.join(backupDir, 'manifest.json');
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : [];
+  const fullPath = path.resolve(filePath);
+  const existed = fs.existsSync(fullPath);
+
+  let backupPath = null;
+  if (existed) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    backupPath = path.join(backupDir, `${Date.now()}-${manifest.length}-${path.basename(fullPath)}`);
+    fs.copyFileSync(fullPath, backupPath);
+  }
+
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+
+  manifest.push({ file: fullPath, backup: backupPath, existed, writtenAt: new Date().toISOString() });
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return { backupPath, existed };
+}
+
+// Restore the most recent write; returns the entry that was undone, or null
+export function undoLastWrite(backupDir) {
+  const manifestPath = path.join(backupDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const entry = manifest.pop();
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.existed) {
+    fs.copyFileSync(entry.backup, entry.file);
+    fs.unlinkSync(entry.backup);
+  } else if (fs.existsSync(entry.file)) {
+    // The write created the file, so undoing it removes the file
+    fs.unlinkSync(entry.file);
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return entry;
+}
@@ -0,0 +1,76 @@
+// Sampling parameters sent with every request, keyed by their config.json name.
+// "flag" is the llama.cpp command-line option, "field" the llama-server/OpenAI request field.
+export const GENERATION_PARAMETERS = {
+  temperature: { type: 'number', min: 0, max: 2, flag: '--temp', field: 'temperature' },
+  topP: { type: 'number', min: 0, max: 1, flag: '--top-p', field: 'top_p' },
+  topK: { type: 'integer', min: 0, flag: '--top-k', field: 'top_k' },
+  minP: { type: 'number', min: 0, max: 1, flag: '--min-p', field: 'min_p' },
+  repeatPenalty: { type: 'number', min: 0, flag: '--repeat-penalty', field: 'repeat_penalty' },
+  seed: { type: 'integer', flag: '--seed', field: 'seed' },
+  stop: { type: 'list', flag: '-r', field: 'stop' },
+  maxTokens: { type: 'integer', min: 1, flag: '-n', field: 'max_tokens' }
+};
+
+// Accept the config name, the request field or the llama.cpp flag in any casing:
+// "topP", "top_p", "top-p", "temp"
+export function resolveParameterName(name) {
+  const normalize = (text) => text.replace(/[-_]/g, '').toLowerCase();
+  const wanted = normalize(name);
+  return Object.keys(GENERATION_PARAMETERS).find((key) => {
+    const { field, flag } = GENERATION_PARAMETERS[key];
+    return [key, field, flag.startsWith('--') ? flag : key].some((alias) => normalize(alias) === wanted);
+  }) || null;
+}
+
+// Turn command arguments into a parameter value; "default" (or "unset") clears it
+export function parseParameterValue(key, args) {
+  const spec = GENERATION_PARAMETERS[key];
+  const text = args.join(' ').trim();
+
+  if (!text) {
+    throw new Error(`Missing value for ${key}`);
+  }
+  if (text === 'default' || text === 'unset') {
+    return undefined;
+  }
+
+  if (spec.type === 'list') {
+    // Either a JSON array or one stop sequence per argument
+    if (text.startsWith('[')) {
+      let list;
+      try {
+        list = JSON.parse(text);
+      } catch {
+        throw new Error(`${key} must be a JSON array of strings`);
+      }
+      if (!Array.isArray(list) || !list.every((item) => typeof item === 'string' && item)) {
+        throw new Error(`${key} must be a JSON array of strings`);
+      }
+      return list;
+    }
+    return args.map((arg) => arg.replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean);
+  }
+
+  const value = Number(text);
+  if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+    throw new Error(`${key} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    throw new Error(`${key} must be at least ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    throw new Error(`${key} must be at most ${spec.max}`);
+  }
+  return value;
+}
+
+// The parameters that are set in a config object, in definition order
+export function pickParameters(config) {
+  const params = {};
+  for (const key of Object.keys(GENERATION_PARAMETERS)) {
+    if (config[key] !== undefined && config[key] !== null) {
+      params[key] = config[key];
+    }
+  }
+  return params;
+}
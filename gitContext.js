@@ -0,0 +1,128 @@
+import { execFileSync } from 'child_process';
+
+// Reading changes from the git repository in the working directory
+
+function git(args, cwd, input) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      input,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git is not installed');
+    }
+    const message = (error.stderr || error.message).toString().trim().split('\n')[0];
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+// Unified diff of the working tree, the index (staged) or against a ref
+export function readGitDiff({ staged = false, ref = null, cwd = process.cwd() } = {}) {
+  // Outside a repository git diff would compare files instead (--no-index)
+  try {
+    git(['rev-parse', '--git-dir'], cwd);
+  } catch (error) {
+    if (error.message === 'git is not installed') {
+      throw error;
+    }
+    throw new Error(`${cwd} is not in a git repository`);
+  }
+
+  const args = ['diff', '--no-color', '--no-ext-diff'];
+  if (staged) {
+    args.push('--staged');
+  }
+  if (ref) {
+    args.push(ref);
+  }
+  return git(args, cwd);
+}
+
+// A diff split into one part per file
+export function splitDiff(diff) {
+  const files = [];
+  for (const part of diff.split(/^(?=diff --git )/m)) {
+    if (!part.trim()) {
+      continue;
+    }
+    const header = part.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+    files.push({ path: header ? header[2] : '(unknown)', text: part.replace(/\n$/, '') });
+  }
+  return files;
+}
+
+// Keep the file header and as many whole hunks as fit; null if not even the header does
+function truncateFileDiff(text, maxTokens, estimateTokens) {
+  const [header, ...hunks] = text.split(/^(?=@@ )/m);
+  if (estimateTokens(header) > maxTokens) {
+    return null;
+  }
+
+  let kept = header;
+  let omitted = 0;
+  for (const hunk of hunks) {
+    if (omitted === 0 && estimateTokens(kept + hunk) <= maxTokens) {
+      kept += hunk;
+    } else {
+      omitted++;
+    }
+  }
+  return `${kept.replace(/\n$/, '')}\n... ${omitted} more hunk${omitted === 1 ? '' : 's'} omitted ...`;
+}
+
+// Fit a diff into a token budget. Files share the budget: small files are kept
+// whole and large ones are cut at hunk boundaries, so one huge file (a lockfile,
+// generated code) cannot crowd out the rest. Files are listed with the status
+// full, truncated or omitted.
+export function budgetDiff(diff, maxTokens, estimateTokens = (text) => Math.ceil(text.length / 4)) {
+  const files = splitDiff(diff).map((file) => ({ ...file, tokens: estimateTokens(file.text) }));
+  const smallestFirst = [...files].sort((a, b) => a.tokens - b.tokens);
+  let remaining = maxTokens;
+
+  smallestFirst.forEach((file, index) => {
+    const share = Math.floor(remaining / (smallestFirst.length - index));
+    if (file.tokens <= share) {
+      file.kept = file.text;
+      file.status = 'full';
+    } else {
+      file.kept = truncateFileDiff(file.text, share, estimateTokens);
+      file.status = file.kept ? 'truncated' : 'omitted';
+    }
+    remaining -= file.kept ? estimateTokens(file.kept) : 0;
+  });
+
+  const text = files
+    .map((file) => file.kept || `diff --git a/${file.path} b/${file.path}\n... diff omitted (~${file.tokens} tokens) ...`)
+    .join('\n');
+  return {
+    text,
+    tokens: estimateTokens(text),
+    truncated: files.some((file) => file.status !== 'full'),
+    files: files.map(({ path, tokens, status }) => ({ path, tokens, status }))
+  };
+}
+
+// The commit message in a reply, without code fences or a leading label
+export function extractCommitMessage(reply) {
+  let message = reply.trim();
+  const fenced = message.match(/```[\w-]*\n([\s\S]*?)\n```/);
+  if (fenced) {
+    message = fenced[1];
+  }
+  const [subject, ...body] = message.replace(/^(?:\*\*)?commit message:?(?:\*\*)?\s*/i, '').trim().split('\n');
+  // git expects a blank line between the summary and the body
+  if (body.length > 0 && body[0].trim()) {
+    body.unshift('');
+  }
+  return [subject, ...body].join('\n').trim();
+}
+
+// Commit the staged changes; resolves with git's summary line
+export function gitCommit(message, cwd = process.cwd()) {
+  const output = git(['commit', '-F', '-'], cwd, `${message.trim()}\n`);
+  return output.trim().split('\n')[0];
+}
@@ -0,0 +1,137 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Glob matching and gitignore-style rules (.aiignore, .gitignore)
+
+// Directories that are never worth walking
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+
+// Convert a glob (*, **, ?, [abc], {a,b}) into an anchored regular expression
+export function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += glob.slice(i, end + 1).replace(/^\[!/, '[^');
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+export function hasGlobChars(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+// Parse ignore file lines into rules. Negation ("!pattern") is not supported.
+export function parseIgnoreFile(content) {
+  const rules = [];
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+    const directoryOnly = line.endsWith('/');
+    const pattern = line.replace(/\/+$/, '');
+    // A pattern containing a slash is relative to the root; otherwise it matches at any depth
+    const anchored = pattern.includes('/');
+    rules.push({
+      directoryOnly,
+      anchored,
+      regex: globToRegExp(pattern.replace(/^\//, ''))
+    });
+  }
+  return rules;
+}
+
+// Build a matcher from the ignore files found in root (missing files are skipped)
+export function loadIgnoreRules(root, fileNames = ['.aiignore']) {
+  const rules = [];
+  for (const fileName of fileNames) {
+    const filePath = path.join(root, fileName);
+    if (fs.existsSync(filePath)) {
+      rules.push(...parseIgnoreFile(fs.readFileSync(filePath, 'utf8')));
+    }
+  }
+
+  // relativePath uses forward slashes and is relative to root
+  return function isIgnored(relativePath, isDirectory = false) {
+    const parts = relativePath.split('/');
+    if (parts.some((part) => ALWAYS_IGNORED.includes(part))) {
+      return true;
+    }
+
+    // A path is ignored if it, or any of its parent directories, matches a rule
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const candidate = parts.slice(0, depth).join('/');
+      const candidateIsDirectory = depth < parts.length || isDirectory;
+      for (const rule of rules) {
+        if (rule.directoryOnly && !candidateIsDirectory) {
+          continue;
+        }
+        const subject = rule.anchored ? candidate : parts[depth - 1];
+        if (rule.regex.test(subject)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+}
+
+// List files under root that are not ignored, as paths relative to root
+export function walkFiles(root, isIgnored, relativeDir = '') {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(root, relativeDir), { withFileTypes: true });
+  } catch {
+    return files;
+  }
+
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (isIgnored(relativePath, entry.isDirectory())) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(root, isIgnored, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
@@ -5,8 +5,9 @@
 
 import dotenv from 'dotenv';
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { Command } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
@@ -15,25 +16,107 @@ import gradient from 'gradient-string';
 import boxen from 'boxen';
 import ora from 'ora';
 import readline from 'readline';
-import PhindClient from './phindClient.js';
+import PhindClient, { SYSTEM_PROMPT } from './phindClient.js';
+import ModelSupervisor from './modelSupervisor.js';
+import ApiServer from './apiServer.js';
+import {
+  CODING_TASKS,
+  promptDirectories,
+  buildTaskPrompt,
+  parseTaskTarget,
+  readTaskInput,
+  detectTestFramework,
+  defaultTestFramework
+} from './codingTasks.js';
+import { loadProjectContext, findSection, updateSection, buildSystemPrompt } from './projectContext.js';
+import {
+  loadPromptLibrary,
+  parsePromptArguments,
+  missingVariables,
+  usesSelection,
+  renderPrompt
+} from './promptLibrary.js';
+import {
+  readAttachments,
+  formatAttachment,
+  formatAttachments,
+  extractEdits,
+  applyHunks,
+  createUnifiedDiff,
+  relativeToCwd,
+  writeWithBackup,
+  undoLastWrite
+} from './fileOperations.js';
+import SessionStore from './sessionStore.js';
+import { parseMarkdown, createMessage, writeFileAtomic } from './transcript.js';
+import ShellSession, { SHELL_TOOL_PROMPT, extractRunBlocks, formatCommandResult } from './shellTool.js';
+import { isCancelled } from './backends/errors.js';
+import { GENERATION_PARAMETERS, resolveParameterName, parseParameterValue } from './generationParameters.js';
+import { listModelProfiles, resolveModelConfig } from './modelProfiles.js';
+import { loadHistory, saveHistory, createCompleter, MultilineInput } from './replInput.js';
+import { renderMarkdown, createStreamRenderer, extractCodeBlocks } from './markdownRenderer.js';
+import { copyToClipboard } from './clipboard.js';
+import { loadConfig, describeConfig, updateConfigFile, userConfigPath } from './configLoader.js';
+import { readGitDiff, budgetDiff, extractCommitMessage, gitCommit } from './gitContext.js';
+import CodeIndex, { formatSources } from './codeIndex.js';
+import AuditLog, { DEFAULTS as AUDIT_DEFAULTS, GROUPINGS, summarizeUsage } from './auditLog.js';
+import {
+  DEFAULTS as REDACTION_DEFAULTS,
+  findSecrets,
+  redactSecrets,
+  maskSecret,
+  maskHomeDirectory
+} from './redaction.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_EXTENSIONS,
+  resolveExportFormat,
+  exportConversation,
+  readConversationFile
+} from './conversationFormats.js';
 
 // Setup __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load configuration
+// Effective configuration, loaded by loadConfiguration before any command runs
 let config;
-try {
-  config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
-} catch (error) {
-  console.error('Error loading config:', error.message);
-  process.exit(1);
-}
+let configSources = new Map();
+let configFiles = {};
+
+// Generation parameters changed with \set since the last \set save, by config key
+const unsavedParameters = new Map();
 
 // Global variables
 let phindClient = null;
+let supervisor = null;
+let apiServer = null;
+let activeModel = null;
+let modelConfig = null;
 let conversationHistory = [];
 let isConnected = false;
+let projectContext = null;
+let pendingAttachments = [];
+let shellSession = null;
+let lastCommandResult = null;
+let codeIndex = null;
+let auditLog = null;
+// Persona chosen with \system: { name, text }, or null for the default system prompt
+let systemPersona = null;
+let lastSources = [];
+let sessionStore = null;
+let activeSession = null;
+// Passphrase for encrypted transcripts, set by unlockSessions
+let sessionPassphrase = null;
+let chatInterface = null;
+let interactiveMode = true;
+let plainOutput = false;
+
+// Follow-up rounds allowed when the model keeps asking to run commands
+const MAX_TOOL_ROUNDS = 5;
+
+// Shown while a multi-line prompt is being entered
+const CONTINUATION_PROMPT = '... ';
 
 // Display logo
 function displayLogo() {
@@ -43,125 +126,1845 @@ function displayLogo() {
   console.log(chalk.blue('Local Phind-34B Coding Assistant\n'));
 }
 
+// Ask inquirer questions while the chat prompt is detached from the keyboard,
+// otherwise both readline instances would receive (and echo) the same keys
+async function promptUser(questions) {
+  const keypressListeners = process.stdin.listeners('keypress');
+  process.stdin.removeAllListeners('keypress');
+  chatInterface?.pause();
+  try {
+    return await inquirer.prompt(questions);
+  } finally {
+    for (const listener of keypressListeners) {
+      process.stdin.on('keypress', listener);
+    }
+    // inquirer leaves the terminal in cooked mode when it closes
+    if (chatInterface && process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    chatInterface?.resume();
+  }
+}
+
+// Metadata stored alongside the active session
+function sessionMetadata() {
+  return {
+    model: modelConfig ? modelConfig.modelPath : config.phind.modelPath,
+    profile: activeModel,
+    backend: phindClient ? phindClient.backend.name : config.phind.backend,
+    cwd: shellSession ? shellSession.cwd : process.cwd(),
+    tokens: phindClient ? phindClient.getContextUsage().current : 0,
+    summary: phindClient ? phindClient.summary : null
+  };
+}
+
+// Model settings recorded with each reply in the transcript
+function generationParams() {
+  return {
+    backend: phindClient ? phindClient.backend.name : config.phind.backend,
+    model: activeModel || modelConfig.modelPath,
+    ...phindClient.appliedParameters()
+  };
+}
+
+// Summary of compacted turns saved with the active session, if any
+function savedSummary() {
+  return sessionStore.get(activeSession).summary || null;
+}
+
+// Make a session active and remember it for the next start
+function setActiveSession(name) {
+  activeSession = name;
+  sessionStore.markUsed(name);
+}
+
+// Redaction settings with the defaults filled in
+function redactionSettings() {
+  return { ...REDACTION_DEFAULTS, ...config.redaction };
+}
+
+// Options for findSecrets: the API keys in the config are always secrets
+function redactionOptions() {
+  const settings = redactionSettings();
+  const apiKeys = [config.server.apiKey, config.phind.apiKey, ...Object.values(config.models || {}).map((profile) => profile.apiKey)];
+  return { literals: apiKeys.filter(Boolean), allowlist: settings.allowlist, highEntropy: settings.highEntropy };
+}
+
+// Text as it is written to a transcript: secrets masked and, with
+// redaction.maskHomeDirectory, the home directory shortened to ~
+function redactForStorage(text) {
+  const redacted = redactSecrets(text, redactionOptions());
+  return redactionSettings().maskHomeDirectory ? maskHomeDirectory(redacted) : redacted;
+}
+
+function openSessionStore() {
+  return new SessionStore(config.sessions.directory, {
+    redact: redactionSettings().transcripts ? redactForStorage : null,
+    passphrase: sessionPassphrase
+  });
+}
+
+// Get the passphrase for encrypted transcripts when sessions.encrypt is on or
+// QATERM_PASSPHRASE is set, asking for it in a terminal. It is checked against an
+// existing encrypted transcript; a new one is asked for twice.
+async function unlockSessions() {
+  const fromEnv = process.env.QATERM_PASSPHRASE || null;
+  if (!fromEnv && !config.sessions.encrypt) {
+    return;
+  }
+  const store = new SessionStore(config.sessions.directory);
+  
+  if (fromEnv) {
+    if (!store.checkPassphrase(fromEnv)) {
+      console.error(chalk.red('QATERM_PASSPHRASE does not open the encrypted sessions'));
+      process.exit(EXIT_CODES.USAGE);
+    }
+    sessionPassphrase = fromEnv;
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    console.error(chalk.red('sessions.encrypt is on: set QATERM_PASSPHRASE to read and save sessions'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const existing = store.hasEncryptedSessions();
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { passphrase } = await promptUser([{
+      type: 'password',
+      name: 'passphrase',
+      mask: '*',
+      message: existing ? 'Session passphrase:' : 'Choose a passphrase for encrypting sessions:',
+      validate: (value) => value.length > 0 || 'The passphrase cannot be empty'
+    }]);
+    if (existing) {
+      if (store.checkPassphrase(passphrase)) {
+        sessionPassphrase = passphrase;
+        return;
+      }
+      console.error(chalk.red('Wrong passphrase'));
+      continue;
+    }
+    const { confirmation } = await promptUser([{ type: 'password', name: 'confirmation', mask: '*', message: 'Repeat the passphrase:' }]);
+    if (confirmation === passphrase) {
+      sessionPassphrase = passphrase;
+      return;
+    }
+    console.error(chalk.red('The passphrases do not match'));
+  }
+  process.exit(EXIT_CODES.USAGE);
+}
+
+// Open the session store and make a session active, creating it if needed.
+// Without a name, the last used session (or the configured default) is opened.
+function openSession(requestedName) {
+  sessionStore = openSessionStore();
+  
+  // First run: adopt a current.md left in the working directory as the default session
+  const legacyFile = path.join(process.cwd(), config.coding.currentContextFile);
+  if (sessionStore.list().length === 0 && fs.existsSync(legacyFile)) {
+    try {
+      const messages = parseMarkdown(fs.readFileSync(legacyFile, 'utf8'));
+      sessionStore.create(config.sessions.default, sessionMetadata(), messages);
+      console.log(chalk.gray(`Imported ${config.coding.currentContextFile} as session "${config.sessions.default}"`));
+    } catch (error) {
+      console.error('Error importing conversation history:', error.message);
+    }
+  }
+  
+  const name = requestedName || sessionStore.lastUsed() || config.sessions.default;
+  if (!sessionStore.exists(name)) {
+    sessionStore.create(name, sessionMetadata());
+  }
+  setActiveSession(name);
+  loadConversationHistory();
+}
+
 // Load conversation history
 function loadConversationHistory() {
-  const historyFile = path.join(process.cwd(), config.coding.currentContextFile);
-  if (fs.existsSync(historyFile)) {
-    try {
-      const content = fs.readFileSync(historyFile, 'utf8');
-      // Parse conversation from markdown format
-      const lines = content.split('\n');
-      let currentMessage = '';
-      let currentRole = '';
-      
-      for (const line of lines) {
-        if (line.startsWith('## User')) {
-          if (currentMessage && currentRole) {
-            conversationHistory.push({ role: currentRole, content: currentMessage.trim() });
-          }
-          currentRole = 'user';
-          currentMessage = '';
-        } else if (line.startsWith('## Assistant')) {
-          if (currentMessage && currentRole) {
-            conversationHistory.push({ role: currentRole, content: currentMessage.trim() });
-          }
-          currentRole = 'assistant';
-          currentMessage = '';
-        } else if (line.trim() && currentRole) {
-          currentMessage += line + '\n';
+  try {
+    conversationHistory = sessionStore.load(activeSession);
+    
+    // Each session remembers where its shell commands ran
+    const { cwd } = sessionStore.get(activeSession);
+    if (shellSession && cwd && fs.existsSync(cwd)) {
+      shellSession.cwd = cwd;
+    }
+  } catch (error) {
+    console.error('Error loading conversation history:', error.message);
+  }
+}
+
+// Save conversation history
+function saveConversationHistory() {
+  try {
+    sessionStore.save(activeSession, conversationHistory, sessionMetadata());
+  } catch (error) {
+    console.error('Error saving conversation history:', error.message);
+  }
+}
+
+// \export [file] [--format markdown|json|openai|html] - write the session to a file.
+// The JSONL transcript stays the source of truth; exports are for reading and sharing.
+function processExportCommand(args) {
+  const words = args.filter(Boolean);
+  const formatIndex = words.indexOf('--format');
+  const requested = formatIndex === -1 ? null : words.splice(formatIndex, 2)[1];
+  if (formatIndex !== -1 && !requested) {
+    console.log(chalk.yellow(`Usage: \\export [file] [--format ${EXPORT_FORMATS.join('|')}]`));
+    return;
+  }
+  
+  const format = resolveExportFormat(words[0], requested);
+  const exportPath = path.resolve(words[0] || `${activeSession}${EXPORT_EXTENSIONS[format]}`);
+  const session = sessionStore.get(activeSession);
+  writeFileAtomic(exportPath, exportConversation(conversationHistory, format, {
+    name: activeSession,
+    createdAt: session.createdAt,
+    model: activeModel || modelConfig.modelPath,
+    systemPrompt: phindClient ? phindClient.systemPrompt : null
+  }));
+  console.log(chalk.blue(`Exported ${conversationHistory.length} messages to ${exportPath} (${format})`));
+}
+
+// A session name based on the file name that is not taken yet
+function importedSessionName(filePath) {
+  const base = path.basename(filePath).replace(/(\.openai)?\.\w+$/, '').replace(/[^\w.-]+/g, '-') || 'imported';
+  let name = base;
+  for (let suffix = 2; sessionStore.exists(name); suffix++) {
+    name = `${base}-${suffix}`;
+  }
+  return name;
+}
+
+// \import <file> [name] - load an export or an OpenAI message list into a new session and switch to it
+async function processImportCommand(args) {
+  const [file, requestedName] = args.filter(Boolean);
+  if (!file) {
+    console.log(chalk.yellow('Usage: \\import <file> [session name]'));
+    return;
+  }
+  
+  const filePath = path.resolve(file);
+  const imported = readConversationFile(filePath);
+  if (imported.messages.length === 0) {
+    console.log(chalk.yellow(`No user or assistant messages in ${file}`));
+    return;
+  }
+  
+  const name = requestedName || importedSessionName(filePath);
+  const tokens = imported.messages.reduce((sum, message) => sum + message.tokens, 0);
+  saveConversationHistory();
+  sessionStore.create(name, { ...sessionMetadata(), tokens, summary: null, importedFrom: filePath }, imported.messages);
+  console.log(chalk.blue(`Imported ${imported.messages.length} messages (${imported.format}) into session "${name}"`));
+  if (imported.skipped > 0) {
+    console.log(chalk.gray(`  ${imported.skipped} system or tool message(s) skipped; the session uses the current system prompt`));
+  }
+  await switchToSession(name);
+}
+
+// Make another stored session active and rebuild the model context from it
+async function switchToSession(name) {
+  sessionStore.get(name); // Fail before touching anything if it does not exist
+  saveConversationHistory();
+  setActiveSession(name);
+  loadConversationHistory();
+  
+  const spinner = ora(`Switching to session "${name}"...`).start();
+  try {
+    const result = await phindClient.switchConversation(conversationHistory, { summary: savedSummary() });
+    spinner.succeed(`Switched to session "${name}" (${result.restored} messages in context)`);
+    if (result.dropped > 0) {
+      console.log(chalk.gray(`  ${result.dropped} older messages dropped to fit the context window`));
+    }
+  } catch (error) {
+    spinner.fail(`Failed to switch session: ${error.message}`);
+  }
+}
+
+// Handle \session new|list|switch|fork|rm|rename
+async function processSessionCommand(args) {
+  const subcommand = (args[0] || 'list').toLowerCase();
+  const name = args[1];
+  
+  switch (subcommand) {
+    case 'list': {
+      const sessions = sessionStore.list();
+      console.log(chalk.cyan(`\nSessions (${sessionStore.directory}):`));
+      for (const session of sessions) {
+        const marker = session.name === activeSession ? chalk.green('*') : ' ';
+        const model = session.model ? path.basename(session.model) : 'unknown model';
+        console.log(`${marker} ${chalk.white(session.name.padEnd(20))} ${chalk.gray(`${session.messageCount} msgs, ~${session.tokens} tokens, ${model}, updated ${session.updatedAt}`)}`);
+        console.log(chalk.gray(`    ${session.cwd}`));
+      }
+      console.log('');
+      break;
+    }
+      
+    case 'new':
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\session new <name>'));
+        break;
+      }
+      saveConversationHistory();
+      sessionStore.create(name, { ...sessionMetadata(), summary: null, tokens: 0 });
+      setActiveSession(name);
+      conversationHistory = [];
+      await phindClient.switchConversation([]);
+      console.log(chalk.blue(`Started session "${name}"`));
+      break;
+      
+    case 'switch':
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\session switch <name>'));
+        break;
+      }
+      if (name === activeSession) {
+        console.log(chalk.gray(`Already in session "${name}"`));
+        break;
+      }
+      await switchToSession(name);
+      break;
+      
+    case 'fork':
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\session fork <name>'));
+        break;
+      }
+      // The fork starts with the same turns, so the model context stays as it is
+      saveConversationHistory();
+      sessionStore.fork(activeSession, name);
+      console.log(chalk.blue(`Forked "${activeSession}" into "${name}" and switched to it`));
+      setActiveSession(name);
+      break;
+      
+    case 'rm':
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\session rm <name>'));
+        break;
+      }
+      if (name === activeSession) {
+        console.log(chalk.red('Cannot remove the active session; switch to another one first'));
+        break;
+      }
+      sessionStore.get(name);
+      if (process.stdin.isTTY) {
+        const { confirmed } = await promptUser([{
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Delete session "${name}" and its transcript?`,
+          default: false
+        }]);
+        if (!confirmed) {
+          break;
         }
       }
+      sessionStore.remove(name);
+      console.log(chalk.blue(`Removed session "${name}"`));
+      break;
       
-      if (currentMessage && currentRole) {
-        conversationHistory.push({ role: currentRole, content: currentMessage.trim() });
+    case 'rename': {
+      // "\session rename <new>" renames the active session
+      const [from, to] = args.length > 2 ? [args[1], args[2]] : [activeSession, args[1]];
+      if (!to) {
+        console.log(chalk.yellow('Usage: \\session rename [<old>] <new>'));
+        break;
+      }
+      if (from === activeSession) {
+        saveConversationHistory();
+      }
+      sessionStore.rename(from, to);
+      if (from === activeSession) {
+        setActiveSession(to);
       }
+      console.log(chalk.blue(`Renamed "${from}" to "${to}"`));
+      break;
+    }
+      
+    default:
+      console.log(chalk.yellow('Usage: \\session new|list|switch|fork|rm|rename'));
+  }
+}
+
+// Load ai.md (searching up from cwd) and build the system prompt from it
+function applyProjectContext() {
+  projectContext = config.coding.enabled ? loadProjectContext(config.coding.projectContextFile) : null;
+  if (phindClient) {
+    let systemPrompt = buildSystemPrompt(baseSystemPrompt(), projectContext);
+    // Commands can only be approved in the REPL
+    if (config.shell.enabled && interactiveMode) {
+      systemPrompt += `\n\n${SHELL_TOOL_PROMPT}`;
+    }
+    phindClient.setSystemPrompt(systemPrompt);
+  }
+}
+
+// The persona chosen with \system, else system.md from the prompt library, else the built-in prompt
+function baseSystemPrompt() {
+  if (systemPersona) {
+    return systemPersona.text;
+  }
+  const custom = loadPrompts().get('system');
+  if (custom) {
+    try {
+      return renderPrompt(custom, {});
     } catch (error) {
-      console.error('Error loading conversation history:', error.message);
+      console.log(chalk.yellow(`Ignoring ${custom.path}: ${error.message}`));
     }
   }
+  return SYSTEM_PROMPT;
 }
 
-// Save conversation history
-function saveConversationHistory() {
-  const historyFile = path.join(process.cwd(), config.coding.currentContextFile);
-  let content = `# Current Conversation\n\nStarted: ${new Date().toISOString()}\n\n`;
+// The prompt library: .md files in the project's and the user's prompts directories
+function loadPrompts() {
+  return loadPromptLibrary(promptDirectories(config.coding.promptsDirectory, process.cwd()));
+}
+
+// Parse "<name> [key=value ...] [text]" and render the prompt, asking for
+// variables that have neither a value nor a default
+async function preparePrompt(rest) {
+  const [name = '', ...words] = rest.split(/\s+/);
+  const prompt = loadPrompts().get(name);
+  if (!prompt) {
+    throw new Error(`No prompt named "${name}" (\\prompt list shows them)`);
+  }
+  
+  const { selection: selectionTarget, ...values } = parsePromptArguments(words.join(' '));
+  const selection = usesSelection(prompt) ? promptSelection(selectionTarget) : null;
+  if (usesSelection(prompt) && selection === null) {
+    throw new Error(`${prompt.name} needs a selection: add selection=<file>[:<start>-<end>] or attach files with \\read`);
+  }
+  
+  for (const variable of missingVariables(prompt, values)) {
+    if (!process.stdin.isTTY) {
+      break; // renderPrompt reports what is missing
+    }
+    const { answer } = await promptUser([{ type: 'input', name: 'answer', message: `${variable}:` }]);
+    values[variable] = answer;
+  }
+  return { prompt, text: renderPrompt(prompt, values, { selection }) };
+}
+
+// {{selection}}: selection=<file>[:<start>-<end>] (or --diff/--staged), else the
+// files attached with \read or \diff, which are then used up
+function promptSelection(target) {
+  if (target) {
+    return readTaskInput(parseTaskTarget([target]), {
+      estimateTokens: (text) => phindClient.estimateTokens(text),
+      maxDiffTokens: diffTokenBudget()
+    }).input;
+  }
+  if (pendingAttachments.length > 0) {
+    const text = pendingAttachments.map(formatAttachment).join('\n\n');
+    pendingAttachments = [];
+    return text;
+  }
+  return null;
+}
+
+// \prompt list|show <name>|use <name> [key=value ...] [text]
+async function processPromptCommand(rest) {
+  const [subcommand = 'list'] = rest.split(/\s+/);
+  const remainder = rest.slice(subcommand.length).trim();
+  
+  switch (subcommand.toLowerCase()) {
+    case 'list': {
+      const prompts = [...loadPrompts().values()];
+      if (prompts.length === 0) {
+        const directories = promptDirectories(config.coding.promptsDirectory, process.cwd());
+        console.log(chalk.gray(`No prompts yet. Add .md files to ${directories.join(' or ')}`));
+        return;
+      }
+      console.log(chalk.cyan('\nPrompt library:'));
+      for (const prompt of prompts) {
+        const kind = prompt.type === 'system' ? chalk.magenta(' [system]') : '';
+        console.log(`  ${prompt.name}${kind}${prompt.description ? chalk.gray(` - ${prompt.description}`) : ''}`);
+      }
+      console.log('');
+      break;
+    }
+      
+    case 'show': {
+      const prompt = loadPrompts().get(remainder);
+      if (!prompt) {
+        console.log(chalk.yellow(`No prompt named "${remainder}"`));
+        return;
+      }
+      console.log(chalk.cyan(`\n${prompt.name} (${prompt.path})`));
+      const defaults = Object.entries(prompt.defaults).map(([key, value]) => (value === null ? key : `${key}=${value}`));
+      if (defaults.length > 0) {
+        console.log(chalk.gray(`Variables: ${defaults.join(', ')}`));
+      }
+      console.log(`${prompt.body}\n`);
+      break;
+    }
+      
+    case 'use': {
+      let prepared;
+      try {
+        prepared = await preparePrompt(remainder);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+        return;
+      }
+      await submitPrompt(prepared.text);
+      break;
+    }
+      
+    default:
+      console.log(chalk.yellow('Usage: \\prompt list|show <name>|use <name> [key=value ...] [text]'));
+  }
+}
+
+// \system [<name> [key=value ...]|default] - show or swap the system persona
+async function processSystemCommand(rest) {
+  if (!rest) {
+    const text = baseSystemPrompt();
+    console.log(chalk.cyan(`\nSystem prompt: ${systemPersona ? systemPersona.name : 'default'}`));
+    console.log(chalk.gray(`${text.slice(0, 300)}${text.length > 300 ? '...' : ''}\n`));
+    return;
+  }
+  
+  if (rest === 'default') {
+    systemPersona = null;
+  } else {
+    let prepared;
+    try {
+      prepared = await preparePrompt(rest);
+    } catch (error) {
+      console.log(chalk.red(error.message));
+      return;
+    }
+    systemPersona = { name: prepared.prompt.name, text: prepared.text };
+  }
   
-  for (const message of conversationHistory) {
-    content += `## ${message.role === 'user' ? 'User' : 'Assistant'}\n${message.content}\n\n`;
+  applyProjectContext();
+  console.log(chalk.blue(`System prompt: ${systemPersona ? systemPersona.name : 'default'} (from the next request; the conversation is kept)`));
+}
+
+// Handle \project show|edit|reload
+async function processProjectCommand(args) {
+  const subcommand = (args[0] || 'show').toLowerCase();
+  
+  switch (subcommand) {
+    case 'show':
+      if (!projectContext) {
+        console.log(chalk.yellow(`No ${config.coding.projectContextFile} found in ${process.cwd()} or its parents`));
+        break;
+      }
+      console.log(chalk.cyan(`\nProject context: ${projectContext.path}`));
+      for (const section of projectContext.sections) {
+        console.log(chalk.white(`\n## ${section.heading}`));
+        console.log(chalk.gray(section.body || '(empty)'));
+      }
+      console.log('');
+      break;
+      
+    case 'edit': {
+      const name = args.slice(1).join(' ');
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\project edit <section>'));
+        break;
+      }
+      const filePath = projectContext ? projectContext.path : path.join(process.cwd(), config.coding.projectContextFile);
+      const section = projectContext ? findSection(projectContext, name) : null;
+      const heading = section ? section.heading : name;
+      
+      const { body } = await promptUser([{
+        type: 'editor',
+        name: 'body',
+        message: `Edit "${heading}" in ${filePath}`,
+        default: section ? section.body : ''
+      }]);
+      
+      updateSection(filePath, heading, body);
+      applyProjectContext();
+      console.log(chalk.blue(`Updated "${heading}" in ${filePath}`));
+      break;
+    }
+      
+    case 'reload':
+      applyProjectContext();
+      if (projectContext) {
+        console.log(chalk.blue(`Reloaded project context from ${projectContext.path}`));
+      } else {
+        console.log(chalk.yellow(`No ${config.coding.projectContextFile} found; using the base system prompt`));
+      }
+      break;
+      
+    default:
+      console.log(chalk.yellow('Usage: \\project show | edit <section> | reload'));
   }
+}
+
+// Print the sampling parameters in effect, flagging any the backend ignores
+function showParameters() {
+  const current = phindClient.getParameters();
+  const unsupported = phindClient.unsupportedParameters();
   
+  console.log(chalk.cyan('\nGeneration parameters:'));
+  for (const key of Object.keys(GENERATION_PARAMETERS)) {
+    const value = current[key] === undefined ? 'backend default' : JSON.stringify(current[key]);
+    const note = unsupported.includes(key) ? chalk.yellow(' (not supported by this backend)') : '';
+    console.log(chalk.gray(`  ${key.padEnd(14)} ${value}`) + note);
+  }
+  console.log('');
+}
+
+// Layer the config files, QATERM_* variables and --config overrides; exits on invalid settings
+function loadConfiguration(overrides = []) {
   try {
-    fs.writeFileSync(historyFile, content);
+    const loaded = loadConfig({ defaultsFile: path.join(__dirname, 'config.json'), overrides });
+    ({ config, sources: configSources, files: configFiles } = loaded);
+    for (const warning of loaded.warnings) {
+      console.error(chalk.yellow(`Config warning: ${warning}`));
+    }
   } catch (error) {
-    console.error('Error saving conversation history:', error.message);
+    console.error(chalk.red(`Configuration error: ${error.message}`));
+    for (const problem of error.problems || []) {
+      console.error(chalk.red(`  ${problem}`));
+    }
+    process.exit(EXIT_CODES.USAGE);
   }
 }
 
-// Connect to Phind
-async function connectToPhind() {
-  const spinner = ora('Connecting to Phind-34B...').start();
+// Write the parameters changed with \set to the user config, so every project picks them up
+function saveConfig() {
+  const file = userConfigPath();
+  for (const [keyPath, value] of unsavedParameters) {
+    updateConfigFile(file, keyPath, value);
+    configSources.set(keyPath, file.replace(os.homedir(), '~'));
+  }
+  const saved = unsavedParameters.size;
+  unsavedParameters.clear();
+  return { file, saved };
+}
+
+// Handle \set [<param> <value|default>] and \set save
+function processSetCommand(args) {
+  if (args.length === 0) {
+    showParameters();
+    return;
+  }
+  
+  if (args[0].toLowerCase() === 'save') {
+    if (unsavedParameters.size === 0) {
+      console.log(chalk.gray('No parameters changed with \\set to save'));
+      return;
+    }
+    try {
+      const { file, saved } = saveConfig();
+      console.log(chalk.blue(`Saved ${saved} parameter${saved === 1 ? '' : 's'} to ${file}`));
+    } catch (error) {
+      console.log(chalk.red(`Could not save the user config: ${error.message}`));
+    }
+    return;
+  }
+  
+  const key = resolveParameterName(args[0]);
+  if (!key) {
+    console.log(chalk.yellow(`Unknown parameter "${args[0]}". Available: ${Object.keys(GENERATION_PARAMETERS).join(', ')}`));
+    return;
+  }
   
+  let value;
   try {
-    phindClient = new PhindClient(config.phind);
-    
-    phindClient.on('ready', () => {
-      spinner.succeed('Connected to Phind-34B');
-      isConnected = true;
-    });
-    
-    phindClient.on('disconnected', (code) => {
-      console.log(chalk.yellow(`Phind disconnected with code: ${code}`));
-      isConnected = false;
-    });
-    
-    await phindClient.connect();
-    
-    // Load conversation history
-    loadConversationHistory();
-    
+    value = parseParameterValue(key, args.slice(1));
+  } catch (error) {
+    console.log(chalk.yellow(error.message));
+    return;
+  }
+  
+  // The reply is reserved out of the context window, so the conversation needs some of it too
+  const { contextSize } = phindClient.config;
+  if (key === 'maxTokens' && value !== undefined && value >= contextSize) {
+    console.log(chalk.yellow(`maxTokens must be below the context size (${contextSize}), or nothing is left for the conversation`));
+    return;
+  }
+  
+  // Saved into the active model profile, or the phind block when there are none
+  const target = activeModel ? config.models[activeModel] : config.phind;
+  for (const settings of [target, modelConfig]) {
+    if (value === undefined) {
+      delete settings[key];
+    } else {
+      settings[key] = value;
+    }
+  }
+  // null in a config file stands for "not set", overriding a value from a lower layer
+  const keyPath = activeModel ? `models.${activeModel}.${key}` : `phind.${key}`;
+  unsavedParameters.set(keyPath, value === undefined ? null : value);
+  configSources.set(keyPath, 'session (\\set)');
+  const result = phindClient.setParameter(key, value);
+  
+  console.log(chalk.blue(`${key} = ${value === undefined ? 'backend default' : JSON.stringify(value)} (from the next request; \\set save to keep it)`));
+  if (!result.applied) {
+    console.log(chalk.yellow(`${path.basename(modelConfig.llamaPath)} takes no sampling flags, so ${key} has no effect with the spawn backend; use llama-cli or the http backend`));
+  }
+}
+
+// \config [show [prefix]] - the effective settings and the layer each one came from
+function processConfigCommand(args) {
+  const [subcommand = 'show', prefix = ''] = args;
+  if (subcommand !== 'show') {
+    console.log(chalk.yellow('Usage: \\config [show [prefix]]'));
+    return;
+  }
+  
+  const rows = describeConfig(config, configSources, prefix);
+  if (rows.length === 0) {
+    console.log(chalk.yellow(`No settings under "${prefix}"`));
+    return;
+  }
+  
+  console.log(chalk.cyan('\nConfiguration layers (later ones win):'));
+  console.log(chalk.gray(`  defaults  ${configFiles.defaults}`));
+  console.log(chalk.gray(`  user      ${configFiles.user || `${userConfigPath()} (not present)`}`));
+  console.log(chalk.gray(`  project   ${configFiles.project || '.qaterm.json (not present)'}`));
+  console.log(chalk.gray('  env       QATERM_* variables, e.g. QATERM_PHIND_CONTEXT_SIZE'));
+  console.log(chalk.gray('  --config  key=value on the command line'));
+  
+  console.log(chalk.cyan(`\nEffective settings${prefix ? ` (${prefix})` : ''}:`));
+  const keyWidth = Math.min(40, Math.max(...rows.map(([key]) => key.length)));
+  for (const [key, value, source] of rows) {
+    const shown = value.length > 60 ? `${value.slice(0, 57)}...` : value;
+    console.log(`  ${key.padEnd(keyWidth)} ${shown} ${chalk.gray(`(${source})`)}`);
+  }
+  if (activeModel) {
+    console.log(chalk.gray(`\nModel profile ${activeModel} is active: models.${activeModel}.* override phind.*`));
+  }
+  console.log('');
+}
+
+// Backups of files written by \apply live alongside the project
+function getBackupDir() {
+  return path.join(process.cwd(), '.qaterm', 'backups');
+}
+
+function fileOperationsEnabled() {
+  if (!config.features.fileOperations) {
+    console.log(chalk.yellow('File operations are disabled (features.fileOperations in config.json)'));
+    return false;
+  }
+  return true;
+}
+
+// Colour a unified diff for the terminal
+function formatDiff(diff) {
+  return diff.split('\n').map((line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      return chalk.bold(line);
+    }
+    if (line.startsWith('@@')) {
+      return chalk.cyan(line);
+    }
+    if (line.startsWith('+')) {
+      return chalk.green(line);
+    }
+    if (line.startsWith('-')) {
+      return chalk.red(line);
+    }
+    return chalk.gray(line);
+  }).join('\n');
+}
+
+// \read <path|glob> - attach files to the next prompt
+function processReadCommand(args) {
+  const pattern = args.join(' ');
+  
+  if (!pattern) {
+    if (pendingAttachments.length === 0) {
+      console.log(chalk.gray('No files attached. Usage: \\read <path|glob>'));
+    } else {
+      console.log(chalk.cyan('\nAttached to next prompt:'));
+      for (const attachment of pendingAttachments) {
+        console.log(chalk.gray(`  ${attachment.path} (~${attachment.tokens} tokens)`));
+      }
+      console.log('');
+    }
+    return;
+  }
+  
+  if (pattern === 'clear') {
+    pendingAttachments = [];
+    console.log(chalk.blue('Attachments cleared'));
+    return;
+  }
+  
+  const attachments = readAttachments(pattern, {
+    estimateTokens: (text) => phindClient.estimateTokens(text)
+  });
+  if (attachments.length === 0) {
+    console.log(chalk.yellow(`No readable files match ${pattern}`));
+    return;
+  }
+  
+  // Replace earlier attachments of the same file
+  const paths = new Set(attachments.map((attachment) => attachment.path));
+  pendingAttachments = [...pendingAttachments.filter((attachment) => !paths.has(attachment.path)), ...attachments];
+  
+  for (const attachment of attachments) {
+    console.log(chalk.gray(`  + ${attachment.path} (~${attachment.tokens} tokens)`));
+  }
+  showAttachmentBudget();
+}
+
+// Preview the token cost of the pending attachments against the context budget
+function showAttachmentBudget() {
+  const usage = phindClient.getContextUsage();
+  const attachedTokens = pendingAttachments.reduce((sum, attachment) => sum + attachment.tokens, 0);
+  const percentAfter = Math.round(((usage.current + attachedTokens) / usage.max) * 100);
+  const summary = `${pendingAttachments.length} file(s), ~${attachedTokens} tokens attached to the next prompt; context after sending: ~${percentAfter}% of ${usage.max}`;
+  if (percentAfter > 90) {
+    console.log(chalk.red(`${summary} - too large, use \\read clear or attach fewer files`));
+  } else if (percentAfter > 60) {
+    console.log(chalk.yellow(summary));
+  } else {
+    console.log(chalk.blue(summary));
+  }
+}
+
+// Diffs may take up to this share of the context left after the system prompt.
+// Larger ones are cut down per file (see budgetDiff) so they never hit the limit.
+const DIFF_CONTEXT_SHARE = 0.5;
+
+function diffTokenBudget() {
+  const { max } = phindClient.getContextUsage();
+  const pending = pendingAttachments.reduce((sum, attachment) => sum + attachment.tokens, 0);
+  return Math.max(0, Math.floor((max - phindClient.systemPromptTokens) * DIFF_CONTEXT_SHARE) - pending);
+}
+
+function fitDiff(diff, maxTokens) {
+  return budgetDiff(diff, maxTokens, (text) => phindClient.estimateTokens(text));
+}
+
+// \diff [--staged|<ref>] - attach the git diff to the next prompt
+function processDiffCommand(args) {
+  const [option] = args.filter(Boolean);
+  const staged = option === '--staged';
+  const label = option ? `git diff ${option}` : 'git diff';
+  
+  const diff = readGitDiff({ staged, ref: staged ? null : option });
+  if (!diff.trim()) {
+    console.log(chalk.yellow(staged ? 'No staged changes' : 'No changes'));
+    return;
+  }
+  
+  // Only one diff is attached at a time
+  pendingAttachments = pendingAttachments.filter((attachment) => !attachment.diff);
+  const budgeted = fitDiff(diff, diffTokenBudget());
+  const attachment = { path: label, heading: `Changes (${label}):`, language: 'diff', content: budgeted.text, diff: budgeted };
+  attachment.tokens = phindClient.estimateTokens(formatAttachment(attachment));
+  pendingAttachments.push(attachment);
+  
+  for (const file of budgeted.files) {
+    if (file.status === 'full') {
+      console.log(chalk.gray(`  + ${file.path} (~${file.tokens} tokens)`));
+    } else {
+      console.log(chalk.yellow(`  ${file.status === 'truncated' ? '~' : '-'} ${file.path} (~${file.tokens} tokens, ${file.status === 'truncated' ? 'cut to fit' : 'left out'})`));
+    }
+  }
+  if (budgeted.truncated) {
+    console.log(chalk.yellow(`Diff cut to ~${budgeted.tokens} tokens to fit the context; ask about a file with \\read to see it whole`));
+  }
+  showAttachmentBudget();
+}
+
+// Prompt asking for a commit message for the staged diff
+function commitMessagePrompt(diff, instructions) {
+  const budgeted = fitDiff(diff, diffTokenBudget());
+  if (budgeted.truncated) {
+    console.error(chalk.yellow(`Diff cut to ~${budgeted.tokens} tokens to fit the context`));
+  }
+  return buildTaskPrompt('commit', {
+    subject: 'staged changes (git diff --staged)',
+    input: `\`\`\`diff\n${budgeted.text.trimEnd()}\n\`\`\``,
+    instructions
+  }, promptDirectories(config.coding.promptsDirectory, process.cwd()));
+}
+
+// \commit [instructions] - draft a message for the staged changes and commit after confirmation
+async function processCommitCommand(instructions) {
+  const diff = readGitDiff({ staged: true });
+  if (!diff.trim()) {
+    console.log(chalk.yellow('Nothing staged; stage changes with git add first'));
+    return;
+  }
+  
+  const stream = config.interface.streamResponses;
+  const reply = await sendMessage(commitMessagePrompt(diff, instructions), { stream });
+  if (reply === null) {
+    return;
+  }
+  if (!stream) {
+    console.log('\n' + formatResponse(reply) + '\n');
+  }
+  
+  let message = extractCommitMessage(reply);
+  for (;;) {
+    if (!message) {
+      console.log(chalk.yellow('Empty commit message; nothing committed'));
+      return;
+    }
+    console.log(chalk.cyan('Commit message:'));
+    console.log(message.split('\n').map((line) => `  ${line}`).join('\n') + '\n');
+    
+    const { action } = await promptUser([{
+      type: 'list',
+      name: 'action',
+      message: 'Commit the staged changes with this message?',
+      choices: [
+        { name: 'Commit', value: 'commit' },
+        { name: 'Edit the message first', value: 'edit' },
+        { name: 'Cancel', value: 'cancel' }
+      ]
+    }]);
+    
+    if (action === 'cancel') {
+      console.log(chalk.gray('Nothing committed'));
+      return;
+    }
+    if (action === 'commit') {
+      break;
+    }
+    const { edited } = await promptUser([{
+      type: 'editor',
+      name: 'edited',
+      message: 'Edit the commit message',
+      default: message,
+      waitUserInput: false
+    }]);
+    message = edited.trim();
+  }
+  
+  console.log(chalk.green(gitCommit(message)));
+}
+
+// \apply - write code blocks or diffs from the last reply to disk after confirmation
+async function processApplyCommand() {
+  const lastReply = [...conversationHistory].reverse().find((message) => message.role === 'assistant');
+  const edits = lastReply ? extractEdits(lastReply.content) : [];
+  if (edits.length === 0) {
+    console.log(chalk.yellow('No code blocks or diffs found in the last reply'));
+    return;
+  }
+  
+  for (const [index, edit] of edits.entries()) {
+    let targetPath = edit.path;
+    if (!targetPath) {
+      const { answer } = await promptUser([{
+        type: 'input',
+        name: 'answer',
+        message: `Block ${index + 1}${edit.language ? ` (${edit.language})` : ''} has no file name. Write it to (empty to skip):`
+      }]);
+      targetPath = answer.trim();
+      if (!targetPath) {
+        continue;
+      }
+    }
+    
+    const relative = relativeToCwd(targetPath);
+    if (!relative) {
+      console.log(chalk.red(`Skipping ${targetPath}: outside the working directory`));
+      continue;
+    }
+    
+    const fullPath = path.join(process.cwd(), relative);
+    const original = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+    let updated;
+    try {
+      updated = edit.type === 'diff' ? applyHunks(original, edit.hunks) : edit.content;
+    } catch (error) {
+      console.log(chalk.red(`Cannot apply diff to ${relative}: ${error.message}`));
+      continue;
+    }
+    
+    const diff = createUnifiedDiff(original, updated, relative);
+    if (!diff) {
+      console.log(chalk.gray(`${relative} is already up to date`));
+      continue;
+    }
+    console.log('\n' + formatDiff(diff) + '\n');
+    
+    const { confirmed } = await promptUser([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `${original ? 'Write changes to' : 'Create'} ${relative}?`,
+      default: false
+    }]);
+    if (confirmed) {
+      writeWithBackup(fullPath, updated, getBackupDir());
+      console.log(chalk.green(`Wrote ${relative} (undo with \\undo)`));
+    }
+  }
+}
+
+// Run a shell command after the user approves it; resolves with the result text for the model, or null
+async function runShellCommand(command, requestedBy) {
+  if (!config.shell.enabled) {
+    console.log(chalk.yellow('Shell commands are disabled (shell.enabled in config.json)'));
+    return null;
+  }
+  
+  const check = shellSession.checkCommand(command);
+  if (!check.allowed) {
+    console.log(chalk.red(`Refusing to run: ${check.reason}`));
+    return null;
+  }
+  
+  if (!process.stdin.isTTY) {
+    console.log(chalk.yellow(`Not running "${command}": approving commands needs an interactive terminal`));
+    return null;
+  }
+  
+  console.log(chalk.cyan(`\n${requestedBy === 'model' ? 'The assistant wants to run' : 'Run'}: `) + chalk.white(command));
+  console.log(chalk.gray(`  in ${shellSession.cwd}`));
+  const { confirmed } = await promptUser([{
+    type: 'confirm',
+    name: 'confirmed',
+    message: 'Run this command?',
+    default: false
+  }]);
+  if (!confirmed) {
+    return null;
+  }
+  
+  const spinner = ora(`Running ${command}`).start();
+  try {
+    const result = await shellSession.run(command);
+    lastCommandResult = result;
+    spinner.stop();
+    if (result.stdout) {
+      console.log(chalk.gray(result.stdout.trimEnd()));
+    }
+    if (result.stderr) {
+      console.log(chalk.red(result.stderr.trimEnd()));
+    }
+    const status = result.timedOut ? `timed out after ${result.timeout / 1000}s` : `exit code ${result.exitCode}`;
+    console.log(chalk.gray(`(${status}${result.truncated ? ', output truncated' : ''})\n`));
+    return formatCommandResult(result);
+  } catch (error) {
+    spinner.fail(error.message);
+    return null;
+  }
+}
+
+// \explain, \review, \test, \refactor, \fix - wrap code (or a failing command's
+// output) in the task's prompt template and send it
+async function processTaskCommand(task, rest) {
+  const { feature } = CODING_TASKS[task];
+  if (config.features[feature] === false) {
+    console.log(chalk.yellow(`\\${task} is disabled (features.${feature} in config.json)`));
+    return;
+  }
+  
+  let values;
+  try {
+    values = task === 'fix' ? await fixTaskInput(rest) : codeTaskInput(task, rest);
+  } catch (error) {
+    console.log(chalk.red(error.message));
+    return;
+  }
+  if (!values) {
+    return;
+  }
+  
+  const directories = promptDirectories(config.coding.promptsDirectory, process.cwd());
+  await submitPrompt(buildTaskPrompt(task, values, directories));
+}
+
+function codeTaskInput(task, rest) {
+  let target = parseTaskTarget(rest.split(/\s+/));
+  
+  // Plain \review reviews the diff attached with \diff, or else all uncommitted changes
+  if (!target && task === 'review') {
+    if (pendingAttachments.some((attachment) => attachment.diff)) {
+      return { subject: 'changes (the git diff above)', input: '' };
+    }
+    target = { kind: 'diff', staged: false, ref: 'HEAD', instructions: '' };
+  }
+  if (!target) {
+    const diffOption = task === 'test' ? '' : ' | --diff | --staged';
+    console.log(chalk.yellow(`Usage: \\${task} <file>[:<start>-<end>]${diffOption} [instructions]`));
+    return null;
+  }
+  if (target.kind === 'file' && !fileOperationsEnabled()) {
+    return null;
+  }
+  
+  const values = readTaskInput(target, {
+    estimateTokens: (text) => phindClient.estimateTokens(text),
+    maxDiffTokens: diffTokenBudget()
+  });
+  if (values.diff?.truncated) {
+    console.log(chalk.yellow(`Diff cut to ~${values.diff.tokens} tokens to fit the context`));
+  }
+  if (task === 'test') {
+    values.framework = detectTestFramework(process.cwd()) || defaultTestFramework(values.language);
+    console.log(chalk.gray(`Writing tests with ${values.framework}`));
+  }
+  return values;
+}
+
+// \fix <command> runs the command first; plain \fix uses the last command run
+async function fixTaskInput(rest) {
+  if (rest) {
+    const output = await runShellCommand(rest, 'user');
+    if (!output) {
+      return null;
+    }
+  } else if (!lastCommandResult) {
+    console.log(chalk.yellow('Usage: \\fix <command> (or run the failing command with \\run first)'));
+    return null;
+  }
+  
+  const result = lastCommandResult;
+  if (result.exitCode === 0 && !result.timedOut) {
+    console.log(chalk.green(`${result.command} succeeded; nothing to fix`));
+    return null;
+  }
+  return { subject: `output of ${result.command}`, input: formatCommandResult(result) };
+}
+
+// Send what the user typed, with any files attached by \read and the indexed code that matches it
+async function submitPrompt(input) {
+  try {
+    let message = pendingAttachments.length > 0 ? formatAttachments(pendingAttachments, input) : input;
+    let attachmentTokens = pendingAttachments.reduce((sum, attachment) => sum + attachment.tokens, 0);
+    pendingAttachments = [];
+    
+    lastSources = await retrieveSources(input, phindClient.estimateTokens(message));
+    if (lastSources.length > 0) {
+      const sources = formatSources(lastSources);
+      message = `${sources}\n\n${message}`;
+      attachmentTokens += phindClient.estimateTokens(sources);
+    }
+    
+    await converse(message, { attachmentTokens });
+    
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+  }
+}
+
+// Open the project's search index if \index has built one
+function loadCodeIndex() {
+  codeIndex = new CodeIndex(process.cwd(), config.retrieval);
+  try {
+    if (codeIndex.load()) {
+      const stats = codeIndex.getStats();
+      console.log(chalk.gray(`Code index: ${stats.files} files, ${stats.chunks} chunks (\\index to update)`));
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`Cannot read the code index: ${error.message}. Rebuild it with \\index`));
+  }
+}
+
+// The indexed chunks that best match the prompt, as many of the top ones as fit a
+// quarter of the context left after the message (and at most retrieval.maxTokens)
+async function retrieveSources(query, messageTokens) {
+  if (!codeIndex || !codeIndex.options.enabled || codeIndex.chunks.length === 0) {
+    return [];
+  }
+  
+  const { topK, maxTokens } = codeIndex.options;
+  let budget = Math.min(maxTokens, Math.floor((phindClient.getContextUsage().available - messageTokens) / 4));
+  
+  let queryEmbedding = null;
+  if (codeIndex.hasEmbeddings) {
+    const vectors = await phindClient.embed([query]).catch(() => null);
+    queryEmbedding = vectors ? vectors[0] : null;
+  }
+  
+  const sources = [];
+  const results = codeIndex.search(query, { limit: topK * 2, queryEmbedding });
+  for (const result of results) {
+    const tokens = phindClient.estimateTokens(formatSources([result]));
+    if (sources.length >= topK || tokens > budget) {
+      continue;
+    }
+    sources.push({ ...result, tokens });
+    budget -= tokens;
+  }
+  
+  if (results.stale > 0) {
+    console.log(chalk.gray(`${results.stale} changed file(s) left out of the search; \\index to update`));
+  }
+  if (sources.length > 0) {
+    const total = sources.reduce((sum, source) => sum + source.tokens, 0);
+    console.log(chalk.gray(`Added ${sources.length} code excerpt(s) from the index (~${total} tokens; \\sources to list)`));
+  }
+  return sources;
+}
+
+// \index [status|clear] - build or update the search index of the project
+async function processIndexCommand(args) {
+  const [subcommand] = args.filter(Boolean);
+  
+  if (subcommand === 'status') {
+    const stats = codeIndex.getStats();
+    if (!stats.builtAt) {
+      console.log(chalk.gray('No code index yet; build one with \\index'));
+      return;
+    }
+    console.log(chalk.cyan('\nCode index:'));
+    console.log(chalk.gray(`  ${stats.files} files, ${stats.chunks} chunks, built ${new Date(stats.builtAt).toLocaleString()}`));
+    console.log(chalk.gray(`  Search: BM25${stats.embeddings ? ' + embeddings' : ''}`));
+    console.log(chalk.gray(`  Automatic retrieval: ${codeIndex.options.enabled ? `on, top ${codeIndex.options.topK}` : 'off (retrieval.enabled)'}`));
+    console.log(chalk.gray(`  Saved in ${stats.path}\n`));
+    return;
+  }
+  
+  if (subcommand === 'clear') {
+    codeIndex.remove();
+    lastSources = [];
+    console.log(chalk.blue('Code index removed'));
+    return;
+  }
+  
+  if (subcommand) {
+    console.log(chalk.yellow('Usage: \\index [status|clear]'));
+    return;
+  }
+  
+  const spinner = ora('Indexing project files...').start();
+  const onProgress = ({ phase, done, total }) => {
+    spinner.text = phase === 'reading' ? `Reading files (${done}/${total})...` : `Computing embeddings (${done}/${total} chunks)...`;
+  };
+  codeIndex.on('progress', onProgress);
+  const started = Date.now();
+  try {
+    const result = await codeIndex.build({ embed: isConnected ? (texts) => phindClient.embed(texts) : null });
+    const search = result.embeddings ? 'BM25 + embeddings' : 'BM25';
+    spinner.succeed(`Indexed ${result.files} files (${result.reused} unchanged) into ${result.chunks} chunks in ${((Date.now() - started) / 1000).toFixed(1)}s, searched with ${search}`);
+  } catch (error) {
+    spinner.fail(`Indexing failed: ${error.message}`);
+  } finally {
+    codeIndex.removeListener('progress', onProgress);
+  }
+}
+
+// \sources - the indexed code added to the last prompt
+function processSourcesCommand() {
+  if (lastSources.length === 0) {
+    console.log(chalk.gray(codeIndex.chunks.length > 0 ? 'No indexed code was added to the last prompt' : 'No code index; build one with \\index'));
+    return;
+  }
+  console.log(chalk.cyan('\nCode added to the last prompt:'));
+  lastSources.forEach((source, index) => {
+    console.log(chalk.gray(`  ${index + 1}. ${source.path}:${source.startLine}-${source.endLine} (~${source.tokens} tokens)`));
+  });
+  console.log('');
+}
+
+// The audit log when audit.enabled is on, redacted like transcripts
+function openAuditLog() {
+  const settings = { ...AUDIT_DEFAULTS, ...config.audit };
+  if (!settings.enabled) {
+    auditLog = null;
+    return;
+  }
+  auditLog = new AuditLog(settings.file, {
+    logContent: settings.logContent,
+    redact: (text) => redactSecrets(text, redactionOptions())
+  });
+}
+
+// PhindClient 'request' handler: log the call with the session and model it belongs to
+function recordModelCall(call) {
+  if (!auditLog) {
+    return;
+  }
+  try {
+    auditLog.record({
+      ...call,
+      session: call.session ?? activeSession,
+      model: activeModel || path.basename(modelConfig.modelPath),
+      backend: phindClient.backend.name
+    });
+  } catch (error) {
+    // Stop after the first failure rather than warning on every request
+    console.error(chalk.yellow(`Audit logging stopped: ${error.message}`));
+    auditLog = null;
+  }
+}
+
+// Print usage tables from audit log entries, one per grouping
+function printUsageStats(entries, groupings) {
+  const columns = [
+    ['Requests', (row) => row.requests],
+    ['Errors', (row) => row.errors],
+    ['Prompt tok', (row) => row.promptTokens],
+    ['Reply tok', (row) => row.completionTokens],
+    ['Avg ms', (row) => row.averageLatencyMs],
+    ['p95 ms', (row) => row.p95LatencyMs],
+    ['TTFT ms', (row) => row.averageTimeToFirstTokenMs],
+    ['Tok/s', (row) => row.averageTokensPerSecond]
+  ];
+  
+  for (const groupBy of groupings) {
+    const rows = summarizeUsage(entries, groupBy);
+    const keyWidth = Math.max(groupBy.length, ...rows.map((row) => row.key.length));
+    const header = [groupBy.padEnd(keyWidth), ...columns.map(([title]) => title.padStart(10))].join(' ');
+    console.log(chalk.cyan(`\nBy ${groupBy}:`));
+    console.log(chalk.bold(`  ${header}`));
+    for (const row of rows) {
+      const cells = columns.map(([, value]) => String(value(row) ?? '-').padStart(10));
+      console.log(`  ${[row.key.padEnd(keyWidth), ...cells].join(' ')}`);
+    }
+  }
+  console.log('');
+}
+
+// Audit log entries of the last `days` days (all of them for 0)
+function readAuditEntries(days) {
+  const settings = { ...AUDIT_DEFAULTS, ...config.audit };
+  const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+  return { file: settings.file, enabled: settings.enabled, entries: new AuditLog(settings.file).read({ since }) };
+}
+
+// \stats [days|all] - throughput and usage from the audit log, by day, model and session
+function processStatsCommand(args) {
+  const [period = '7'] = args;
+  const days = period === 'all' ? 0 : Number(period);
+  if (!Number.isInteger(days) || days < 0) {
+    console.log(chalk.yellow('Usage: \\stats [days|all]'));
+    return;
+  }
+  
+  const { file, enabled, entries } = readAuditEntries(days);
+  if (!enabled) {
+    console.log(chalk.gray('Audit logging is off; turn on audit.enabled to record model calls'));
+  }
+  if (entries.length === 0) {
+    console.log(chalk.gray(`No model calls logged in ${file}${days ? ` in the last ${days} days` : ''}`));
+    return;
+  }
+  console.log(chalk.gray(`${entries.length} model calls${days ? ` in the last ${days} days` : ''} (${file})`));
+  printUsageStats(entries, ['day', 'model', 'session']);
+}
+
+// Send a prompt and show the reply, then run any commands the reply asks for
+async function converse(message, options = {}) {
+  const stream = config.interface.streamResponses;
+  let reply = await sendMessage(message, { stream, attachmentTokens: options.attachmentTokens });
+  
+  for (let round = 0; reply !== null; round++) {
+    if (!stream) {
+      console.log('\n' + formatResponse(reply) + '\n');
+    }
+    
+    // Auto-save if enabled
+    if (config.coding.autoSaveContext) {
+      saveConversationHistory();
+    }
+    
+    const commands = config.shell.enabled ? extractRunBlocks(reply) : [];
+    if (commands.length === 0 || round >= MAX_TOOL_ROUNDS) {
+      break;
+    }
+    
+    const results = [];
+    for (const command of commands) {
+      const result = await runShellCommand(command, 'model');
+      if (result) {
+        results.push(result);
+      }
+    }
+    if (results.length === 0) {
+      break;
+    }
+    reply = await sendMessage(results.join('\n\n'), { stream });
+  }
+}
+
+// Replay the saved conversation into the model so it remembers earlier turns
+function resumeConversation() {
+  const result = phindClient.restoreContext(conversationHistory, { summary: savedSummary() });
+  console.log(chalk.blue(`Resumed conversation: ${result.restored} messages restored (~${result.tokens} tokens)`));
+  if (result.dropped > 0) {
+    console.log(chalk.gray(`  ${result.dropped} older messages dropped to fit the context window`));
+  }
+}
+
+// Keep the saved turns of the active session as their own session, so that
+// starting over can be undone
+function archiveSession() {
+  const archived = `${activeSession}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  sessionStore.fork(activeSession, archived);
+  console.log(chalk.gray(`Previous conversation kept as session "${archived}"`));
+}
+
+// Start a new conversation without replaying the saved one. The saved one is
+// archived first, since the next save replaces it.
+function startFresh() {
+  if (sessionStore.load(activeSession).length > 0) {
+    archiveSession();
+  }
+  conversationHistory = [];
+  phindClient.clearContext();
+  console.log(chalk.blue('Started a fresh conversation'));
+}
+
+// Ask whether to resume the saved conversation or start fresh
+async function chooseConversationStart() {
+  if (conversationHistory.length === 0) {
+    return;
+  }
+  
+  // Without a terminal to ask, keep the saved conversation
+  if (!process.stdin.isTTY) {
+    resumeConversation();
+    return;
+  }
+  
+  const { start } = await promptUser([{
+    type: 'list',
+    name: 'start',
+    message: `Session "${activeSession}" has ${conversationHistory.length} saved messages`,
+    choices: [
+      { name: 'Resume it (\\resume)', value: 'resume' },
+      { name: 'Start fresh (\\fresh)', value: 'fresh' }
+    ]
+  }]);
+  
+  if (start === 'resume') {
+    resumeConversation();
+  } else {
+    startFresh();
+  }
+}
+
+// Name shown in spinners and status output
+function modelLabel() {
+  return activeModel || 'Phind-34B';
+}
+
+// Make a model profile active (the default one without a name); throws if unknown
+function selectModel(name) {
+  ({ name: activeModel, settings: modelConfig } = resolveModelConfig(config, name));
+}
+
+// Create a client for the active model profile and connect it
+async function startClient() {
+  phindClient = new PhindClient(modelConfig);
+  applyProjectContext();
+  
+  phindClient.on('ready', () => {
+    isConnected = true;
+  });
+  
+  phindClient.on('disconnected', () => {
+    isConnected = false;
+  });
+  
+  phindClient.on('request', recordModelCall);
+  
+  await phindClient.connect();
+  superviseClient();
+  
+  const unsupported = phindClient.unsupportedParameters();
+  if (unsupported.length > 0) {
+    console.warn(chalk.yellow(`${path.basename(modelConfig.llamaPath)} takes no sampling flags; ignoring ${unsupported.join(', ')}. Use llama-cli or the http backend to apply them.`));
+  }
+}
+
+// Restart the model process if it dies, and say what is happening
+function superviseClient() {
+  supervisor?.stop();
+  supervisor = new ModelSupervisor(phindClient, modelConfig.restart);
+  
+  supervisor.on('exited', ({ code }) => {
+    console.log(chalk.yellow(`\n${modelLabel()} exited unexpectedly (code ${code})`));
+  });
+  supervisor.on('restarting', ({ attempt, maxAttempts, delay }) => {
+    console.log(chalk.gray(`Restarting in ${Math.round(delay / 1000)}s (attempt ${attempt} of ${maxAttempts})...`));
+  });
+  supervisor.on('restarted', ({ manual }) => {
+    if (!manual) {
+      console.log(chalk.green(`${modelLabel()} restarted; the conversation is replayed with your next message`));
+    }
+  });
+  supervisor.on('failed', ({ error }) => {
+    console.log(chalk.red(`${modelLabel()} is not running: ${error.message}. Use \\reconnect to try again`));
+  });
+}
+
+// One line on the model's health for \status
+function describeHealth(health) {
+  const details = [];
+  if (health.state === 'healthy') {
+    details.push(`up ${formatDuration(health.uptime)}`);
+  } else if (health.state === 'restarting') {
+    details.push(`attempt ${health.attempt} of ${health.maxAttempts}`);
+  } else if (health.lastError) {
+    details.push(health.lastError);
+  }
+  if (health.restarts > 0) {
+    details.push(`${health.restarts} restart${health.restarts === 1 ? '' : 's'}`);
+  }
+  if (health.lastExit) {
+    details.push(`last exit code ${health.lastExit.code} at ${new Date(health.lastExit.at).toLocaleTimeString()}`);
+  }
+  return `${health.state === 'failed' ? 'down' : health.state}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Connect to Phind
+async function connectToPhind(modelName) {
+  try {
+    selectModel(modelName);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const spinner = ora(`Connecting to ${modelLabel()}...`).start();
+  
+  try {
+    shellSession = new ShellSession({ cwd: process.cwd(), ...config.shell });
+    openAuditLog();
+    await startClient();
+    spinner.succeed(`Connected to ${modelLabel()}`);
+    
+  } catch (error) {
+    spinner.fail(`Failed to connect: ${error.message}`);
+    console.error(chalk.red(`Make sure ${modelLabel()} is running on your cloud VM`));
+    if (modelConfig.backend === 'http') {
+      console.error(chalk.gray(`Expected server: ${modelConfig.serverUrl}`));
+    } else {
+      console.error(chalk.gray(`Expected path: ${modelConfig.llamaPath}`));
+    }
+    process.exit(1);
+  }
+}
+
+// Disconnect and reconnect with another model profile, keeping the conversation.
+// If the new model fails to start, the previous one is brought back.
+async function switchModel(name) {
+  const previous = activeModel;
+  saveConversationHistory(); // Keep the latest summary for the new model
+  
+  const spinner = ora(`Switching to ${name}...`).start();
+  supervisor.stop();
+  await phindClient.disconnect();
+  isConnected = false;
+  
+  try {
+    selectModel(name);
+    await startClient();
+    const result = phindClient.restoreContext(conversationHistory, { summary: savedSummary() });
+    spinner.succeed(`Switched to ${modelLabel()} (${result.restored} messages in context)`);
+  } catch (error) {
+    spinner.fail(`Failed to start ${name}: ${error.message}`);
+    supervisor.stop();
+    await phindClient.disconnect();
+    
+    const restore = ora(`Reconnecting to ${previous}...`).start();
+    try {
+      selectModel(previous);
+      await startClient();
+      phindClient.restoreContext(conversationHistory, { summary: savedSummary() });
+      restore.succeed(`Back on ${modelLabel()}`);
+    } catch (restoreError) {
+      restore.fail(`Failed to reconnect: ${restoreError.message}`);
+    }
+  }
+}
+
+// Handle \model list|use <name>
+async function processModelCommand(args) {
+  const subcommand = (args[0] || 'list').toLowerCase();
+  const names = listModelProfiles(config);
+  
+  switch (subcommand) {
+    case 'list':
+      if (names.length === 0) {
+        console.log(chalk.gray('No model profiles configured; add a "models" block to config.json'));
+        break;
+      }
+      console.log(chalk.cyan('\nModels:'));
+      for (const name of names) {
+        const { settings } = resolveModelConfig(config, name);
+        const marker = name === activeModel ? '*' : ' ';
+        const where = settings.backend === 'http' ? settings.serverUrl : path.basename(settings.modelPath);
+        console.log(chalk.white(`${marker} ${name}`) + chalk.gray(`  ${settings.backend || 'spawn'}, ${settings.template || 'chatml'}, ${settings.contextSize} ctx, ${where}`));
+      }
+      console.log('');
+      break;
+      
+    case 'use': {
+      const name = args[1];
+      if (!name) {
+        console.log(chalk.yellow('Usage: \\model use <name>'));
+        break;
+      }
+      if (name === activeModel) {
+        console.log(chalk.gray(`Already using ${name}`));
+        break;
+      }
+      if (!names.includes(name)) {
+        console.log(chalk.yellow(`No model profile named "${name}". Available: ${names.join(', ') || 'none'}`));
+        break;
+      }
+      await switchModel(name);
+      break;
+    }
+      
+    default:
+      console.log(chalk.yellow('Usage: \\model list | use <name>'));
+  }
+}
+
+// Check a prompt for secrets before it is sent (redaction.prompts). Resolves with
+// the text to send, redacted if need be, or null when the user cancels. Without a
+// terminal to ask in, "ask" redacts.
+async function screenOutgoing(message) {
+  const settings = redactionSettings();
+  if (settings.prompts === 'off') {
+    return message;
+  }
+  const options = redactionOptions();
+  const secrets = findSecrets(message, options);
+  if (secrets.length === 0) {
+    return message;
+  }
+  
+  // One-shot replies go to stdout, so warnings go to stderr there
+  const warn = interactiveMode ? console.log : console.error;
+  warn(chalk.yellow(`The prompt contains ${secrets.length === 1 ? 'a possible secret' : `${secrets.length} possible secrets`}:`));
+  for (const secret of secrets) {
+    warn(chalk.yellow(`  ${secret.kind}: ${maskSecret(secret.value)}`));
+  }
+  
+  if (settings.prompts === 'redact' || !interactiveMode || !process.stdin.isTTY) {
+    warn(chalk.gray('Sending it with the secrets redacted'));
+    return redactSecrets(message, options);
+  }
+  
+  const { action } = await promptUser([{
+    type: 'list',
+    name: 'action',
+    message: 'Send the prompt?',
+    choices: [
+      { name: 'Send it with the secrets redacted', value: 'redact' },
+      { name: 'Send it as is', value: 'send' },
+      { name: 'Send it as is and add these values to the allowlist', value: 'allow' },
+      { name: 'Cancel', value: 'cancel' }
+    ]
+  }]);
+  switch (action) {
+    case 'redact':
+      return redactSecrets(message, options);
+    case 'allow':
+      allowSecrets(secrets.map((secret) => secret.value));
+      return message;
+    case 'send':
+      return message;
+    default:
+      return null;
+  }
+}
+
+// Add values to redaction.allowlist, in memory and in the user config
+function allowSecrets(values) {
+  const allowlist = [...new Set([...redactionSettings().allowlist, ...values])];
+  config.redaction = { ...config.redaction, allowlist };
+  const file = userConfigPath();
+  try {
+    updateConfigFile(file, 'redaction.allowlist', allowlist);
+    configSources.set('redaction.allowlist', file.replace(os.homedir(), '~'));
+    console.log(chalk.gray(`Added ${values.length} value${values.length === 1 ? '' : 's'} to redaction.allowlist in ${file}`));
   } catch (error) {
-    spinner.fail(`Failed to connect: ${error.message}`);
-    console.error(chalk.red('Make sure Phind-34B is running on your cloud VM'));
-    console.error(chalk.gray(`Expected path: ${config.phind.llamaPath}`));
-    process.exit(1);
+    console.log(chalk.red(`Could not save the user config: ${error.message}`));
   }
 }
 
 // Send message to Phind
-async function sendMessage(message) {
+// When streaming, tokens are written to the terminal as they arrive.
+// Resolves with the full response, or null if the user cancelled it.
+async function sendMessage(message, options = {}) {
+  // A crashed model may be on its way back, so wait for it rather than fail
+  if (!isConnected && supervisor?.state === 'restarting') {
+    const waiting = ora(`Waiting for ${modelLabel()} to restart...`).start();
+    await supervisor.whenReady().catch(() => {});
+    waiting.stop();
+  }
   if (!isConnected || !phindClient) {
-    throw new Error('Not connected to Phind');
+    throw new Error('Not connected to Phind. Use \\reconnect to start the model again');
   }
   
+  message = await screenOutgoing(message);
+  if (message === null) {
+    console.log(chalk.yellow('Prompt not sent'));
+    return null;
+  }
+  
+  const stream = options.stream ?? false;
   const spinner = ora('Thinking...').start();
+  let streamedAny = false;
+  const renderer = createStreamRenderer({
+    write: (text) => process.stdout.write(text),
+    plain: plainOutput,
+    columns: process.stdout.columns || 80,
+    canRedraw: Boolean(process.stdout.isTTY)
+  });
+  
+  // Older turns may be summarized first to make room
+  const onCompacting = ({ messages }) => {
+    spinner.text = `Summarizing ${messages} older messages to free up context...`;
+  };
+  const onCompacted = (result) => {
+    spinner.info(`Summarized ${result.summarized} older messages (~${result.tokensBefore} → ~${result.tokensAfter} tokens)`);
+    spinner.start('Thinking...');
+  };
+  phindClient.on('compacting', onCompacting);
+  phindClient.on('compacted', onCompacted);
   
   try {
     // Add user message to history
-    conversationHistory.push({ role: 'user', content: message });
+    conversationHistory.push(createMessage('user', message, { tokens: phindClient.estimateTokens(message) }));
     
     // Send to Phind
-    const response = await phindClient.sendMessage(message);
-    
-    // Add assistant response to history
-    conversationHistory.push({ role: 'assistant', content: response });
+    const response = await phindClient.sendMessage(message, {
+      stream,
+      attachmentTokens: options.attachmentTokens,
+      onToken: (token) => {
+        if (!streamedAny) {
+          spinner.stop();
+          process.stdout.write('\n' + replyHeader());
+          streamedAny = true;
+        }
+        renderer.write(token);
+      }
+    });
     
-    // Keep history within limits
-    if (conversationHistory.length > config.interface.maxContextMessages * 2) {
-      conversationHistory = conversationHistory.slice(-config.interface.maxContextMessages * 2);
-    }
+    // Record exact token counts now that the backend has measured them
+    conversationHistory[conversationHistory.length - 1].tokens = phindClient.lastUsage.promptTokens;
+    conversationHistory.push(createMessage('assistant', response, {
+      tokens: phindClient.lastUsage.completionTokens,
+      params: generationParams()
+    }));
     
     spinner.stop();
+    renderer.end();
+    if (stream) {
+      // Nothing was streamed (e.g. the whole reply arrived at once), so show it now
+      process.stdout.write(streamedAny ? '\n\n' : '\n' + formatResponse(response) + '\n\n');
+    }
     return response;
     
   } catch (error) {
+    // Drop the unanswered prompt so history stays in user/assistant pairs
+    conversationHistory.pop();
+    
+    if (isCancelled(error)) {
+      spinner.stop();
+      renderer.end();
+      console.log(chalk.yellow(`${streamedAny ? '\n' : ''}Generation cancelled`));
+      return null;
+    }
     spinner.fail(`Error: ${error.message}`);
     throw error;
+  } finally {
+    phindClient.removeListener('compacting', onCompacting);
+    phindClient.removeListener('compacted', onCompacted);
   }
 }
 
+// Cancel a generation in progress; returns false when there is nothing to cancel
+function interruptGeneration() {
+  return Boolean(phindClient && phindClient.cancel());
+}
+
 // Format response for display
 function formatResponse(response) {
-  return chalk.green(response);
+  return replyHeader() + (plainOutput ? response : renderMarkdown(response, { columns: process.stdout.columns || 80 }));
+}
+
+// Time shown above each reply when interface.showTimestamps is on
+function replyHeader() {
+  if (!config.interface.showTimestamps) {
+    return '';
+  }
+  return chalk.gray(`[${new Date().toLocaleTimeString()}]`) + '\n';
+}
+
+// Code blocks of the last reply, numbered as they were shown
+function lastReplyCodeBlocks() {
+  const lastReply = [...conversationHistory].reverse().find((message) => message.role === 'assistant');
+  return lastReply ? extractCodeBlocks(lastReply.content) : [];
+}
+
+// Pick a code block of the last reply by its number; prints why when there is none
+function selectCodeBlock(number) {
+  const blocks = lastReplyCodeBlocks();
+  if (blocks.length === 0) {
+    console.log(chalk.yellow('No code blocks in the last reply'));
+    return null;
+  }
+  if (number === undefined && blocks.length > 1) {
+    console.log(chalk.cyan('\nCode blocks in the last reply:'));
+    for (const [index, block] of blocks.entries()) {
+      const firstLine = block.code.split('\n').find((line) => line.trim()) || '';
+      console.log(chalk.gray(`  [${index + 1}] ${block.language || 'text'}: ${firstLine.trim().slice(0, 60)}`));
+    }
+    console.log(chalk.gray('Pick one with \\copy <n> or \\save-block <n> <file>\n'));
+    return null;
+  }
+  
+  const index = number === undefined ? 1 : Number(number);
+  if (!Number.isInteger(index) || index < 1 || index > blocks.length) {
+    console.log(chalk.red(`No code block ${number}; the last reply has ${blocks.length}`));
+    return null;
+  }
+  return blocks[index - 1];
+}
+
+// \save-block <n> <file> - write one code block of the last reply to a file
+async function processSaveBlockCommand(args) {
+  const [number, targetPath] = args;
+  if (!number || !targetPath) {
+    console.log(chalk.yellow('Usage: \\save-block <n> <file>'));
+    return;
+  }
+  const block = selectCodeBlock(number);
+  if (!block) {
+    return;
+  }
+  
+  const relative = relativeToCwd(targetPath);
+  if (!relative) {
+    console.log(chalk.red(`Cannot write ${targetPath}: outside the working directory`));
+    return;
+  }
+  
+  const fullPath = path.join(process.cwd(), relative);
+  if (fs.existsSync(fullPath)) {
+    const { confirmed } = await promptUser([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `${relative} exists. Overwrite it?`,
+      default: false
+    }]);
+    if (!confirmed) {
+      return;
+    }
+  }
+  
+  const content = block.code.endsWith('\n') ? block.code : `${block.code}\n`;
+  writeWithBackup(fullPath, content, getBackupDir());
+  console.log(chalk.green(`Wrote ${relative} (undo with \\undo)`));
 }
 
 // Process special commands
@@ -181,52 +1984,293 @@ async function processSpecialCommand(command) {
       break;
       
     case '\\clear':
+      // Keep the old turns as their own session so clearing can be undone
+      if (conversationHistory.length > 0) {
+        saveConversationHistory();
+        archiveSession();
+      }
       conversationHistory = [];
       if (phindClient) {
         phindClient.clearContext();
       }
+      saveConversationHistory();
       console.log(chalk.blue('Conversation history cleared'));
       break;
       
+    case '\\resume':
+      loadConversationHistory();
+      if (conversationHistory.length === 0) {
+        console.log(chalk.yellow(`Session "${activeSession}" has no saved conversation`));
+      } else {
+        resumeConversation();
+      }
+      break;
+      
+    case '\\fresh':
+      startFresh();
+      break;
+      
     case '\\save':
       saveConversationHistory();
       console.log(chalk.blue('Conversation saved'));
       break;
       
+    case '\\export':
+      try {
+        processExportCommand(args);
+      } catch (error) {
+        console.log(chalk.red(`Export failed: ${error.message}`));
+      }
+      break;
+      
+    case '\\import':
+      try {
+        await processImportCommand(args);
+      } catch (error) {
+        console.log(chalk.red(`Import failed: ${error.message}`));
+      }
+      break;
+      
+    case '\\session':
+      try {
+        await processSessionCommand(args);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+      }
+      break;
+      
+    case '\\project':
+      await processProjectCommand(args);
+      break;
+      
+    case '\\prompt':
+      await processPromptCommand(command.slice(cmd.length).trim());
+      break;
+      
+    case '\\system':
+      await processSystemCommand(command.slice(cmd.length).trim());
+      break;
+      
+    case '\\read':
+      if (fileOperationsEnabled()) {
+        try {
+          processReadCommand(args);
+        } catch (error) {
+          console.log(chalk.red(error.message));
+        }
+      }
+      break;
+      
+    case '\\apply':
+      if (fileOperationsEnabled()) {
+        await processApplyCommand();
+      }
+      break;
+      
+    case '\\undo': {
+      const undone = fileOperationsEnabled() ? undoLastWrite(getBackupDir()) : null;
+      if (undone) {
+        const action = undone.existed ? 'Restored' : 'Removed';
+        console.log(chalk.blue(`${action} ${path.relative(process.cwd(), undone.file)}`));
+      } else if (config.features.fileOperations) {
+        console.log(chalk.yellow('Nothing to undo'));
+      }
+      break;
+    }
+      
+    case '\\set':
+      processSetCommand(args.filter(Boolean));
+      break;
+      
+    case '\\config':
+      processConfigCommand(args.filter(Boolean));
+      break;
+      
+    case '\\copy': {
+      const block = selectCodeBlock(args[0] || undefined);
+      if (block) {
+        try {
+          const method = copyToClipboard(block.code);
+          const lines = block.code.split('\n').length;
+          console.log(chalk.green(`Copied ${lines} line${lines === 1 ? '' : 's'}${method === 'terminal' ? ' (through the terminal)' : ''}`));
+        } catch (error) {
+          console.log(chalk.red(error.message));
+        }
+      }
+      break;
+    }
+      
+    case '\\reconnect': {
+      const spinner = ora(`Restarting ${modelLabel()}...`).start();
+      try {
+        await supervisor.reconnect();
+        spinner.succeed(`Reconnected to ${modelLabel()}; the conversation is replayed with your next message`);
+      } catch (error) {
+        spinner.fail(`Failed to reconnect: ${error.message}`);
+      }
+      break;
+    }
+      
+    case '\\save-block':
+      await processSaveBlockCommand(args);
+      break;
+      
+    case '\\edit': {
+      // Compose a longer prompt in $EDITOR, starting from any text given after \edit
+      const { text } = await promptUser([{
+        type: 'editor',
+        name: 'text',
+        message: 'Compose your prompt',
+        default: command.slice(cmd.length).trim(),
+        waitUserInput: false,
+        postfix: '.md'
+      }]);
+      if (!text.trim()) {
+        console.log(chalk.gray('Nothing to send'));
+        break;
+      }
+      await submitPrompt(text.trim());
+      break;
+    }
+      
+    case '\\model':
+      await processModelCommand(args.filter(Boolean));
+      break;
+      
+    case '\\run': {
+      const shellCommand = command.slice(cmd.length).trim();
+      if (!shellCommand) {
+        console.log(chalk.yellow('Usage: \\run <command>'));
+        break;
+      }
+      const result = await runShellCommand(shellCommand, 'user');
+      if (result) {
+        try {
+          // Feed the output back so the model can use it
+          await converse(result);
+        } catch (error) {
+          console.error(chalk.red(`Error: ${error.message}`));
+        }
+      }
+      break;
+    }
+      
+    case '\\explain':
+    case '\\review':
+    case '\\test':
+    case '\\refactor':
+    case '\\fix':
+      await processTaskCommand(cmd.slice(1), command.slice(cmd.length).trim());
+      break;
+      
+    case '\\index':
+      await processIndexCommand(args);
+      break;
+      
+    case '\\sources':
+      processSourcesCommand();
+      break;
+      
+    case '\\stats':
+      processStatsCommand(args.filter(Boolean));
+      break;
+      
+    case '\\diff':
+      try {
+        processDiffCommand(args);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+      }
+      break;
+      
+    case '\\commit':
+      try {
+        await processCommitCommand(command.slice(cmd.length).trim());
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      break;
+      
     case '\\help':
       console.log(chalk.cyan('\nAvailable commands:'));
       console.log(chalk.gray('  \\exit, \\quit    - Exit the application'));
-      console.log(chalk.gray('  \\clear          - Clear conversation history'));
-      console.log(chalk.gray('  \\save           - Save conversation to file'));
+      console.log(chalk.gray('  \\clear          - Clear conversation history (kept as an archived session)'));
+      console.log(chalk.gray('  \\save           - Save the session'));
+      console.log(chalk.gray('  \\export [file] [--format md|json|openai|html] - Export the session (format from the file name by default)'));
+      console.log(chalk.gray('  \\import <file> [name] - Load an export or OpenAI message list into a new session'));
+      console.log(chalk.gray('  \\session list|new|switch|fork|rm|rename - Manage named sessions'));
+      console.log(chalk.gray('  \\resume         - Reload the saved session into the model'));
+      console.log(chalk.gray('  \\fresh          - Start a new conversation without the saved one'));
       console.log(chalk.gray('  \\help           - Show this help'));
-      console.log(chalk.gray('  \\status         - Show connection status'));
+      console.log(chalk.gray('  \\status         - Show connection status and model health'));
+      console.log(chalk.gray('  \\reconnect      - Restart the model process, keeping the conversation'));
       console.log(chalk.gray('  \\context        - Show context usage'));
+      console.log(chalk.gray('  \\set [<param> <value>] - Show or change generation parameters (\\set save to keep)'));
+      console.log(chalk.gray('  \\config show [prefix] - Show the effective settings and where each comes from'));
+      console.log(chalk.gray('  \\model list|use <name> - List model profiles or switch to another one'));
+      console.log(chalk.gray('  \\edit [text]    - Write a prompt in $EDITOR and send it'));
+      console.log(chalk.gray('  End a line with \\ or open a ``` block to enter several lines; Tab completes commands and paths'));
+      console.log(chalk.gray('  \\read <path|glob> - Attach files to the next prompt (\\read clear to drop)'));
+      console.log(chalk.gray('  \\apply          - Write code blocks/diffs from the last reply to disk'));
+      console.log(chalk.gray('  \\undo           - Undo the last file written by \\apply or \\save-block'));
+      console.log(chalk.gray('  \\copy [n]       - Copy code block n of the last reply to the clipboard'));
+      console.log(chalk.gray('  \\save-block <n> <file> - Write code block n of the last reply to a file'));
+      console.log(chalk.gray('  \\run <command>  - Run a shell command (after approval) and send its output'));
+      console.log(chalk.gray('  \\explain|\\review|\\refactor <file>[:<start>-<end>]|--diff|--staged [instructions] - Coding tasks'));
+      console.log(chalk.gray('  \\review         - Review the attached \\diff, or else all uncommitted changes'));
+      console.log(chalk.gray('  \\diff [--staged|<ref>] - Attach the git diff to the next prompt'));
+      console.log(chalk.gray('  \\index [status|clear] - Build or update the search index that adds relevant code to prompts'));
+      console.log(chalk.gray('  \\sources        - Show the indexed code added to the last prompt'));
+      console.log(chalk.gray('  \\stats [days|all] - Show usage and throughput from the audit log (last 7 days by default)'));
+      console.log(chalk.gray('  \\commit [instructions] - Draft a message for the staged changes and commit'));
+      console.log(chalk.gray('  \\test <file>[:<start>-<end>] [instructions] - Write tests with the project\'s test framework'));
+      console.log(chalk.gray('  \\fix [command]  - Run a failing command (or use the last one) and ask for a fix'));
+      console.log(chalk.gray('  \\project show   - Show the project context (ai.md)'));
+      console.log(chalk.gray('  \\project edit <section> - Edit a section of ai.md'));
+      console.log(chalk.gray('  \\project reload - Reload ai.md into the system prompt'));
+      console.log(chalk.gray('  \\prompt list|show|use <name> [key=value ...] - Use a prompt from the prompt library'));
+      console.log(chalk.gray('  \\system [<name>|default] - Show or swap the system persona, keeping the conversation'));
       console.log('');
       break;
       
     case '\\status':
       console.log(chalk.cyan(`\nStatus: ${isConnected ? 'Connected' : 'Disconnected'}`));
-      console.log(chalk.gray(`Model: ${config.phind.modelPath}`));
-      console.log(chalk.gray(`Context size: ${config.phind.contextSize}`));
-      console.log(chalk.gray(`Max tokens: ${config.phind.maxTokens}`));
-      console.log(chalk.gray(`Temperature: ${config.phind.temperature}`));
-      console.log(chalk.gray(`Repeat penalty: ${config.phind.repeatPenalty}`));
+      console.log(chalk.gray(`Health: ${describeHealth(supervisor.getHealth())}`));
+      console.log(chalk.gray(`Backend: ${modelConfig.backend || 'spawn'}${modelConfig.backend === 'http' ? ` (${modelConfig.serverUrl})` : ''}`));
+      console.log(chalk.gray(`Model: ${activeModel ? `${activeModel} - ` : ''}${modelConfig.modelPath}`));
+      console.log(chalk.gray(`Template: ${modelConfig.template || 'chatml'}`));
+      console.log(chalk.gray(`Context size: ${modelConfig.contextSize}`));
+      for (const [key, value] of Object.entries(phindClient.getParameters())) {
+        console.log(chalk.gray(`${key}: ${JSON.stringify(value)}`));
+      }
+      console.log(chalk.gray(`Session: ${activeSession}`));
       console.log(chalk.gray(`History: ${conversationHistory.length} messages`));
+      console.log(chalk.gray(`Shell: ${config.shell.enabled ? `enabled, cwd ${shellSession.cwd}` : 'disabled'}`));
       console.log('');
       break;
 
     case '\\context':
       if (phindClient && isConnected) {
         const contextInfo = phindClient.getContextInfo();
-        console.log(chalk.cyan('\nContext Usage:'));
+        const { breakdown } = contextInfo;
+        const counted = contextInfo.exactCounts ? 'tokenizer' : 'estimated';
+        console.log(chalk.cyan(`\nContext Usage (${counted}):`));
         console.log(chalk.gray(`  Tokens used: ${contextInfo.current}/${contextInfo.max}`));
+        console.log(chalk.gray(`    System prompt: ${breakdown.system}`));
+        console.log(chalk.gray(`    Summary: ${breakdown.summary}${contextInfo.summarizedMessages ? ` (${contextInfo.summarizedMessages} older messages)` : ''}`));
+        console.log(chalk.gray(`    Attachments: ${breakdown.attachments}`));
+        console.log(chalk.gray(`    Recent turns: ${breakdown.recent} (${contextInfo.contextMessages} messages)`));
+        if (pendingAttachments.length > 0) {
+          const pending = pendingAttachments.reduce((sum, attachment) => sum + attachment.tokens, 0);
+          console.log(chalk.gray(`    Pending \\read files: ~${pending}`));
+        }
         console.log(chalk.gray(`  Available: ${contextInfo.available} tokens`));
         console.log(chalk.gray(`  Usage: ${contextInfo.usagePercent}%`));
-        console.log(chalk.gray(`  Messages: ${contextInfo.contextMessages}`));
         
         // Colour-coded usage indicator
-        if (contextInfo.usagePercent > 80) {
-          console.log(chalk.red(`  ⚠️  High usage - consider clearing history`));
+        if (contextInfo.usagePercent > (contextInfo.compactThreshold || 0.8) * 100) {
+          const advice = contextInfo.compactThreshold ? 'older turns will be summarized with the next message' : 'consider clearing history';
+          console.log(chalk.red(`  ⚠️  High usage - ${advice}`));
         } else if (contextInfo.usagePercent > 60) {
           console.log(chalk.yellow(`  ⚠️  Moderate usage`));
         } else {
@@ -245,20 +2289,86 @@ async function processSpecialCommand(command) {
   return true; // Handled as special command
 }
 
+// What tab completion offers after each command (see createCompleter)
+function completionCommands() {
+  const sessionNames = () => sessionStore.list().map((session) => session.name);
+  const promptNames = () => [...loadPrompts().keys()];
+  return {
+    '\\exit': [],
+    '\\quit': [],
+    '\\clear': [],
+    '\\resume': [],
+    '\\fresh': [],
+    '\\save': [],
+    '\\export': 'path',
+    '\\import': 'path',
+    '\\session': { list: [], new: [], switch: sessionNames, fork: [], rm: sessionNames, rename: sessionNames },
+    '\\prompt': { list: [], show: promptNames, use: promptNames },
+    '\\system': () => [...promptNames(), 'default'],
+    '\\project': { show: [], edit: () => (projectContext ? projectContext.sections.map((section) => section.heading) : []), reload: [] },
+    '\\read': 'path',
+    '\\apply': [],
+    '\\undo': [],
+    '\\copy': () => lastReplyCodeBlocks().map((block, index) => String(index + 1)),
+    '\\save-block': () => lastReplyCodeBlocks().map((block, index) => String(index + 1)),
+    '\\run': 'path',
+    '\\explain': 'path',
+    '\\review': 'path',
+    '\\test': 'path',
+    '\\refactor': 'path',
+    '\\fix': 'path',
+    '\\diff': ['--staged', 'HEAD'],
+    '\\commit': [],
+    '\\index': ['status', 'clear'],
+    '\\sources': [],
+    '\\stats': ['1', '7', '30', 'all'],
+    '\\set': [...Object.keys(GENERATION_PARAMETERS), 'save'],
+    '\\config': ['show'],
+    '\\model': { list: [], use: () => listModelProfiles(config) },
+    '\\edit': [],
+    '\\help': [],
+    '\\status': [],
+    '\\reconnect': [],
+    '\\context': []
+  };
+}
+
 // Start chat mode
 async function startChatMode() {
+  const { enableHistory, enableTabCompletion, historySize } = config.terminal;
+  const historyFile = config.terminal.historyFile || '~/.qaterm/history';
+  
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
-    prompt: config.terminal.prompt
+    prompt: config.terminal.prompt,
+    completer: enableTabCompletion ? createCompleter(completionCommands()) : undefined,
+    history: enableHistory ? loadHistory(historyFile, historySize) : [],
+    historySize: enableHistory ? historySize : 0,
+    removeHistoryDuplicates: true
   });
+  chatInterface = rl;
+  
+  // Keep input history across runs. Lines holding a secret stay in memory for this
+  // run but are not written out, unless redaction.transcripts is off.
+  if (enableHistory) {
+    const keep = (line) => !redactionSettings().transcripts || findSecrets(line, redactionOptions()).length === 0;
+    rl.on('history', (history) => {
+      try {
+        saveHistory(historyFile, history, historySize, { keep });
+      } catch (error) {
+        console.error(chalk.red(`Could not save input history: ${error.message}`));
+      }
+    });
+  }
   
   console.log(chalk.blue('\nType your questions or code requests. Use \\help for commands.\n'));
   
   // Send initial prompt to set the tone for comprehensive responses
   if (conversationHistory.length === 0) {
     try {
-      const welcomeMessage = "Hello! I'm your expert coding assistant. I'm here to provide comprehensive, detailed responses with complete code examples, thorough explanations, and best practices. Please ask me any coding questions, and I'll give you detailed, production-ready solutions with explanations.";
+      const welcome = loadPrompts().get('welcome');
+      const welcomeMessage = welcome ? renderPrompt(welcome, {}) : "Hello! I'm your expert coding assistant. I'm here to provide comprehensive, detailed responses with complete code examples, thorough explanations, and best practices. Please ask me any coding questions, and I'll give you detailed, production-ready solutions with explanations.";
       await sendMessage(welcomeMessage);
       console.log(chalk.green('✅ Ready for comprehensive coding assistance!\n'));
     } catch (error) {
@@ -266,90 +2376,446 @@ async function startChatMode() {
     }
   }
   
-  rl.prompt();
+  // Lines typed or piped in while a reply is generating wait their turn
+  const pendingLines = [];
+  let isBusy = false;
+  let isClosing = false;
   
-  rl.on('line', async (line) => {
-    const input = line.trim();
-    
-    if (!input) {
+  const showPrompt = () => {
+    if (!isClosing) {
       rl.prompt();
-      return;
     }
-    
-    // Check for special commands
-    if (input.startsWith('\\')) {
-      const handled = await processSpecialCommand(input);
-      if (handled) {
-        rl.prompt();
-        return;
-      }
+  };
+  
+  const shutdown = async () => {
+    console.log(chalk.blue('\nGoodbye!'));
+    if (phindClient) {
+      await phindClient.disconnect();
+    }
+    process.exit(0);
+  };
+  
+  const handleLine = async (input) => {
+    if (!input) {
+      return;
     }
     
+    // A command that fails (e.g. a file that cannot be written) reports the error
+    // and leaves the prompt running
     try {
-      // Temporarily pause readline to avoid interference
-      rl.pause();
-      
-      const response = await sendMessage(input);
-      console.log('\n' + formatResponse(response) + '\n');
-      
-      // Auto-save if enabled
-      if (config.coding.autoSaveContext) {
-        saveConversationHistory();
+      // Check for special commands
+      if (input.startsWith('\\')) {
+        const handled = await processSpecialCommand(input);
+        if (handled) {
+          return;
+        }
       }
       
+      await submitPrompt(input);
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
-    } finally {
-      // Resume readline
-      rl.resume();
+    }
+  };
+  
+  // Process queued lines one at a time; readline stays active so Ctrl+C can cancel
+  const drainLines = async () => {
+    if (isBusy) {
+      return;
+    }
+    isBusy = true;
+    while (pendingLines.length > 0) {
+      await handleLine(pendingLines.shift());
+      showPrompt();
+    }
+    isBusy = false;
+    
+    if (isClosing) {
+      await shutdown();
+    }
+  };
+  
+  rl.prompt();
+  
+  // Ctrl+C cancels the reply being generated, or drops a half-entered
+  // multi-line prompt; otherwise it exits as before
+  rl.on('SIGINT', () => {
+    if (interruptGeneration()) {
+      return;
+    }
+    if (multiline.reset()) {
+      process.stdout.write('\n');
+      rl.setPrompt(config.terminal.prompt);
       rl.prompt();
+      return;
     }
+    rl.close();
   });
   
+  // Lines ending in \ and ``` blocks are joined into one prompt
+  const multiline = new MultilineInput();
+  rl.on('line', (line) => {
+    const input = multiline.push(line);
+    if (input === null) {
+      rl.setPrompt(CONTINUATION_PROMPT);
+      if (!isBusy) {
+        rl.prompt();
+      }
+      return;
+    }
+    rl.setPrompt(config.terminal.prompt);
+    pendingLines.push(input.trim());
+    drainLines();
+  });
+  
+  // Input ended (or Ctrl+C/D at the prompt): finish queued work, then exit
   rl.on('close', async () => {
-    console.log(chalk.blue('\nGoodbye!'));
-    if (phindClient) {
-      await phindClient.disconnect();
+    isClosing = true;
+    if (!isBusy) {
+      await shutdown();
     }
-    process.exit(0);
   });
 }
 
+// Exit codes for one-shot mode
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  CANCELLED: 130
+};
+
+// Read everything piped to stdin
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Combine the question and any piped input into a single prompt
+function buildOneShotMessage(question, pipedInput) {
+  const input = pipedInput.replace(/\s+$/, '');
+  if (!input) {
+    return question;
+  }
+  if (!question) {
+    return input;
+  }
+  return `${question}\n\n\`\`\`\n${input}\n\`\`\``;
+}
+
+// Answer a single prompt and exit: the reply goes to stdout, everything else to stderr
+async function runOneShot(message, options) {
+  await connectToPhind(options.model);
+  // A single question fails fast instead of waiting for the model to come back
+  supervisor.stop();
+  
+  // With --session the question continues that conversation and is saved to it
+  if (options.session) {
+    await unlockSessions();
+    openSession(options.session);
+    phindClient.restoreContext(conversationHistory, { summary: savedSummary() });
+  }
+  
+  const asJson = Boolean(options.json);
+  const stream = config.interface.streamResponses && !asJson;
+  let exitCode = EXIT_CODES.SUCCESS;
+  message = await screenOutgoing(message);
+  
+  try {
+    const response = await phindClient.sendMessage(message, {
+      stream,
+      onToken: (token) => process.stdout.write(token)
+    });
+    
+    const usage = phindClient.lastUsage;
+    
+    if (options.session) {
+      conversationHistory.push(
+        createMessage('user', message, { tokens: usage.promptTokens }),
+        createMessage('assistant', response, { tokens: usage.completionTokens, params: generationParams() })
+      );
+      saveConversationHistory();
+    }
+    
+    if (asJson) {
+      process.stdout.write(JSON.stringify({
+        response,
+        backend: phindClient.backend.name,
+        model: activeModel || modelConfig.modelPath,
+        usage
+      }, null, 2) + '\n');
+    } else {
+      process.stdout.write(stream ? '\n' : `${response}\n`);
+    }
+  } catch (error) {
+    exitCode = isCancelled(error) ? EXIT_CODES.CANCELLED : EXIT_CODES.ERROR;
+    if (asJson) {
+      process.stdout.write(JSON.stringify({ error: { message: error.message, code: error.code || null } }, null, 2) + '\n');
+    } else {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  }
+  
+  await phindClient.disconnect();
+  process.exit(exitCode);
+}
+
+// Commander option parser for options that may be given more than once
+function collectOption(value, previous) {
+  return [...previous, value];
+}
+
 // Main application
 async function main() {
-  // Load environment variables
+  // Load environment variables; QATERM_* ones override the config files
   dotenv.config();
   
-  // Display logo
-  displayLogo();
-  
   // Setup CLI
   const program = new Command();
   program
     .name('qa')
     .description('Local Phind-34B Coding Assistant')
-    .version('2.0.0');
+    .version('2.0.0')
+    .argument('[question...]', 'ask a single question and exit')
+    .option('-p, --prompt <text>', 'prompt to send along with piped input')
+    .option('--json', 'print the reply (or error) as JSON')
+    .option('--no-banner', 'do not show the logo in interactive mode')
+    .option('-s, --session <name>', 'use (or create) a named session')
+    .option('-m, --model <name>', 'model profile to use (see "models" in config.json)')
+    .option('--plain', 'print replies as plain text without colors or markdown formatting')
+    .option('-c, --config <key=value>', 'override a setting, e.g. -c phind.contextSize=8192 (repeatable)', collectOption, [])
+    .hook('preAction', (command, actionCommand) => {
+      // -c may come before or after a subcommand name
+      const subcommandOverrides = actionCommand === command ? [] : actionCommand.opts().config;
+      loadConfiguration([...command.opts().config, ...subcommandOverrides]);
+    })
+    .action(async (questionWords, options) => {
+      // NO_COLOR (https://no-color.org) turns formatting off as well
+      if (options.plain || 'NO_COLOR' in process.env) {
+        plainOutput = true;
+        chalk.level = 0;
+      }
+      
+      const question = [options.prompt, questionWords.join(' ')].filter(Boolean).join('\n\n');
+      const pipedInput = process.stdin.isTTY ? '' : await readStdin();
+      
+      // Pipe and one-shot mode: no banner, no saved history, no welcome round-trip
+      if (question || !process.stdin.isTTY) {
+        interactiveMode = false;
+        const message = buildOneShotMessage(question, pipedInput);
+        if (!message.trim()) {
+          console.error(chalk.red('Nothing to ask: pass a question or pipe some input'));
+          process.exit(EXIT_CODES.USAGE);
+        }
+        await runOneShot(message, options);
+        return;
+      }
+      
+      // Display logo
+      if (options.banner) {
+        displayLogo();
+      }
+      
+      // Connect to Phind
+      await connectToPhind(options.model);
+      
+      // Load conversation history, asking for the passphrase if sessions are encrypted
+      await unlockSessions();
+      openSession(options.session);
+      
+      // Search index built by \index, for adding relevant code to prompts
+      loadCodeIndex();
+      
+      // Resume or discard the saved conversation
+      await chooseConversationStart();
+      
+      // Start chat mode
+      await startChatMode();
+    });
+  
+  program
+    .command('serve')
+    .description('serve the model over an OpenAI-compatible HTTP API')
+    .option('--port <number>', 'port to listen on (default: server.port)')
+    .option('--host <address>', 'address to listen on (default: server.host)')
+    .option('-m, --model <name>', 'model profile to use (see "models" in config.json)')
+    .option('-c, --config <key=value>', 'override a setting (repeatable)', collectOption, [])
+    .action(runServer);
+  
+  program
+    .command('commit-msg')
+    .description('write a commit message for the staged changes (usable as a prepare-commit-msg hook)')
+    .argument('[file]', 'commit message file to fill in; without it the message is printed')
+    .argument('[source]', 'where git says the message came from; a message given with -m, a merge or an amend is left alone')
+    .option('-m, --model <name>', 'model profile to use (see "models" in config.json)')
+    .option('-c, --config <key=value>', 'override a setting (repeatable)', collectOption, [])
+    .action(runCommitMessage);
+  
+  program
+    .command('stats')
+    .description('summarize model usage and throughput from the audit log')
+    .option('-d, --days <number>', 'only the last n days (0 for all)', '30')
+    .option('--by <groupings>', `comma-separated groupings: ${Object.keys(GROUPINGS).join(', ')}`, 'day,model,session')
+    .option('--json', 'print the summaries as JSON')
+    .option('-c, --config <key=value>', 'override a setting (repeatable)', collectOption, [])
+    .action(runStats);
+  
+  await program.parseAsync();
+}
+
+// qa commit-msg [file] [source]: draft a commit message for the staged changes.
+// Progress and errors go to stderr, so the message can be piped or written by a hook.
+async function runCommitMessage(file, source, options) {
+  interactiveMode = false;
+  
+  // git already has a message (-m, -F, -t, merge, squash or amend)
+  if (file && source) {
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  let diff;
+  try {
+    diff = readGitDiff({ staged: true });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (!diff.trim()) {
+    console.error(chalk.yellow('Nothing staged'));
+    process.exit(file ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE);
+  }
+  
+  await connectToPhind(options.model);
+  supervisor.stop();
+  
+  let exitCode = EXIT_CODES.SUCCESS;
+  try {
+    const reply = await phindClient.sendMessage(await screenOutgoing(commitMessagePrompt(diff, '')));
+    const message = extractCommitMessage(reply);
+    if (!message) {
+      throw new Error('The model did not suggest a commit message');
+    }
+    if (file) {
+      // Keep the comment lines git put in the file below the message
+      const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+      fs.writeFileSync(file, `${message}\n${existing}`);
+    } else {
+      process.stdout.write(`${message}\n`);
+    }
+  } catch (error) {
+    exitCode = EXIT_CODES.ERROR;
+    console.error(chalk.red(`Error: ${error.message}`));
+  }
+  
+  await phindClient.disconnect();
+  process.exit(exitCode);
+}
+
+// qa stats: usage tables (or JSON) from the audit log, without starting the model
+function runStats(options, command) {
+  interactiveMode = false;
+  // --json given before the subcommand name belongs to the main program
+  const asJson = options.json || command.parent.opts().json;
+  const days = Number(options.days);
+  const groupings = options.by.split(',').map((grouping) => grouping.trim()).filter(Boolean);
+  const unknown = groupings.filter((grouping) => !GROUPINGS[grouping]);
+  if (!Number.isInteger(days) || days < 0 || unknown.length > 0 || groupings.length === 0) {
+    console.error(chalk.red(unknown.length > 0 ? `Unknown grouping: ${unknown.join(', ')}` : `Invalid number of days: ${options.days}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const { file, entries } = readAuditEntries(days);
+  if (asJson) {
+    const summaries = Object.fromEntries(groupings.map((grouping) => [grouping, summarizeUsage(entries, grouping)]));
+    process.stdout.write(JSON.stringify({ file, days, requests: entries.length, ...summaries }, null, 2) + '\n');
+    return;
+  }
+  if (entries.length === 0) {
+    console.error(chalk.gray(`No model calls logged in ${file}${days ? ` in the last ${days} days` : ''}`));
+    return;
+  }
+  console.log(`${entries.length} model calls${days ? ` in the last ${days} days` : ''} (${file})`);
+  printUsageStats(entries, groupings);
+}
+
+// qa serve: answer API requests with the loaded model until interrupted
+async function runServer(options) {
+  interactiveMode = false;
+  const port = Number(options.port ?? config.server.port);
+  const host = options.host ?? config.server.host;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(chalk.red(`Invalid port: ${options.port ?? config.server.port}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
   
-  program.parse();
+  await connectToPhind(options.model);
+  await unlockSessions();
+  sessionStore = openSessionStore();
   
-  // Connect to Phind
-  await connectToPhind();
+  apiServer = new ApiServer({
+    client: phindClient,
+    sessionStore,
+    model: activeModel || path.basename(modelConfig.modelPath),
+    apiKey: config.server.apiKey,
+    maxQueue: config.server.maxQueue,
+    sessionMetadata,
+    messageParams: generationParams,
+    screen: screenOutgoing,
+    whenReady: () => supervisor.whenReady(),
+    getHealth: () => supervisor.getHealth()
+  });
+  apiServer.on('request', ({ method, path: url, status, ms }) => {
+    console.error(chalk.gray(`${new Date().toLocaleTimeString()} ${method} ${url} ${status} ${ms}ms`));
+  });
   
-  // Start chat mode
-  await startChatMode();
+  try {
+    const address = await apiServer.listen(port, host);
+    console.error(chalk.green(`Serving ${modelLabel()} at http://${host}:${address.port}/v1`));
+    console.error(chalk.gray('Press Ctrl+C to stop'));
+  } catch (error) {
+    console.error(chalk.red(`Cannot listen on ${host}:${port}: ${error.message}`));
+    await phindClient.disconnect();
+    process.exit(EXIT_CODES.ERROR);
+  }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
+  // The spinner forwards Ctrl+C here, so a running generation is cancelled first.
+  // A server stops instead: its generations belong to API callers.
+  if (!apiServer && interruptGeneration()) {
+    return;
+  }
   console.log(chalk.blue('\nShutting down...'));
+  if (apiServer) {
+    await apiServer.close();
+  }
   if (phindClient) {
     await phindClient.disconnect();
   }
   process.exit(0);
 });
 
-// Start the application
-if (import.meta.url === `file://${process.argv[1]}`) {
+// For the tests in test/, which run the REPL commands without a terminal
+export {
+  loadConfiguration,
+  connectToPhind,
+  openSession,
+  loadConversationHistory,
+  loadCodeIndex,
+  processSpecialCommand,
+  submitPrompt,
+  conversationHistory,
+  activeSession,
+  sessionStore,
+  phindClient,
+  pendingAttachments
+};
+
+// Start the application (argv[1] may be the npm bin symlink, so compare real paths)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
   main().catch((error) => {
     console.error(chalk.red('Fatal error:'), error.message);
     process.exit(1);
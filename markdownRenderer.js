@@ -0,0 +1,313 @@
+import chalk from 'chalk';
+
+// Terminal rendering of markdown replies: headings, lists, quotes, inline styles
+// and fenced code blocks with syntax highlighting. Code blocks are numbered from 1
+// in each reply so commands such as \copy can refer to them.
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/;
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', javascript: 'javascript',
+  ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+  py: 'python', python: 'python',
+  sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell', console: 'shell', run: 'shell',
+  json: 'json',
+  go: 'clike', rust: 'clike', rs: 'clike', java: 'clike', kotlin: 'clike', c: 'clike', h: 'clike',
+  cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike', swift: 'clike', php: 'clike',
+  rb: 'ruby', ruby: 'ruby',
+  sql: 'sql',
+  yaml: 'yaml', yml: 'yaml', toml: 'yaml',
+  diff: 'diff', patch: 'diff'
+};
+
+const LANGUAGES = {
+  javascript: {
+    comment: '//',
+    blockComments: true,
+    strings: ['"', "'", '`'],
+    keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield interface type enum implements'
+  },
+  python: {
+    comment: '#',
+    strings: ['"', "'"],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield self'
+  },
+  shell: {
+    comment: '#',
+    strings: ['"', "'"],
+    keywords: 'if then else elif fi for while until do done case esac function in return export local source alias echo cd exit set unset'
+  },
+  json: {
+    strings: ['"'],
+    keywords: ''
+  },
+  clike: {
+    comment: '//',
+    blockComments: true,
+    strings: ['"', "'"],
+    keywords: 'break case catch class const continue default do else enum extends final finally for func fn go if impl implements import interface let match mod mut namespace new package private protected pub public return static struct super switch this throw throws try type use var void while'
+  },
+  ruby: {
+    comment: '#',
+    strings: ['"', "'"],
+    keywords: 'alias and begin break case class def do else elsif end ensure for if in module next not or redo rescue retry return self super then unless until when while yield require'
+  },
+  sql: {
+    comment: '--',
+    strings: ["'"],
+    keywords: 'select from where and or not insert into values update set delete create table alter drop index join left right inner outer on group by order having limit offset as distinct union primary key foreign references'
+  },
+  yaml: {
+    comment: '#',
+    strings: ['"', "'"],
+    keywords: ''
+  }
+};
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NULL']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One scanner per language; alternatives are tried left to right at each position,
+// so a string that starts before a comment marker wins
+const scanners = new Map();
+function scannerFor(name) {
+  if (!scanners.has(name)) {
+    const spec = LANGUAGES[name];
+    // ((?!)) is a group that never matches, so the capture positions stay the same
+    const parts = [];
+    parts.push(spec.blockComments ? '(\\/\\*.*?(?:\\*\\/|$))' : '((?!))');
+    parts.push(spec.comment ? `(${escapeRegExp(spec.comment)}.*$)` : '((?!))');
+    parts.push(`(${spec.strings.map((quote) => `${quote}(?:\\\\.|[^\\\\${quote}])*(?:${quote}|$)`).join('|')})`);
+    parts.push('(\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?)\\b)');
+    parts.push('([A-Za-z_$][\\w$]*)');
+    // Everything else, one character at a time
+    parts.push('(.)');
+    scanners.set(name, {
+      regex: new RegExp(parts.join('|'), 'g'),
+      keywords: new Set(spec.keywords.split(' ').filter(Boolean)),
+      caseInsensitive: name === 'sql'
+    });
+  }
+  return scanners.get(name);
+}
+
+// How each kind of token is shown; text is everything left unstyled. Other
+// outputs (the HTML export) pass their own table to highlightLine.
+export const TERMINAL_STYLE = {
+  text: (text) => text,
+  comment: (text) => chalk.gray(text),
+  string: (text) => chalk.yellow(text),
+  key: (text) => chalk.cyan(text),
+  number: (text) => chalk.magenta(text),
+  keyword: (text) => chalk.blue(text),
+  added: (text) => chalk.green(text),
+  removed: (text) => chalk.red(text),
+  hunk: (text) => chalk.cyan(text)
+};
+
+// Highlight one line of code. state carries an open /* comment */ across lines.
+export function highlightLine(line, language, state = {}, style = TERMINAL_STYLE) {
+  const name = LANGUAGE_ALIASES[(language || '').toLowerCase()];
+  if (!name) {
+    return style.text(line);
+  }
+
+  if (name === 'diff') {
+    if (line.startsWith('@@')) {
+      return style.hunk(line);
+    }
+    if (line.startsWith('+')) {
+      return style.added(line);
+    }
+    if (line.startsWith('-')) {
+      return style.removed(line);
+    }
+    return style.text(line);
+  }
+
+  let prefix = '';
+  let rest = line;
+  if (state.inBlockComment) {
+    const end = line.indexOf('*/');
+    if (end === -1) {
+      return style.comment(line);
+    }
+    prefix = style.comment(line.slice(0, end + 2));
+    rest = line.slice(end + 2);
+    state.inBlockComment = false;
+  }
+
+  const scanner = scannerFor(name);
+  const highlighted = rest.replace(scanner.regex, (match, block, comment, string, number, word, other, offset) => {
+    if (block) {
+      if (!block.endsWith('*/') || block.length < 4) {
+        state.inBlockComment = true;
+      }
+      return style.comment(block);
+    }
+    if (comment) {
+      return style.comment(comment);
+    }
+    if (string) {
+      // JSON and YAML keys read better in a different colour from values
+      const isKey = (name === 'json' || name === 'yaml') && /^\s*:/.test(rest.slice(offset + match.length));
+      return isKey ? style.key(string) : style.string(string);
+    }
+    if (number) {
+      return style.number(number);
+    }
+    if (word === undefined) {
+      return style.text(other);
+    }
+    if (LITERALS.has(word)) {
+      return style.number(word);
+    }
+    const keyword = scanner.caseInsensitive ? word.toLowerCase() : word;
+    if (scanner.keywords.has(keyword)) {
+      return style.keyword(word);
+    }
+    return style.text(word);
+  });
+  return prefix + highlighted;
+}
+
+// Inline code, bold, italics and links within a line of prose
+function renderInline(text) {
+  return text.split(/(`+[^`]+`+)/).map((part, index) => {
+    if (index % 2 === 1) {
+      return chalk.yellow(part.replace(/^`+|`+$/g, ''));
+    }
+    return part
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => `${chalk.underline(label)} ${chalk.gray(`(${url})`)}`)
+      .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*|__(?=\S)(.+?)(?<=\S)__/g, (match, a, b) => chalk.bold(a || b))
+      .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])|(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g, (match, a, b) => chalk.italic(a || b));
+  }).join('');
+}
+
+// Line-by-line renderer; keeps track of whether it is inside a code block
+class MarkdownRenderer {
+  constructor(options = {}) {
+    this.plain = Boolean(options.plain);
+    this.columns = options.columns || 80;
+    this.fence = null;
+    this.language = '';
+    this.codeState = {};
+    this.blockCount = 0;
+  }
+
+  get inCode() {
+    return this.fence !== null;
+  }
+
+  renderLine(line) {
+    if (this.plain) {
+      return line;
+    }
+
+    const fence = line.match(FENCE);
+    if (this.fence) {
+      if (fence && fence[1].startsWith(this.fence) && !fence[2]) {
+        this.fence = null;
+        return chalk.gray(line);
+      }
+      return highlightLine(line, this.language, this.codeState);
+    }
+    if (fence) {
+      this.fence = fence[1];
+      this.language = fence[2];
+      this.codeState = {};
+      this.blockCount++;
+      return chalk.gray(line.trimEnd()) + chalk.cyan(` [${this.blockCount}]`);
+    }
+
+    let match;
+    if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      const text = renderInline(match[2]);
+      return match[1].length === 1 ? chalk.bold.underline.cyan(text) : chalk.bold.cyan(text);
+    }
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return chalk.gray('─'.repeat(Math.min(this.columns, 60)));
+    }
+    if ((match = line.match(/^\s*>\s?(.*)$/))) {
+      return chalk.gray('│ ') + chalk.italic(renderInline(match[1]));
+    }
+    if ((match = line.match(/^(\s*)[-*+]\s+(.*)$/))) {
+      return chalk.green(`${match[1]}• ${renderInline(match[2])}`);
+    }
+    return chalk.green(renderInline(line));
+  }
+}
+
+// Render a complete reply
+export function renderMarkdown(text, options = {}) {
+  const renderer = new MarkdownRenderer(options);
+  return text.split('\n').map((line) => renderer.renderLine(line)).join('\n');
+}
+
+// Render a reply while it streams. Text is shown as soon as it arrives; when a
+// line is complete it is redrawn with formatting, if it still fits on one row.
+export function createStreamRenderer({ write, plain = false, columns = 80, canRedraw = true }) {
+  const renderer = new MarkdownRenderer({ plain, columns });
+  let line = '';
+
+  const finishLine = (ending) => {
+    const rendered = renderer.renderLine(line);
+    const width = line.replace(/\t/g, '        ').length;
+    // Plain prose was already shown in its final colour
+    const changed = rendered !== line && rendered !== chalk.green(line);
+    if (!plain && changed && canRedraw && width < columns) {
+      write(`\r\x1b[2K${rendered}${ending}`);
+    } else {
+      write(ending);
+    }
+    line = '';
+  };
+
+  return {
+    write(text) {
+      const parts = text.split('\n');
+      for (const [index, part] of parts.entries()) {
+        if (index > 0) {
+          finishLine('\n');
+        }
+        if (part) {
+          line += part;
+          write(plain ? part : renderer.inCode ? part : chalk.green(part));
+        }
+      }
+    },
+    end() {
+      if (line) {
+        finishLine('');
+      }
+    }
+  };
+}
+
+// Fenced code blocks of a reply, in the order they are numbered when rendered
+export function extractCodeBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const fence = line.match(FENCE);
+    if (current) {
+      if (fence && fence[1].startsWith(current.fence) && !fence[2]) {
+        blocks.push({ language: current.language, code: current.lines.join('\n') });
+        current = null;
+      } else {
+        current.lines.push(line);
+      }
+    } else if (fence) {
+      current = { fence: fence[1], language: fence[2], lines: [] };
+    }
+  }
+  // A reply cut off mid-block still has its code
+  if (current) {
+    blocks.push({ language: current.language, code: current.lines.join('\n').trimEnd() });
+  }
+  return blocks;
+}
@@ -0,0 +1,31 @@
+import { getTemplate } from './promptTemplates.js';
+
+// Named model profiles. Each entry in config.models overrides the shared settings in
+// config.phind (backend, paths, template, context size, sampling defaults), so a
+// profile only lists what differs. Without a models block, config.phind is used as is.
+
+export function listModelProfiles(config) {
+  return Object.keys(config.models || {});
+}
+
+// Profile used when none is requested: config.defaultModel, else the first one listed
+export function defaultModelName(config) {
+  const names = listModelProfiles(config);
+  if (names.length === 0) {
+    return null;
+  }
+  return config.defaultModel && names.includes(config.defaultModel) ? config.defaultModel : names[0];
+}
+
+// Effective settings for a profile; throws if the name or its template is unknown
+export function resolveModelConfig(config, name = defaultModelName(config)) {
+  const names = listModelProfiles(config);
+  if (name && !names.includes(name)) {
+    const available = names.length > 0 ? `Available: ${names.join(', ')}` : 'No model profiles are configured';
+    throw new Error(`No model profile named "${name}". ${available}`);
+  }
+
+  const settings = { ...config.phind, ...(name ? config.models[name] : {}) };
+  getTemplate(settings.template);
+  return { name, settings };
+}
@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+
+// Keeps the model running. When the backend goes away on its own (the llama
+// process crashed or was killed), it is started again with exponential backoff;
+// the client replays the system prompt and the recent context with the next request.
+//
+// Events: 'exited' ({ code }), 'restarting' ({ attempt, maxAttempts, delay }),
+// 'restarted' ({ restarts, manual }) and 'failed' ({ error, attempts }).
+
+const DEFAULTS = {
+  enabled: true,
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 30000
+};
+
+class ModelSupervisor extends EventEmitter {
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = { ...DEFAULTS, ...options };
+    // healthy, restarting, failed (gave up or restarts disabled) or stopped
+    this.state = 'healthy';
+    this.attempt = 0;
+    this.restarts = 0;
+    this.connectedAt = Date.now();
+    this.lastExit = null;
+    this.lastError = null;
+    this.nextAttemptAt = null;
+    this.timer = null;
+    this.pending = null;
+
+    this.onDisconnected = (code) => this.handleExit(code);
+    client.on('disconnected', this.onDisconnected);
+  }
+
+  handleExit(code) {
+    // A process that dies while being restarted is handled by the restart itself
+    if (this.state !== 'healthy') {
+      return;
+    }
+
+    // Only count attempts since the model last stayed up for a while, so a model
+    // that crashes on every request does not restart forever
+    if (Date.now() - this.connectedAt > this.options.maxDelay) {
+      this.attempt = 0;
+    }
+    this.lastExit = { code, at: Date.now() };
+    this.emit('exited', { code });
+
+    if (!this.options.enabled) {
+      this.giveUp(new Error(`Model process exited with code ${code}`));
+      return;
+    }
+    this.scheduleRestart();
+  }
+
+  scheduleRestart() {
+    if (this.attempt >= this.options.maxAttempts) {
+      this.giveUp(this.lastError || new Error(`Model process exited with code ${this.lastExit?.code}`));
+      return;
+    }
+
+    const delay = Math.min(this.options.initialDelay * 2 ** this.attempt, this.options.maxDelay);
+    this.attempt++;
+    this.state = 'restarting';
+    this.nextAttemptAt = Date.now() + delay;
+    this.emit('restarting', { attempt: this.attempt, maxAttempts: this.options.maxAttempts, delay });
+    this.timer = setTimeout(() => this.tryRestart(), delay);
+  }
+
+  async tryRestart() {
+    this.timer = null;
+    this.nextAttemptAt = null;
+    try {
+      this.pending = this.client.reconnect();
+      await this.pending;
+    } catch (error) {
+      if (this.state === 'stopped') {
+        return;
+      }
+      this.lastError = error;
+      this.scheduleRestart();
+      return;
+    } finally {
+      this.pending = null;
+    }
+    if (this.state !== 'stopped') {
+      this.recovered(false);
+    }
+  }
+
+  recovered(manual) {
+    this.state = 'healthy';
+    this.restarts++;
+    this.lastError = null;
+    this.connectedAt = Date.now();
+    this.emit('restarted', { restarts: this.restarts, manual });
+  }
+
+  giveUp(error) {
+    this.state = 'failed';
+    this.lastError = error;
+    this.emit('failed', { error, attempts: this.attempt });
+  }
+
+  // Restart now, whatever the state (\reconnect). Rejects if the model does not come up.
+  async reconnect() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextAttemptAt = null;
+    this.attempt = 0;
+    this.state = 'restarting';
+    // Let an automatic attempt that is already starting the model finish first
+    await this.pending?.catch(() => {});
+
+    try {
+      await this.client.reconnect();
+    } catch (error) {
+      this.giveUp(error);
+      throw error;
+    }
+    this.recovered(true);
+  }
+
+  // Resolves once a restart under way has succeeded; rejects if it gives up
+  whenReady() {
+    if (this.state === 'healthy') {
+      return Promise.resolve();
+    }
+    if (this.state !== 'restarting') {
+      return Promise.reject(this.lastError || new Error('The model is not running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onRestarted = () => {
+        this.removeListener('failed', onFailed);
+        resolve();
+      };
+      const onFailed = ({ error }) => {
+        this.removeListener('restarted', onRestarted);
+        reject(error);
+      };
+      this.once('restarted', onRestarted);
+      this.once('failed', onFailed);
+    });
+  }
+
+  // State for \status
+  getHealth() {
+    return {
+      state: this.state,
+      uptime: this.state === 'healthy' ? Date.now() - this.connectedAt : 0,
+      restarts: this.restarts,
+      attempt: this.attempt,
+      maxAttempts: this.options.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      lastExit: this.lastExit,
+      lastError: this.lastError ? this.lastError.message : null
+    };
+  }
+
+  // Stop watching, e.g. before a deliberate disconnect or a model switch
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.state = 'stopped';
+    this.client.removeListener('disconnected', this.onDisconnected);
+  }
+}
+
+export default ModelSupervisor;
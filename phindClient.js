@@ -1,32 +1,76 @@
-import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
-import * as fs from 'fs';
-import * as path from 'path';
+import { createBackend } from './backends/index.js';
+import { GENERATION_PARAMETERS, pickParameters } from './generationParameters.js';
+import { isCancelled } from './backends/errors.js';
+
+// Default system prompt sent ahead of the first message
+const SYSTEM_PROMPT = `You are an expert coding assistant with deep knowledge of software development, programming languages, frameworks, and best practices. Your role is to:
+
+1. **Provide comprehensive, detailed responses** - Always give thorough explanations, complete code examples, and step-by-step guidance
+2. **Write production-ready code** - Include proper error handling, documentation, and best practices
+3. **Explain your reasoning** - Always explain why you're making specific choices and what alternatives exist
+4. **Consider multiple approaches** - Present different solutions when appropriate
+5. **Include practical examples** - Provide working code examples that can be immediately used
+6. **Address edge cases** - Consider error scenarios, performance implications, and security concerns
+7. **Follow coding standards** - Use consistent formatting, naming conventions, and documentation
+8. **Be thorough** - Don't cut corners; provide complete, well-thought-out solutions
+
+When writing code:
+- Include proper imports and dependencies
+- Add comprehensive comments explaining complex logic
+- Consider performance and scalability
+- Include error handling and validation
+- Follow language-specific best practices
+- Provide both the solution and explanation of how it works
+
+Always aim to be helpful, thorough, and educational in your responses.`;
+
+// Instructions for compacting older turns into the pinned summary
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and a coding assistant. Rewrite the summary so it also covers the new turns. Keep decisions, requirements, file names, code identifiers, commands, errors and open questions; drop pleasantries and code that was later replaced. Reply with the summary only, as concise bullet points.`;
+
+// Older turns (and any earlier summary) as the text to be summarized
+function formatForSummary(previousSummary, messages) {
+  const turns = messages.map((message) => `${message.role === 'user' ? 'User' : 'Assistant'}:\n${message.content}`).join('\n\n');
+  const previous = previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '';
+  return `${previous}New turns:\n\n${turns}`;
+}
+
+// The same request for a process that already holds the conversation: the older
+// turns are pointed at rather than sent again, which could overflow its context
+function formatInPlaceSummary(messages) {
+  const lastQuestion = messages.filter((message) => message.role === 'user').at(-1)?.content ?? '';
+  const preview = lastQuestion.length > 80 ? `${lastQuestion.slice(0, 80)}...` : lastQuestion;
+  return `${SUMMARY_PROMPT}\n\nThe summary so far, if there is one, is in the system prompt. The new turns are the conversation above, from the start up to and including your reply to "${preview}".`;
+}
 
 class PhindClient extends EventEmitter {
   constructor(config = {}) {
     super();
+    // ?? rather than ||, so explicit zeros such as temperature 0 are kept
     this.config = {
-      modelPath: config.modelPath || "/home/phind-container/models/phind-codellama-34b-v2.Q4_K_M.gguf",
-      llamaPath: config.llamaPath || "/home/llama.cpp/build/bin/llama-simple-chat",
-      gpuLayers: config.gpuLayers || 99,
-      contextSize: config.contextSize || 8192,
-      temperature: config.temperature || 0.7,
-      maxTokens: config.maxTokens || 2048,
-      ...config
+      ...config,
+      modelPath: config.modelPath ?? "/home/phind-container/models/phind-codellama-34b-v2.Q4_K_M.gguf",
+      llamaPath: config.llamaPath ?? "/home/llama.cpp/build/bin/llama-simple-chat",
+      gpuLayers: config.gpuLayers ?? 99,
+      contextSize: config.contextSize ?? 8192,
+      temperature: config.temperature ?? 0.7,
+      maxTokens: config.maxTokens ?? 2048,
+      backend: config.backend ?? 'spawn'
     };
-    // Connection info logged during startup
 
-
-    this.process = null;
+    this.backend = createBackend(this.config);
+    this.systemPrompt = SYSTEM_PROMPT;
     this.isConnected = false;
     this.context = [];
-    this.tokenizer = null;
+    // Older turns compacted into a summary that is pinned to the system prompt
+    this.summary = null;
+    this.systemPromptTokens = this.estimateTokens(this.systemPrompt);
     this.currentTokenCount = 0;
+    this.tokenCache = new Map();
+    this.exactTokenCounts = false;
+    this.lastUsage = null;
     this.responsePromise = null;
-    this.responseResolve = null;
-    this.responseReject = null;
-    this.hasSentSystemPrompt = false;
+    this.abortController = null;
   }
 
   // Estimate token count (rough approximation)
@@ -35,202 +79,285 @@ class PhindClient extends EventEmitter {
     return Math.ceil(text.length / 4);
   }
 
-  // Check if adding message would exceed context
-  wouldExceedContext(message) {
-    const messageTokens = this.estimateTokens(message);
-    const currentTokens = this.currentTokenCount;
-    const maxInputTokens = this.config.contextSize - this.config.maxTokens;
-    
-    return (currentTokens + messageTokens) > maxInputTokens;
+  // Token count from the backend's tokenizer when it has one, otherwise an estimate
+  async countTokens(text) {
+    if (this.tokenCache.has(text)) {
+      return this.tokenCache.get(text);
+    }
+
+    const exact = await this.backend.countTokens(text);
+    this.exactTokenCounts = exact !== null;
+    const tokens = exact ?? this.estimateTokens(text);
+
+    // Bounded so long sessions do not keep every message twice
+    if (this.tokenCache.size >= 500) {
+      this.tokenCache.delete(this.tokenCache.keys().next().value);
+    }
+    this.tokenCache.set(text, tokens);
+    return tokens;
+  }
+
+  // Embedding vectors for the texts, or null when the backend cannot compute them
+  async embed(texts) {
+    return this.backend.embed(texts);
   }
 
-  // Get current context usage
+  // Tokens taken by everything sent ahead of the next message
+  usedTokens() {
+    return this.systemPromptTokens + (this.summary ? this.summary.tokens : 0) + this.currentTokenCount;
+  }
+
+  // Get current context usage; max is the input budget left after reserving maxTokens for the reply
   getContextUsage() {
     const maxInputTokens = this.config.contextSize - this.config.maxTokens;
-    const usagePercent = (this.currentTokenCount / maxInputTokens) * 100;
+    const current = this.usedTokens();
     
     return {
-      current: this.currentTokenCount,
+      current,
       max: maxInputTokens,
-      available: maxInputTokens - this.currentTokenCount,
-      usagePercent: Math.round(usagePercent)
+      available: maxInputTokens - current,
+      usagePercent: Math.round((current / maxInputTokens) * 100)
     };
   }
 
-  async connect() {
-    return new Promise((resolve, reject) => {
-      const args = [
-        '-m', this.config.modelPath,
-        '-ngl', this.config.gpuLayers.toString(),
-        '-c', this.config.contextSize.toString()
-      ];
-
-      this.process = spawn(this.config.llamaPath, args, {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+  // System prompt plus the pinned summary, as sent with each request
+  effectiveSystemPrompt() {
+    if (!this.summary) {
+      return this.systemPrompt;
+    }
+    return `${this.systemPrompt}\n\n## Summary of the earlier conversation\n${this.summary.content}`;
+  }
 
-      let buffer = '';
-      let isReady = false;
-      let stderrBuffer = '';
-
-      this.process.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        buffer += chunk;
-        
-        // Check for various ready indicators
-        if (!isReady && (
-          buffer.includes('llama_simple_chat') || 
-          buffer.includes('>') ||
-          buffer.includes('User:') ||
-          buffer.includes('Assistant:') ||
-          buffer.includes('main:') ||
-          buffer.includes('ggml') ||
-          buffer.includes('model loaded') ||
-          buffer.includes('ready') ||
-          buffer.includes('prompt:') ||
-          buffer.includes('system:')
-        )) {
-          isReady = true;
-          this.isConnected = true;
-          this.emit('ready');
-          resolve();
-        }
-      });
+  // Make room for a message of the given size. Once the conversation passes
+  // compactThreshold of the budget, older turns are summarized by the model.
+  async fitContext(messageTokens, options = {}) {
+    const { max } = this.getContextUsage();
+    const threshold = this.config.compactThreshold ?? 0.8;
+    const needed = this.usedTokens() + messageTokens;
 
-      this.process.stderr.on('data', (data) => {
-        const chunk = data.toString();
-        stderrBuffer += chunk;
-        // Only log stderr if it's not just dots (loading indicators)
-        if (!chunk.match(/^\.+$/)) {
-          console.error('STDERR:', chunk);
-        }
-      });
+    // No amount of summarizing makes room for a message larger than the whole budget
+    if (this.systemPromptTokens + messageTokens > max) {
+      throw new Error(`Message too long: ${messageTokens} tokens, but only ${max - this.systemPromptTokens} fit after the system prompt.`);
+    }
 
-      this.process.on('error', (error) => {
-        console.error('Process error:', error);
-        this.isConnected = false;
-        reject(error);
-      });
+    if (threshold && needed > max * threshold && this.context.length > 0) {
+      await this.compact(messageTokens, options);
+    }
 
-      this.process.on('close', (code) => {
-        console.error(`Process closed with code: ${code}`);
-        this.isConnected = false;
-        this.emit('disconnected', code);
-      });
+    const after = this.usedTokens() + messageTokens;
+    if (after > max) {
+      throw new Error(`Context limit exceeded: ${after} tokens needed, ${max} available. Use \\clear or send a shorter message.`);
+    }
+  }
 
-      // Timeout after 120 seconds (model loading can take time)
-      setTimeout(() => {
-        if (!isReady) {
-          reject(new Error('Phind connection timeout'));
-        }
-      }, 120000);
+  // Summarize the older turns, keeping the newest ones verbatim. The recent turns
+  // kept may take up to half of what the system prompt and incoming message leave free.
+  async compact(messageTokens = 0, options = {}) {
+    const { max } = this.getContextUsage();
+    const keepBudget = Math.floor((max - this.systemPromptTokens - messageTokens) / 2);
+    let keepFrom = this.context.length;
+    let kept = 0;
+
+    while (keepFrom > 0 && kept + this.context[keepFrom - 1].tokens <= keepBudget) {
+      keepFrom--;
+      kept += this.context[keepFrom].tokens;
+    }
+    // Kept turns start with a user message so the history stays in pairs
+    while (keepFrom < this.context.length && this.context[keepFrom].role !== 'user') {
+      keepFrom++;
+    }
+
+    const older = this.context.slice(0, keepFrom);
+    if (older.length === 0) {
+      return null;
+    }
+
+    const tokensBefore = this.usedTokens();
+    this.emit('compacting', { messages: older.length });
+
+    // A spawn process holding the conversation summarizes it in place. Afterwards
+    // it is replaced, once, before the next request, so the summarization exchange
+    // never becomes part of the conversation.
+    const inPlace = this.backend.holdsConversation();
+    const content = inPlace ? formatInPlaceSummary(older) : formatForSummary(this.summary?.content, older);
+    const request = { systemPrompt: SUMMARY_PROMPT, messages: [{ role: 'user', content }] };
+    const call = {
+      kind: 'summary',
+      prompt: content,
+      promptTokens: inPlace
+        ? this.estimateTokens(content)
+        : this.estimateTokens(SUMMARY_PROMPT) + (this.summary ? this.summary.tokens : 0) + older.reduce((sum, entry) => sum + entry.tokens, 0)
+    };
+    const startedAt = Date.now();
+    let summary;
+    try {
+      const raw = await this.backend.complete(request, { timeout: options.timeout, signal: options.signal });
+      summary = this.backend.needsCleaning ? this.cleanResponse(raw) : raw.trim();
+    } catch (error) {
+      this.reportRequest(call, { startedAt, error });
+      throw error;
+    } finally {
+      // The next request sends the new summary and the kept turns
+      this.backend.forgetConversation();
+    }
+
+    const finishedAt = Date.now();
+    const summarizedMessages = (this.summary ? this.summary.messageCount : 0) + older.length;
+    this.summary = { content: summary, tokens: await this.countTokens(summary), messageCount: summarizedMessages };
+    this.reportRequest(call, { startedAt, finishedAt, completion: summary, completionTokens: this.summary.tokens });
+    this.context = this.context.slice(keepFrom);
+    this.recount();
+
+    const result = { summarized: older.length, tokensBefore, tokensAfter: this.usedTokens(), summary: this.summary };
+    this.emit('compacted', result);
+    return result;
+  }
+
+  recount() {
+    this.currentTokenCount = this.context.reduce((sum, entry) => sum + entry.tokens, 0);
+  }
+
+  async connect() {
+    this.backend.on('ready', () => {
+      this.isConnected = true;
+      this.emit('ready');
+    });
+
+    this.backend.on('disconnected', (code) => {
+      this.isConnected = false;
+      this.emit('disconnected', code);
     });
+
+    try {
+      await this.backend.connect();
+    } catch (error) {
+      this.isConnected = false;
+      throw error;
+    }
+    this.systemPromptTokens = await this.countTokens(this.systemPrompt);
+  }
+
+  // Start the backend again after it went away. The context is kept, and the
+  // system prompt and recent turns are replayed with the next request.
+  async reconnect() {
+    await this.backend.disconnect();
+    this.backend.reset();
+    await this.backend.connect();
+    this.isConnected = true;
   }
 
   async sendMessage(message, options = {}) {
-    if (!this.isConnected || !this.process) {
+    if (!this.isConnected) {
       throw new Error('Phind client not connected');
     }
 
-    if (this.responsePromise) {
+    if (this.abortController) {
       throw new Error('Already waiting for a response');
     }
-
-    // Check context limits
-    if (this.wouldExceedContext(message)) {
-      const usage = this.getContextUsage();
-      console.warn(`⚠️  Context usage high: ${usage.usagePercent}% (${usage.current}/${usage.max} tokens)`);
-      
-      if (usage.usagePercent > 90) {
-        throw new Error(`Context limit exceeded. Usage: ${usage.usagePercent}%. Please clear history or use shorter input.`);
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    try {
+      this.systemPromptTokens = await this.countTokens(this.systemPrompt);
+      const messageTokens = await this.countTokens(message);
+      await this.fitContext(messageTokens, { signal, timeout: options.timeout });
+
+      // Timed for the 'request' event; the first token is only seen when streaming
+      const call = { kind: 'chat', session: options.session, prompt: message, promptTokens: this.usedTokens() + messageTokens, parameters: options.parameters };
+      const startedAt = Date.now();
+      let firstTokenAt = null;
+      const onToken = options.onToken && ((token) => {
+        firstTokenAt ??= Date.now();
+        options.onToken(token);
+      });
+      let response;
+      try {
+        response = await this.complete(message, { ...options, onToken }, signal);
+      } catch (error) {
+        this.reportRequest(call, { startedAt, firstTokenAt, error });
+        throw error;
       }
+      const finishedAt = Date.now();
+      const responseTokens = await this.countTokens(response);
+      this.reportRequest(call, { startedAt, firstTokenAt, finishedAt, completion: response, completionTokens: responseTokens });
+
+      this.addToContext('user', message, { tokens: messageTokens, attachmentTokens: Math.min(options.attachmentTokens ?? 0, messageTokens) });
+      this.addToContext('assistant', response, { tokens: responseTokens });
+      this.lastUsage = { promptTokens: messageTokens, completionTokens: responseTokens };
+
+      return response;
+    } finally {
+      this.responsePromise = null;
+      this.abortController = null;
     }
+  }
 
-    return new Promise((resolve, reject) => {
-      this.responsePromise = { resolve, reject };
-      this.responseResolve = resolve;
-      this.responseReject = reject;
-      
-      let responseBuffer = '';
-      let isComplete = false;
-      const timeout = options.timeout || 120000; // Increased timeout for longer responses
-
-      const timeoutId = setTimeout(() => {
-        if (!isComplete) {
-          this.responsePromise = null;
-          this.responseResolve = null;
-          this.responseReject = null;
-          reject(new Error('Response timeout'));
-        }
-      }, timeout);
-
-      const dataHandler = (data) => {
-        const chunk = data.toString();
-        responseBuffer += chunk;
-
-        // Check for completion patterns
-        if (chunk.includes('<|im_end|>') || 
-            chunk.includes('>') || 
-            chunk.includes('User:') ||
-            chunk.includes('Assistant:')) {
-          isComplete = true;
-          clearTimeout(timeoutId);
-          
-          // Remove the data handler
-          this.process.stdout.removeListener('data', dataHandler);
-          
-          // Clean the response
-          const cleanedResponse = this.cleanResponse(responseBuffer);
-          
-          // Update token count
-          this.currentTokenCount += this.estimateTokens(message) + this.estimateTokens(cleanedResponse);
-          
-          // Clear response state
-          this.responsePromise = null;
-          this.responseResolve = null;
-          this.responseReject = null;
-          
-          resolve(cleanedResponse);
-        }
-      };
-
-      this.process.stdout.on('data', dataHandler);
+  // One request to the backend with the current context plus the new message
+  async complete(message, options, signal) {
+    const request = {
+      systemPrompt: this.effectiveSystemPrompt(),
+      messages: [
+        ...this.context.map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: message }
+      ]
+    };
 
-      // Send the message with system prompt for first message
-      if (!this.hasSentSystemPrompt) {
-        const systemPrompt = `<|im_start|>system
-You are an expert coding assistant with deep knowledge of software development, programming languages, frameworks, and best practices. Your role is to:
+    // Forward streamed chunks as 'token' events and to the caller's handler
+    const onToken = (token) => {
+      this.emit('token', token);
+      options.onToken?.(token);
+    };
 
-1. **Provide comprehensive, detailed responses** - Always give thorough explanations, complete code examples, and step-by-step guidance
-2. **Write production-ready code** - Include proper error handling, documentation, and best practices
-3. **Explain your reasoning** - Always explain why you're making specific choices and what alternatives exist
-4. **Consider multiple approaches** - Present different solutions when appropriate
-5. **Include practical examples** - Provide working code examples that can be immediately used
-6. **Address edge cases** - Consider error scenarios, performance implications, and security concerns
-7. **Follow coding standards** - Use consistent formatting, naming conventions, and documentation
-8. **Be thorough** - Don't cut corners; provide complete, well-thought-out solutions
+    this.responsePromise = this.backend.complete(request, {
+      timeout: options.timeout,
+      signal,
+      onToken: options.stream ? onToken : undefined,
+      parameters: options.parameters
+    });
+    const rawResponse = await this.responsePromise;
 
-When writing code:
-- Include proper imports and dependencies
-- Add comprehensive comments explaining complex logic
-- Consider performance and scalability
-- Include error handling and validation
-- Follow language-specific best practices
-- Provide both the solution and explanation of how it works
+    // Clean the response when the backend hands back raw terminal output
+    return this.backend.needsCleaning ? this.cleanResponse(rawResponse) : rawResponse.trim();
+  }
 
-Always aim to be helpful, thorough, and educational in your responses.
-<|im_end|>`;
-        this.process.stdin.write(systemPrompt + '\n');
-        this.hasSentSystemPrompt = true;
-      }
-      
-      this.process.stdin.write(message + '\n');
+  // Emit 'request' with the timing, token counts and outcome of one model call
+  // (a reply, or a summary when compacting), for the audit log
+  reportRequest({ parameters, ...call }, { startedAt, firstTokenAt = null, finishedAt = Date.now(), completion = null, completionTokens = 0, error = null }) {
+    let status = 'ok';
+    if (error) {
+      status = isCancelled(error) ? 'cancelled' : 'error';
+    }
+    this.emit('request', {
+      ...call,
+      startedAt: new Date(startedAt).toISOString(),
+      latencyMs: finishedAt - startedAt,
+      timeToFirstTokenMs: firstTokenAt === null ? null : firstTokenAt - startedAt,
+      completion,
+      completionTokens,
+      params: this.appliedParameters(parameters),
+      status,
+      error: error && { code: error.code || null, message: error.message }
     });
   }
 
+  // Stop the generation in progress; its sendMessage call rejects with code CANCELLED
+  cancel() {
+    if (!this.abortController) {
+      return false;
+    }
+    this.abortController.abort();
+    return true;
+  }
+
+  // True from the moment a message is sent, including while older turns are compacted
+  isGenerating() {
+    return this.abortController !== null;
+  }
+
   cleanResponse(response) {
-    // Remove metadata and system messages
+    // Remove colour codes, metadata and system messages
     let cleaned = response
+      .replace(/\x1b\[[\d;]*m/g, '')
       .replace(/<\|im_start\|>system.*?<\|im_end\|>/gs, '')
       .replace(/<\|im_start\|>user.*?<\|im_end\|>/gs, '')
       .replace(/<\|im_start\|>assistant.*?<\|im_end\|>/gs, '')
@@ -239,20 +366,24 @@ Always aim to be helpful, thorough, and educational in your responses.
       .replace(/Assistant:.*?>/g, '')
       .replace(/<\|im_end\|>/g, '') // Remove end markers
       .replace(/^You are an expert coding assistant.*?Always aim to be helpful, thorough, and educational in your responses\./gs, '') // Remove system prompt content
-      .trim();
+      .trim()
+      .replace(/(?:^|\n)>$/, ''); // Remove the input prompt printed after the reply
 
-    // Remove any trailing system messages
+    // Remove any trailing system messages. Blank lines within the reply
+    // (between paragraphs, in code) are kept.
     const lines = cleaned.split('\n');
     const userLines = [];
     let foundUserContent = false;
 
     for (const line of lines) {
-      if (line.trim() && !line.includes('llama_simple_chat') && !line.includes('User:') && !line.includes('Assistant:')) {
+      if (line.includes('llama_simple_chat') || line.includes('User:') || line.includes('Assistant:')) {
+        if (foundUserContent) {
+          // Stop at first system message after user content
+          break;
+        }
+      } else if (line.trim() || foundUserContent) {
         userLines.push(line);
         foundUserContent = true;
-      } else if (foundUserContent && line.trim()) {
-        // Stop at first system message after user content
-        break;
       }
     }
 
@@ -260,25 +391,57 @@ Always aim to be helpful, thorough, and educational in your responses.
   }
 
   async disconnect() {
-    if (this.process) {
-      this.process.stdin.write('\x03'); // Send Ctrl+C
-      this.process.kill();
-      this.process = null;
-    }
+    await this.backend.disconnect();
     this.isConnected = false;
     this.responsePromise = null;
-    this.responseResolve = null;
-    this.responseReject = null;
   }
 
-  // Context management
-  addToContext(role, content) {
-    this.context.push({ role, content, timestamp: Date.now() });
-    
-    // Keep context within limits
-    if (this.context.length > this.config.contextSize / 100) {
-      this.context = this.context.slice(-this.config.contextSize / 100);
+  // Sampling parameters currently in effect
+  getParameters() {
+    return pickParameters(this.config);
+  }
+
+  // Change a sampling parameter (undefined restores the backend's default).
+  // The backend shares this.config, so the value is used from the next request.
+  setParameter(key, value) {
+    if (!GENERATION_PARAMETERS[key]) {
+      throw new Error(`Unknown parameter: ${key}`);
     }
+    if (value === undefined) {
+      delete this.config[key];
+    } else {
+      this.config[key] = value;
+    }
+    this.backend.parametersChanged?.();
+    return { key, value, applied: !this.unsupportedParameters().includes(key) };
+  }
+
+  // Parameters that are configured but that the backend cannot apply
+  unsupportedParameters() {
+    return this.backend.unsupportedParameters();
+  }
+
+  // Sampling parameters a call runs with, as recorded in transcripts and the audit
+  // log: settings the backend ignores and per-call values it cannot apply are left out
+  appliedParameters(parameters = {}) {
+    const applied = { ...this.getParameters(), ...this.backend.requestParameters(parameters) };
+    for (const key of this.unsupportedParameters()) {
+      delete applied[key];
+    }
+    return applied;
+  }
+
+  // Context management. The budget is enforced in tokens by fitContext before each
+  // request, so nothing is trimmed here.
+  addToContext(role, content, { tokens, attachmentTokens = 0 } = {}) {
+    this.context.push({
+      role,
+      content,
+      timestamp: Date.now(),
+      tokens: tokens ?? this.estimateTokens(content),
+      attachmentTokens
+    });
+    this.recount();
   }
 
   getContext() {
@@ -287,19 +450,86 @@ Always aim to be helpful, thorough, and educational in your responses.
 
   clearContext() {
     this.context = [];
+    this.summary = null;
     this.currentTokenCount = 0;
-    this.hasSentSystemPrompt = false; // Reset system prompt for fresh start
+    // A spawn process still holds the old turns, so it is replaced
+    this.backend.forgetConversation();
+  }
+
+  // Swap the system prompt. The spawn backend cannot change it in a running process,
+  // so it starts a new one and sends the prompt and context again with the next request.
+  setSystemPrompt(prompt) {
+    if (prompt === this.systemPrompt) {
+      return;
+    }
+    this.systemPrompt = prompt;
+    this.systemPromptTokens = this.estimateTokens(prompt); // Counted exactly with the next request
+    this.backend.forgetConversation();
+  }
+
+  // Replace the context with saved turns, e.g. from a previous session, plus the
+  // session's summary of older turns if it has one. Oldest turns are dropped first
+  // so everything fits within 90% of the input budget, leaving room for the next message.
+  restoreContext(messages, { summary = null } = {}) {
+    this.summary = summary ? { ...summary, tokens: summary.tokens ?? this.estimateTokens(summary.content) } : null;
+
+    const { max } = this.getContextUsage();
+    const budget = Math.floor(max * 0.9) - this.systemPromptTokens - (this.summary ? this.summary.tokens : 0);
+    const kept = [];
+    let tokens = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const messageTokens = messages[i].tokens ?? this.estimateTokens(messages[i].content);
+      if (tokens + messageTokens > budget) {
+        break;
+      }
+      kept.unshift({ role: messages[i].role, content: messages[i].content, tokens: messageTokens });
+      tokens += messageTokens;
+    }
+
+    // The replayed history should start with a user turn
+    while (kept.length && kept[0].role !== 'user') {
+      tokens -= kept.shift().tokens;
+    }
+
+    this.context = kept.map((message) => ({ ...message, timestamp: Date.now(), attachmentTokens: 0 }));
+    this.recount();
+    // Replay the restored turns with the next request, into a new spawn process if
+    // the current one has seen turns, so the model does not get them twice
+    this.backend.forgetConversation();
+
+    return { restored: kept.length, dropped: messages.length - kept.length, tokens };
+  }
+
+  // Switch to a different conversation (or an empty one). A backend process that
+  // has seen earlier turns is replaced before the next request, so nothing carries over.
+  async switchConversation(messages = [], options = {}) {
+    if (messages.length > 0 || options.summary) {
+      return this.restoreContext(messages, options);
+    }
+    this.clearContext();
+    return { restored: 0, dropped: 0, tokens: 0 };
   }
 
-  // Get context usage information
+  // Get context usage information, broken down by where the tokens go
   getContextInfo() {
     const usage = this.getContextUsage();
+    const attachments = this.context.reduce((sum, entry) => sum + entry.attachmentTokens, 0);
     return {
       ...usage,
+      breakdown: {
+        system: this.systemPromptTokens,
+        summary: this.summary ? this.summary.tokens : 0,
+        attachments,
+        recent: this.currentTokenCount - attachments
+      },
+      summarizedMessages: this.summary ? this.summary.messageCount : 0,
       contextMessages: this.context.length,
-      maxContextMessages: this.config.contextSize / 100
+      exactCounts: this.exactTokenCounts,
+      compactThreshold: this.config.compactThreshold ?? 0.8
     };
   }
 }
 
+export { SYSTEM_PROMPT };
 export default PhindClient; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Project context lives in a markdown file (ai.md by default) split into "## Section" blocks
+
+// Walk up from startDir looking for the project context file
+export function findProjectContextFile(fileName, startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const candidate = path.join(dir, fileName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Split markdown into the text before the first "## " heading and its sections
+export function parseSections(content) {
+  const lines = content.split('\n');
+  const preamble = [];
+  const sections = [];
+  let current = null;
+
+  for (const line of lines) {
+    const match = line.match(/^##\s+(.+?)\s*$/);
+    if (match) {
+      current = { heading: match[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  return {
+    preamble: preamble.join('\n').trim(),
+    sections: sections.map(({ heading, lines: body }) => ({ heading, body: body.join('\n').trim() }))
+  };
+}
+
+export function loadProjectContext(fileName, startDir = process.cwd()) {
+  const filePath = findProjectContextFile(fileName, startDir);
+  if (!filePath) {
+    return null;
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  return { path: filePath, content, ...parseSections(content) };
+}
+
+// Find a section by heading: exact (case-insensitive) match first, then a unique prefix
+export function findSection(projectContext, name) {
+  const wanted = name.trim().toLowerCase();
+  const exact = projectContext.sections.find((section) => section.heading.toLowerCase() === wanted);
+  if (exact) {
+    return exact;
+  }
+  const prefixed = projectContext.sections.filter((section) => section.heading.toLowerCase().startsWith(wanted));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+// Replace (or append) a section body and write the file back
+export function updateSection(filePath, heading, body) {
+  const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '# Project Context\n';
+  const { preamble, sections } = parseSections(content);
+  const existing = sections.find((section) => section.heading === heading);
+
+  if (existing) {
+    existing.body = body.trim();
+  } else {
+    sections.push({ heading, body: body.trim() });
+  }
+
+  let output = preamble ? `${preamble}\n\n` : '';
+  for (const section of sections) {
+    output += `## ${section.heading}\n\n${section.body ? `${section.body}\n\n` : ''}`;
+  }
+
+  fs.writeFileSync(filePath, output.trimEnd() + '\n');
+}
+
+// Append the non-empty sections of the project context to the base system prompt
+export function buildSystemPrompt(basePrompt, projectContext) {
+  if (!projectContext) {
+    return basePrompt;
+  }
+
+  const filled = projectContext.sections.filter((section) => section.body);
+  if (filled.length === 0) {
+    return basePrompt;
+  }
+
+  let prompt = `${basePrompt}\n\nProject context from ${path.basename(projectContext.path)} (follow these conventions):\n`;
+  for (const section of filled) {
+    prompt += `\n## ${section.heading}\n${section.body}\n`;
+  }
+  return prompt.trimEnd();
+}
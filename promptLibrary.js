@@ -0,0 +1,161 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { CODING_TASKS } from './codingTasks.js';
+import { formatAttachment, readAttachments } from './fileOperations.js';
+
+// Reusable prompts: markdown files in the prompts directories (see promptDirectories
+// in codingTasks.js), optionally starting with front-matter:
+//
+//   ---
+//   description: Document a module for the team wiki
+//   type: prompt            (or "system" for a persona used with \system)
+//   variables: audience=new contributors, format
+//   ---
+//   Write documentation for {{audience}} ...
+//
+// The body can use {{name}} variables (defaults come from "variables"), {{input}}
+// for free text typed after the arguments, {{file:path}} to include a file and
+// {{selection}} for the code the prompt is about. Files named after a task
+// command (review.md, commit.md, ...) override that command's template instead.
+
+// Names used by the task commands, which read their own template files
+const TASK_TEMPLATE_NAMES = new Set([...Object.keys(CODING_TASKS), 'commit']);
+
+const PLACEHOLDER = /\{\{\s*(file:[^}]+?|[\w-]+)\s*\}\}/g;
+
+// Split "---" front-matter ("key: value" lines) from the body
+export function parseFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { attributes: {}, body: content };
+  }
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (pair) {
+      attributes[pair[1].toLowerCase()] = pair[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return { attributes, body: content.slice(match[0].length) };
+}
+
+// "audience=new contributors, format" -> { audience: 'new contributors', format: null }
+function parseVariableList(text = '') {
+  const defaults = {};
+  for (const item of text.split(',')) {
+    const [name, ...value] = item.split('=');
+    if (name.trim()) {
+      defaults[name.trim()] = value.length > 0 ? value.join('=').trim() : null;
+    }
+  }
+  return defaults;
+}
+
+export function parsePrompt(content, name, file = null) {
+  const { attributes, body } = parseFrontMatter(content);
+  return {
+    name: attributes.name || name,
+    description: attributes.description || '',
+    type: attributes.type === 'system' ? 'system' : 'prompt',
+    defaults: parseVariableList(attributes.variables),
+    body: body.trim(),
+    path: file
+  };
+}
+
+// Every prompt in the directories, by name; the first directory wins when two
+// have a prompt of the same name
+export function loadPromptLibrary(directories) {
+  const prompts = new Map();
+  for (const directory of directories) {
+    if (!fs.existsSync(directory)) {
+      continue;
+    }
+    for (const entry of fs.readdirSync(directory).sort()) {
+      const name = entry.replace(/\.md$/, '');
+      if (!entry.endsWith('.md') || TASK_TEMPLATE_NAMES.has(name)) {
+        continue;
+      }
+      const file = path.join(directory, entry);
+      const prompt = parsePrompt(fs.readFileSync(file, 'utf8'), name, file);
+      if (!prompts.has(prompt.name)) {
+        prompts.set(prompt.name, prompt);
+      }
+    }
+  }
+  return prompts;
+}
+
+// Variables a prompt needs a value for, declared or used, in order of appearance
+export function promptVariables(prompt) {
+  const names = new Set(Object.keys(prompt.defaults));
+  for (const [, name] of prompt.body.matchAll(PLACEHOLDER)) {
+    if (!name.startsWith('file:') && name !== 'selection') {
+      names.add(name);
+    }
+  }
+  return [...names];
+}
+
+export function usesSelection(prompt) {
+  return [...prompt.body.matchAll(PLACEHOLDER)].some(([, name]) => name === 'selection');
+}
+
+// Arguments of \prompt use: key=value pairs (values may be quoted) and free text,
+// which becomes {{input}}
+export function parsePromptArguments(text) {
+  const values = {};
+  const words = [];
+  for (const [, key, doubleQuoted, singleQuoted, plain] of text.matchAll(/(?:([\w-]+)=)?(?:"([^"]*)"|'([^']*)'|(\S+))/g)) {
+    const value = doubleQuoted ?? singleQuoted ?? plain;
+    if (key) {
+      values[key] = value;
+    } else {
+      words.push(value);
+    }
+  }
+  if (words.length > 0) {
+    values.input = words.join(' ');
+  }
+  return values;
+}
+
+// Variables without a value in values or a default
+export function missingVariables(prompt, values) {
+  const merged = { ...prompt.defaults, ...values };
+  return promptVariables(prompt).filter((name) => merged[name] === null || merged[name] === undefined);
+}
+
+// Fill in the prompt. values holds the variables; selection is the text for
+// {{selection}}. {{file:path}} includes go through the same checks as \read.
+export function renderPrompt(prompt, values, { selection = null, cwd = process.cwd() } = {}) {
+  const missing = missingVariables(prompt, values);
+  if (missing.length > 0) {
+    throw new Error(`${prompt.name} needs a value for ${missing.join(', ')}`);
+  }
+  if (usesSelection(prompt) && selection === null) {
+    throw new Error(`${prompt.name} needs a selection: add selection=<file>[:<start>-<end>] or attach files with \\read`);
+  }
+
+  const merged = { ...prompt.defaults, ...values };
+  const text = prompt.body.replace(PLACEHOLDER, (match, name) => {
+    if (name === 'selection') {
+      return selection;
+    }
+    if (name.startsWith('file:')) {
+      const pattern = name.slice('file:'.length).trim();
+      const files = readAttachments(pattern, { cwd });
+      if (files.length === 0) {
+        throw new Error(`${prompt.name} includes ${pattern}, but no readable file matches it`);
+      }
+      return files.map(formatAttachment).join('\n\n');
+    }
+    return merged[name];
+  }).trim();
+
+  // Free text for a prompt without {{input}} is added at the end
+  if (merged.input && !promptVariables(prompt).includes('input')) {
+    return `${text}\n\n${merged.input}`;
+  }
+  return text;
+}
@@ -0,0 +1,63 @@
+// Prompt framing for models that take a raw text prompt instead of chat messages
+
+// ChatML framing used by Phind-CodeLlama: <|im_start|>role\ncontent<|im_end|>
+export function formatChatML(systemPrompt, messages = []) {
+  const blocks = [];
+  if (systemPrompt) {
+    blocks.push(`<|im_start|>system\n${systemPrompt}\n<|im_end|>`);
+  }
+  for (const message of messages) {
+    blocks.push(`<|im_start|>${message.role}\n${message.content}\n<|im_end|>`);
+  }
+  return blocks.join('\n');
+}
+
+// Llama-2 chat framing: the system prompt sits inside the first [INST] block
+export function formatLlama2(systemPrompt, messages = []) {
+  const blocks = [];
+  let system = systemPrompt ? `<<SYS>>\n${systemPrompt}\n<</SYS>>\n\n` : '';
+
+  for (const message of messages) {
+    if (message.role === 'assistant') {
+      blocks.push(` ${message.content} </s>`);
+    } else {
+      blocks.push(`<s>[INST] ${system}${message.content} [/INST]`);
+      system = '';
+    }
+  }
+  if (system) {
+    // No turns yet: send the system prompt on its own
+    blocks.push(`<s>[INST] ${system.trimEnd()} [/INST]`);
+  }
+  return blocks.join('');
+}
+
+// Alpaca instruction framing
+export function formatAlpaca(systemPrompt, messages = []) {
+  const blocks = [];
+  if (systemPrompt) {
+    blocks.push(systemPrompt);
+  }
+  for (const message of messages) {
+    blocks.push(`${message.role === 'assistant' ? '### Response:' : '### Instruction:'}\n${message.content}`);
+  }
+  return blocks.join('\n\n');
+}
+
+// Templates selectable with a model profile's "template" setting. "stop" lists
+// text that ends a reply in that framing.
+const TEMPLATES = {
+  chatml: { format: formatChatML, stop: ['<|im_end|>'] },
+  llama2: { format: formatLlama2, stop: ['</s>', '[INST]'] },
+  alpaca: { format: formatAlpaca, stop: ['### Instruction:'] }
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+export function getTemplate(name = 'chatml') {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template "${name}". Expected one of: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  return { name, ...template };
+}
@@ -0,0 +1,133 @@
+import * as os from 'os';
+
+// Finding and masking secrets (API keys, tokens, passwords, private keys) in
+// prompts before they are sent and in text that is written to disk: session
+// transcripts and the audit log
+
+export const DEFAULTS = {
+  prompts: 'ask',
+  transcripts: true,
+  highEntropy: true,
+  maskHomeDirectory: true,
+  allowlist: []
+};
+
+// Ordered so the more specific patterns claim a match first
+export const SECRET_PATTERNS = [
+  { kind: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { kind: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { kind: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'API key', pattern: /\bsk-(?:[A-Za-z0-9_-]*-)?[A-Za-z0-9_-]{20,}\b/g },
+  { kind: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g },
+  { kind: 'bearer token', pattern: /\b(?<=Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g },
+  { kind: 'URL credentials', pattern: /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s/@]+(?=@)/gi },
+  // password = "...", API_KEY: ..., "client_secret": "..."
+  {
+    kind: 'credential',
+    pattern: /(?<=\b[\w-]*(?:password|passwd|passphrase|pwd|secret|token|credentials?|api[_-]?key|access[_-]?key)["']?\s*[:=]\s*["']?)[^\s"',;]{8,}/gi
+  }
+];
+
+// Random-looking strings that match no known format: long runs of base64 or
+// URL-safe characters with letters of both cases, digits and high Shannon entropy
+const ENTROPY_CANDIDATE = /(?<![\w+/.:-])[A-Za-z0-9+/_-]{24,}={0,2}(?![\w+/=-])/g;
+const MIN_ENTROPY_BITS = 4.2;
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function looksRandom(value) {
+  // Subresource integrity hashes, as in package-lock.json, are not secret
+  if (/^sha(1|256|384|512)-/.test(value)) {
+    return false;
+  }
+  return /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= MIN_ENTROPY_BITS;
+}
+
+// "key: options.apiKey" or "token = getToken()" in code is a reference, not a secret
+function isCodeReference(value) {
+  return /^(undefined|null|true|false)$/.test(value)
+    || (/[.(]/.test(value) && /^[A-Za-z_$][\w$]*(?:\??\.[A-Za-z_$][\w$]*|\??\.?\[[^\]]*\]|\([^)]*\))*\)?$/.test(value));
+}
+
+// Allowlist entries are literal strings, or regular expressions written as /pattern/flags
+function isAllowed(value, allowlist) {
+  return allowlist.some((entry) => {
+    const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+    return regex ? new RegExp(regex[1], regex[2]).test(value) : value === entry;
+  });
+}
+
+// Secrets in text as { kind, value, index }, in order of position. literals are
+// further strings to treat as secrets, such as the configured API keys; values
+// on the allowlist are never reported. highEntropy adds random-looking strings.
+export function findSecrets(text, { literals = [], allowlist = [], highEntropy = false } = {}) {
+  const found = [];
+  const overlaps = (start, end) => found.some((secret) => start < secret.index + secret.value.length && secret.index < end);
+  const add = (secret) => {
+    if (!overlaps(secret.index, secret.index + secret.value.length) && !isAllowed(secret.value, allowlist)) {
+      found.push(secret);
+    }
+  };
+
+  for (const literal of literals.filter((value) => value && value.length >= 4)) {
+    let index = text.indexOf(literal);
+    while (index !== -1) {
+      add({ kind: 'configured secret', value: literal, index });
+      index = text.indexOf(literal, index + literal.length);
+    }
+  }
+  for (const { kind, pattern } of SECRET_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (kind !== 'credential' || !isCodeReference(match[0])) {
+        add({ kind, value: match[0], index: match.index });
+      }
+    }
+  }
+  if (highEntropy) {
+    for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+      if (looksRandom(match[0])) {
+        add({ kind: 'high-entropy string', value: match[0], index: match.index });
+      }
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// Replace each secret with [REDACTED <kind>]; takes the options of findSecrets
+export function redactSecrets(text, options) {
+  let result = '';
+  let position = 0;
+  for (const secret of findSecrets(text, options)) {
+    result += `${text.slice(position, secret.index)}[REDACTED ${secret.kind}]`;
+    position = secret.index + secret.value.length;
+  }
+  return result + text.slice(position);
+}
+
+// A secret shortened for display: the first and last characters only
+export function maskSecret(value) {
+  const flat = value.replace(/\s+/g, ' ');
+  return flat.length <= 12 ? '*'.repeat(flat.length) : `${flat.slice(0, 4)}...${flat.slice(-4)}`;
+}
+
+// Replace the home directory in paths with ~, so stored text does not reveal the user name
+export function maskHomeDirectory(text, home = os.homedir()) {
+  if (!home || home === '/') {
+    return text;
+  }
+  const escaped = home.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`${escaped}(?![\\w.-])`, 'g'), '~');
+}
@@ -0,0 +1,139 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { writeFileAtomic, PRIVATE_FILE_MODE } from './transcript.js';
+
+// Input helpers for the interactive prompt: tab completion, history kept on disk
+// and prompts that span several lines
+
+function expandHome(filePath) {
+  return filePath.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+// Entries of the history file, newest first as readline expects.
+// Each line is one JSON string, so multi-line entries survive the round trip.
+export function loadHistory(filePath, size) {
+  const file = expandHome(filePath);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip lines written by something else
+    }
+  }
+  return entries.reverse().slice(0, size);
+}
+
+// Entries for which keep() returns false (e.g. ones holding a secret) are left out
+export function saveHistory(filePath, history, size, { keep = () => true } = {}) {
+  const lines = history.slice(0, size).filter(keep).reverse().map((entry) => JSON.stringify(entry));
+  writeFileAtomic(expandHome(filePath), lines.length ? `${lines.join('\n')}\n` : '', { mode: PRIVATE_FILE_MODE });
+}
+
+// Files and directories that start with the partial path typed so far
+function completePath(partial, cwd) {
+  const slash = partial.lastIndexOf('/');
+  const prefix = slash === -1 ? '' : partial.slice(0, slash + 1);
+  const base = partial.slice(slash + 1);
+  const dir = path.resolve(cwd, expandHome(prefix || '.'));
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter((entry) => entry.name.startsWith(base) && (base.startsWith('.') || !entry.name.startsWith('.')))
+    .map((entry) => `${prefix}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+    .sort();
+}
+
+function choicesFor(spec) {
+  if (typeof spec === 'function') {
+    return spec();
+  }
+  return Array.isArray(spec) ? spec : Object.keys(spec || {});
+}
+
+// Readline completer for backslash commands and file paths. "commands" maps each
+// command to what may follow it: 'path', a list of words, a function returning one,
+// or an object whose keys are subcommands and whose values complete the next word.
+export function createCompleter(commands, getCwd = () => process.cwd()) {
+  return (line) => {
+    const words = line.split(/\s+/);
+    const current = words[words.length - 1];
+    const matching = (choices) => choices.filter((choice) => choice.startsWith(current));
+
+    if (words.length === 1 && current.startsWith('\\')) {
+      return [matching(Object.keys(commands)), current];
+    }
+
+    let spec = line.startsWith('\\') ? commands[words[0]] : undefined;
+    if (spec && typeof spec === 'object' && !Array.isArray(spec) && words.length === 3) {
+      spec = spec[words[1]];
+    } else if (words.length > 2 && spec !== 'path') {
+      spec = undefined;
+    }
+
+    if (spec && spec !== 'path') {
+      return [matching(choicesFor(spec)), current];
+    }
+    // File paths complete anywhere once something has been typed
+    if (spec === 'path' || current) {
+      return [completePath(current, getCwd()), current];
+    }
+    return [[], current];
+  };
+}
+
+// Joins the lines of a multi-line prompt: lines ending in a backslash continue on
+// the next line, and a line opening a ``` fence continues until the fence closes.
+export class MultilineInput {
+  constructor() {
+    this.lines = [];
+    this.inFence = false;
+  }
+
+  get isCollecting() {
+    return this.lines.length > 0;
+  }
+
+  // Returns the finished prompt, or null while more lines are expected
+  push(line) {
+    if (/^\s*```/.test(line)) {
+      this.inFence = !this.inFence;
+    }
+
+    if (!this.inFence && line.endsWith('\\') && !line.endsWith('\\\\')) {
+      this.lines.push(line.slice(0, -1));
+      return null;
+    }
+
+    this.lines.push(line);
+    if (this.inFence) {
+      return null;
+    }
+
+    const text = this.lines.join('\n');
+    this.lines = [];
+    return text;
+  }
+
+  // Drop a half-entered prompt (Ctrl+C while collecting)
+  reset() {
+    const hadInput = this.isCollecting;
+    this.lines = [];
+    this.inFence = false;
+    return hadInput;
+  }
+}
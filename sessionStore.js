@@ -0,0 +1,243 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { readTranscript, writeTranscript, writeFileAtomic, parseMarkdown, isEncryptedFile, PRIVATE_FILE_MODE } from './transcript.js';
+import { decryptText, encryptText, isEncrypted } from './encryption.js';
+
+// Named conversations: one JSONL transcript per session plus an index.json of metadata.
+// Options: redact (text => text) masks secrets in what is stored; with a passphrase
+// transcripts and the summaries kept in the index are encrypted.
+
+const SESSION_NAME = /^[\w.-]+$/;
+
+export function defaultSessionDirectory() {
+  return path.join(os.homedir(), '.qaterm', 'sessions');
+}
+
+class SessionStore {
+  constructor(directory = defaultSessionDirectory(), { redact = null, passphrase = null } = {}) {
+    this.directory = directory.replace(/^~(?=$|\/)/, os.homedir());
+    this.indexPath = path.join(this.directory, 'index.json');
+    this.lastUsedPath = path.join(this.directory, 'last-session');
+    this.redact = redact;
+    this.passphrase = passphrase;
+  }
+
+  // Messages as they are stored, with secrets masked
+  storedMessages(messages) {
+    return this.redact ? messages.map((message) => ({ ...message, content: this.redact(message.content) })) : messages;
+  }
+
+  // Metadata as it is stored: the summary masked and, with a passphrase, encrypted
+  sealMeta(meta) {
+    if (!meta.summary) {
+      return meta;
+    }
+    let content = this.redact ? this.redact(meta.summary.content) : meta.summary.content;
+    if (this.passphrase) {
+      content = encryptText(content, this.passphrase);
+    }
+    return { ...meta, summary: { ...meta.summary, content } };
+  }
+
+  // Metadata with an encrypted summary decrypted, or left out without the passphrase
+  openMeta(meta) {
+    if (!meta.summary || !isEncrypted(meta.summary.content)) {
+      return meta;
+    }
+    if (!this.passphrase) {
+      return { ...meta, summary: null };
+    }
+    return { ...meta, summary: { ...meta.summary, content: decryptText(meta.summary.content, this.passphrase) } };
+  }
+
+  writeMessages(name, messages) {
+    writeTranscript(this.transcriptPath(name), this.storedMessages(messages), { passphrase: this.passphrase });
+  }
+
+  // Name of the session used most recently, if it still exists
+  lastUsed() {
+    if (!fs.existsSync(this.lastUsedPath)) {
+      return null;
+    }
+    const name = fs.readFileSync(this.lastUsedPath, 'utf8').trim();
+    return this.exists(name) ? name : null;
+  }
+
+  markUsed(name) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    writeFileAtomic(this.lastUsedPath, name, { mode: PRIVATE_FILE_MODE });
+  }
+
+  // Keyed by session name, without a prototype so that names such as "constructor"
+  // or "__proto__" are plain keys; look names up with Object.hasOwn
+  readIndex() {
+    const index = Object.create(null);
+    if (fs.existsSync(this.indexPath)) {
+      Object.assign(index, JSON.parse(fs.readFileSync(this.indexPath, 'utf8')));
+    }
+    return index;
+  }
+
+  writeIndex(index) {
+    writeFileAtomic(this.indexPath, JSON.stringify(index, null, 2), { mode: PRIVATE_FILE_MODE });
+  }
+
+  transcriptPath(name) {
+    return path.join(this.directory, `${name}.jsonl`);
+  }
+
+  // Sessions saved before transcripts moved to JSONL have a markdown file instead
+  legacyTranscriptPath(name) {
+    return path.join(this.directory, `${name}.md`);
+  }
+
+  validateName(name) {
+    if (!name || !SESSION_NAME.test(name)) {
+      throw new Error(`Invalid session name "${name}": use letters, digits, ".", "_" or "-"`);
+    }
+  }
+
+  exists(name) {
+    return Object.hasOwn(this.readIndex(), name);
+  }
+
+  // Sessions sorted by most recently updated first
+  list() {
+    return Object.values(this.readIndex())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map((meta) => this.openMeta(meta));
+  }
+
+  // Whether any session has an encrypted transcript
+  hasEncryptedSessions() {
+    return this.list().some((meta) => isEncryptedFile(this.transcriptPath(meta.name)));
+  }
+
+  // Whether passphrase opens the encrypted transcripts, tried on the first one found;
+  // true when there are none yet
+  checkPassphrase(passphrase) {
+    const meta = Object.values(this.readIndex()).find((entry) => isEncryptedFile(this.transcriptPath(entry.name)));
+    if (!meta) {
+      return true;
+    }
+    try {
+      readTranscript(this.transcriptPath(meta.name), { passphrase });
+      return true;
+    } catch (error) {
+      if (error.code === 'WRONG_PASSPHRASE') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  get(name) {
+    const index = this.readIndex();
+    if (!Object.hasOwn(index, name)) {
+      throw new Error(`No session named "${name}"`);
+    }
+    return this.openMeta(index[name]);
+  }
+
+  create(name, meta = {}, messages = []) {
+    this.validateName(name);
+    const index = this.readIndex();
+    if (Object.hasOwn(index, name)) {
+      throw new Error(`Session "${name}" already exists`);
+    }
+    const now = new Date().toISOString();
+    index[name] = {
+      name,
+      createdAt: now,
+      updatedAt: now,
+      model: null,
+      cwd: process.cwd(),
+      tokens: 0,
+      messageCount: messages.length,
+      ...this.sealMeta(meta)
+    };
+    this.writeMessages(name, messages);
+    this.writeIndex(index);
+    return this.openMeta(index[name]);
+  }
+
+  load(name) {
+    this.get(name);
+    const file = this.transcriptPath(name);
+    const legacyFile = this.legacyTranscriptPath(name);
+
+    // Convert an old markdown transcript the first time it is opened
+    if (!fs.existsSync(file) && fs.existsSync(legacyFile)) {
+      this.writeMessages(name, parseMarkdown(fs.readFileSync(legacyFile, 'utf8')));
+      fs.rmSync(legacyFile);
+    }
+
+    return readTranscript(file, { passphrase: this.passphrase });
+  }
+
+  save(name, messages, meta = {}) {
+    const index = this.readIndex();
+    if (!Object.hasOwn(index, name)) {
+      throw new Error(`No session named "${name}"`);
+    }
+    index[name] = {
+      ...index[name],
+      ...this.sealMeta(meta),
+      updatedAt: new Date().toISOString(),
+      messageCount: messages.length
+    };
+    this.writeMessages(name, messages);
+    this.writeIndex(index);
+    return this.openMeta(index[name]);
+  }
+
+  // Copy a session under a new name
+  fork(source, target) {
+    const meta = this.get(source);
+    return this.create(target, {
+      model: meta.model,
+      cwd: meta.cwd,
+      tokens: meta.tokens,
+      summary: meta.summary || null,
+      forkedFrom: source
+    }, this.load(source));
+  }
+
+  rename(from, to) {
+    this.validateName(to);
+    const index = this.readIndex();
+    if (!Object.hasOwn(index, from)) {
+      throw new Error(`No session named "${from}"`);
+    }
+    if (Object.hasOwn(index, to)) {
+      throw new Error(`Session "${to}" already exists`);
+    }
+    index[to] = { ...index[from], name: to };
+    delete index[from];
+    const moves = [
+      [this.transcriptPath(from), this.transcriptPath(to)],
+      [this.legacyTranscriptPath(from), this.legacyTranscriptPath(to)]
+    ];
+    for (const [source, target] of moves) {
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, target);
+      }
+    }
+    this.writeIndex(index);
+    return this.openMeta(index[to]);
+  }
+
+  remove(name) {
+    const index = this.readIndex();
+    if (!Object.hasOwn(index, name)) {
+      throw new Error(`No session named "${name}"`);
+    }
+    delete index[name];
+    this.writeIndex(index);
+    fs.rmSync(this.transcriptPath(name), { force: true });
+    fs.rmSync(this.legacyTranscriptPath(name), { force: true });
+  }
+}
+
+export default SessionStore;
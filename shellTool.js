@@ -0,0 +1,220 @@
+import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// Shell commands run on the user's behalf, always after explicit approval
+
+// Appended to the system prompt so the model knows how to ask for a command
+export const SHELL_TOOL_PROMPT = `You can ask the user to run a shell command on their machine. Put exactly one command in a fenced block tagged "run", for example:
+
+\`\`\`run
+ls -la
+\`\`\`
+
+The user approves each command before it runs and sends back its output in the next message. Never invent command output; wait for the result.`;
+
+const SEGMENT_SEPARATOR = /\s*(?:&&|\|\||;|\||&|\n)\s*/;
+
+// Shell syntax that runs or writes something the allowlist never sees: command and
+// process substitution, backticks, a background "&" and redirection
+const UNCHECKED_SYNTAX = /\$\(|`|[<>]\(|(?<!&)&(?!&)|[<>]/;
+
+// Runs of spaces and tabs as one space, so "rm  -rf /" is matched like "rm -rf /"
+function normalizeWhitespace(text) {
+  return text.trim().replace(/[ \t]+/g, ' ');
+}
+
+// Wildcard pattern ("git *", "rm -rf /*") to a regular expression over the whole command
+function wildcardToRegExp(pattern) {
+  const source = normalizeWhitespace(pattern).split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// The segments of a compound command ("a && b | c")
+function splitSegments(command) {
+  return command.split(SEGMENT_SEPARATOR).map((segment) => segment.trim()).filter(Boolean);
+}
+
+// Commands inside $(...) and backticks, which the shell runs first
+function substitutedCommands(command) {
+  return [...command.matchAll(/\$\(([^()]*)\)|`([^`]*)`/g)].map((match) => match[1] ?? match[2]);
+}
+
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+// Fenced ```run blocks requested by the model
+export function extractRunBlocks(text) {
+  const commands = [];
+  const fence = /^```run[ \t]*\n([\s\S]*?)^```[ \t]*$/gm;
+  let match;
+  while ((match = fence.exec(text)) !== null) {
+    const command = match[1].trim();
+    if (command) {
+      commands.push(command);
+    }
+  }
+  return commands;
+}
+
+// Format a command result as the next user turn
+export function formatCommandResult(result) {
+  const status = result.timedOut ? `timed out after ${result.timeout / 1000}s` : `exited with code ${result.exitCode}`;
+  let text = `I ran \`${result.command}\` in ${result.cwd}; it ${status}.`;
+  if (result.stdout) {
+    text += `\n\nstdout:\n\`\`\`\n${result.stdout.trimEnd()}\n\`\`\``;
+  }
+  if (result.stderr) {
+    text += `\n\nstderr:\n\`\`\`\n${result.stderr.trimEnd()}\n\`\`\``;
+  }
+  if (!result.stdout && !result.stderr) {
+    text += '\n\n(no output)';
+  }
+  if (result.truncated) {
+    text += '\n\n(output truncated)';
+  }
+  return text;
+}
+
+// A working directory plus policy, so "cd" persists between commands
+class ShellSession {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.timeout = options.timeout || 30000;
+    this.maxOutputBytes = options.maxOutputBytes || 16384;
+    this.allow = (options.allow || []).map(wildcardToRegExp);
+    this.deny = (options.deny || []).map(wildcardToRegExp);
+  }
+
+  // Check a command against the denylist and, when one is configured, the allowlist.
+  // Each segment of a compound command ("a && b | c") is checked on its own, and so
+  // are substituted commands for the denylist.
+  checkCommand(command) {
+    const whole = normalizeWhitespace(command);
+    const segments = splitSegments(whole);
+    const substituted = substitutedCommands(whole).flatMap(splitSegments);
+
+    for (const segment of [whole, ...segments, ...substituted]) {
+      if (this.deny.some((regex) => regex.test(segment))) {
+        return { allowed: false, reason: `"${segment}" matches the shell denylist` };
+      }
+    }
+
+    if (this.allow.length > 0) {
+      if (UNCHECKED_SYNTAX.test(whole)) {
+        return { allowed: false, reason: 'Command substitution, backticks, background "&" and redirection are not allowed with a shell allowlist' };
+      }
+      // "cd" only moves the session directory, so it is always allowed
+      const parts = segments.filter((segment) => !/^cd(\s|$)/.test(segment));
+      const blocked = parts.find((segment) => !this.allow.some((regex) => regex.test(segment)));
+      if (blocked) {
+        return { allowed: false, reason: `"${blocked}" is not on the shell allowlist` };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Resolve a "cd" target relative to the current directory
+  changeDirectory(target) {
+    const next = path.resolve(this.cwd, expandHome(target || '~'));
+    if (!fs.existsSync(next) || !fs.statSync(next).isDirectory()) {
+      throw new Error(`cd: no such directory: ${target}`);
+    }
+    this.cwd = next;
+  }
+
+  async run(command) {
+    const check = this.checkCommand(command);
+    if (!check.allowed) {
+      throw new Error(check.reason);
+    }
+
+    // A leading "cd dir" changes the session directory; anything after && runs there
+    const cdMatch = command.trim().match(/^cd(?:\s+([^&;|]+?))?\s*(?:&&\s*([\s\S]+))?$/);
+    if (cdMatch) {
+      const previous = this.cwd;
+      this.changeDirectory(cdMatch[1]?.trim().replace(/^["']|["']$/g, ''));
+      if (!cdMatch[2]) {
+        return { command, cwd: previous, stdout: `${this.cwd}\n`, stderr: '', exitCode: 0, timedOut: false, truncated: false, timeout: this.timeout };
+      }
+      return this.execute(command, cdMatch[2]);
+    }
+
+    return this.execute(command, command);
+  }
+
+  execute(command, script) {
+    return new Promise((resolve, reject) => {
+      // Own process group, so a timeout also stops anything the command started
+      const child = spawn(script, {
+        cwd: this.cwd,
+        shell: true,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      const kill = (signal) => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch {
+          // Already exited
+        }
+      };
+
+      let stdout = '';
+      let stderr = '';
+      let truncated = false;
+      let timedOut = false;
+
+      const collect = (current, data) => {
+        if (current.length >= this.maxOutputBytes) {
+          truncated = true;
+          return current;
+        }
+        const next = current + data.toString();
+        if (next.length > this.maxOutputBytes) {
+          truncated = true;
+          return next.slice(0, this.maxOutputBytes);
+        }
+        return next;
+      };
+
+      child.stdout.on('data', (data) => {
+        stdout = collect(stdout, data);
+      });
+      child.stderr.on('data', (data) => {
+        stderr = collect(stderr, data);
+      });
+
+      const timeoutId = setTimeout(() => {
+        timedOut = true;
+        kill('SIGTERM');
+        // Escalate if the command ignores SIGTERM
+        setTimeout(() => kill('SIGKILL'), 2000).unref();
+      }, this.timeout);
+
+      child.on('error', (error) => {
+        clearTimeout(timeoutId);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutId);
+        resolve({
+          command,
+          cwd: this.cwd,
+          stdout,
+          stderr,
+          exitCode: code,
+          timedOut,
+          truncated,
+          timeout: this.timeout
+        });
+      });
+    });
+  }
+}
+
+export default ShellSession;
@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import CodeIndex, { chunkFile, formatSources, indexPath, tokenize } from '../codeIndex.js';
+import { tempDir } from './helpers.js';
+
+// A small project to index
+function project(files = {}) {
+  const root = tempDir();
+  const all = {
+    'src/config.js': 'export function parseConfigFile(text) {\n  return JSON.parse(text);\n}\n',
+    'src/server.js': 'import http from "http";\n\nexport function startServer(port) {\n  return http.createServer().listen(port);\n}\n',
+    'README.md': '# Demo\n\nA demo project.\n',
+    ...files
+  };
+  for (const [file, content] of Object.entries(all)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+// Embeddings along two axes: "config" texts point one way, everything else the other
+const embed = async (texts) => texts.map((text) => (text.includes('Config') ? [1, 0] : [0, 1]));
+
+describe('tokenize', () => {
+  it('lowercases words and splits identifiers into their parts', () => {
+    assert.deepEqual(tokenize('parseConfigFile(MAX_SIZE)'), ['parseconfigfile', 'parse', 'config', 'file', 'max_size', 'max', 'size']);
+  });
+
+  it('drops stop words and single letters', () => {
+    assert.deepEqual(tokenize('how does the x work'), ['work']);
+  });
+});
+
+describe('chunkFile', () => {
+  it('splits into chunks of at most chunkLines lines, numbered from 1', () => {
+    const content = Array.from({ length: 10 }, (_, index) => `line ${index + 1}`).join('\n');
+    assert.deepEqual(chunkFile(content, 4).map((chunk) => [chunk.startLine, chunk.endLine]), [[1, 4], [5, 8], [9, 10]]);
+  });
+
+  it('ends a chunk at a blank line in its second half', () => {
+    const content = ['a', 'b', 'c', 'd', '', 'e', 'f', 'g'].join('\n');
+    const chunks = chunkFile(content, 6);
+    assert.deepEqual(chunks.map((chunk) => [chunk.startLine, chunk.endLine]), [[1, 5], [6, 8]]);
+    assert.equal(chunks[1].text, 'e\nf\ng');
+  });
+
+  it('leaves out chunks with only blank lines', () => {
+    assert.deepEqual(chunkFile('a\n\n\n\n\n\nb', 3).map((chunk) => chunk.text), ['a\n\n', 'b']);
+  });
+});
+
+describe('CodeIndex', () => {
+  it('indexes the project, skipping ignored, lock, binary and cache files', async () => {
+    const root = project({
+      '.gitignore': 'build/\n',
+      '.aiignore': 'secrets.txt\n',
+      'build/out.js': 'export const built = 1;\n',
+      'secrets.txt': 'password\n',
+      'package-lock.json': '{}\n',
+      'logo.png': 'PNG\0\0data',
+      '.qaterm/notes.md': 'cache\n'
+    });
+    const index = new CodeIndex(root);
+    const result = await index.build();
+
+    const files = Object.keys(index.files).sort();
+    assert.deepEqual(files, ['.aiignore', '.gitignore', 'README.md', 'src/config.js', 'src/server.js']);
+    assert.deepEqual(result, { files: 5, chunks: index.chunks.length, reused: 0, embeddings: false });
+    assert.ok(fs.existsSync(indexPath(root)));
+  });
+
+  it('ranks chunks with BM25, matching file paths too', async () => {
+    const index = new CodeIndex(project());
+    await index.build();
+
+    const [best] = index.search('where is the config parsed?');
+    assert.equal(best.path, 'src/config.js');
+    assert.equal(best.startLine, 1);
+    assert.ok(best.score > 0);
+    assert.equal(index.search('server')[0].path, 'src/server.js');
+    assert.equal(index.search('nothing matches zzz').length, 0);
+  });
+
+  it('limits the results', async () => {
+    const index = new CodeIndex(project(), { topK: 1 });
+    await index.build();
+    assert.equal(index.search('export function').length, 1);
+    assert.equal(index.search('export function', { limit: 2 }).length, 2);
+  });
+
+  it('adds chunks found by embeddings to the BM25 ranking', async () => {
+    const index = new CodeIndex(project());
+    const result = await index.build({ embed });
+    assert.equal(result.embeddings, true);
+
+    // "settings" is not in any file, so only the embedding finds the config code
+    assert.equal(index.search('settings').length, 0);
+    const results = index.search('settings', { queryEmbedding: [1, 0] });
+    assert.equal(results[0].path, 'src/config.js');
+
+    // A chunk found both ways ranks above one found by BM25 alone
+    const both = index.search('export function', { queryEmbedding: [1, 0] });
+    assert.equal(both[0].path, 'src/config.js');
+  });
+
+  it('keeps no embeddings when the backend cannot compute them', async () => {
+    const index = new CodeIndex(project());
+    const result = await index.build({ embed: async () => null });
+    assert.equal(result.embeddings, false);
+    assert.ok(index.chunks.every((chunk) => chunk.embedding === undefined));
+    assert.equal(index.search('config', { queryEmbedding: [1, 0] })[0].path, 'src/config.js');
+  });
+
+  it('leaves out and counts files changed since the build', async () => {
+    const root = project();
+    const index = new CodeIndex(root);
+    await index.build();
+    fs.appendFileSync(path.join(root, 'src/config.js'), '// changed\n');
+
+    const results = index.search('config');
+    assert.ok(results.every((result) => result.path !== 'src/config.js'));
+    assert.equal(results.stale, 1);
+
+    fs.rmSync(path.join(root, 'src/server.js'));
+    assert.equal(index.search('server').stale, 1);
+  });
+
+  it('reuses unchanged files and their embeddings on rebuild', async () => {
+    const root = project();
+    const index = new CodeIndex(root);
+    await index.build({ embed });
+    fs.appendFileSync(path.join(root, 'src/config.js'), '// changed\n');
+    fs.writeFileSync(path.join(root, 'src/new.js'), 'export const added = true;\n');
+
+    const embedded = [];
+    const result = await index.build({ embed: async (texts) => embedded.push(...texts) && embed(texts) });
+    assert.equal(result.reused, 2);
+    assert.equal(result.files, 4);
+    assert.deepEqual(embedded.map((text) => text.split('\n')[0]).sort(), ['src/config.js', 'src/new.js']);
+    assert.equal(index.search('config').stale, 0);
+  });
+
+  it('loads a saved index', async () => {
+    const root = project();
+    await new CodeIndex(root).build();
+
+    const index = new CodeIndex(root);
+    assert.equal(index.load(), true);
+    assert.equal(index.search('server')[0].path, 'src/server.js');
+    assert.equal(index.getStats().files, 3);
+
+    index.remove();
+    assert.equal(new CodeIndex(root).load(), false);
+  });
+});
+
+describe('formatSources', () => {
+  it('cites each chunk as path:start-end in a fenced block', () => {
+    const text = formatSources([{ path: 'src/config.js', startLine: 1, endLine: 3, text: 'const a = 1;\n' }]);
+    assert.match(text, /^Code from the project/);
+    assert.ok(text.includes('src/config.js:1-3\n```javascript\nconst a = 1;\n```'));
+  });
+});
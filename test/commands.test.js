@@ -0,0 +1,359 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { execFileSync } from 'child_process';
+import inquirer from 'inquirer';
+import { FAKE_LLAMA, fixturePath, tempDir } from './helpers.js';
+
+// The REPL commands, run against the fake llama in a throwaway home directory and
+// git project. index.js reads the config, ~ and the working directory when its
+// functions run, so all of that is set up before it is imported.
+
+const root = tempDir();
+const project = path.join(root, 'project');
+const sessionsDirectory = path.join(root, 'sessions');
+const auditFile = path.join(root, 'audit.jsonl');
+
+for (const name of Object.keys(process.env).filter((key) => key.startsWith('QATERM_'))) {
+  delete process.env[name];
+}
+process.env.HOME = root;
+process.env.XDG_CONFIG_HOME = path.join(root, 'config');
+
+function writeProjectFile(file, content) {
+  fs.mkdirSync(path.dirname(path.join(project, file)), { recursive: true });
+  fs.writeFileSync(path.join(project, file), content);
+}
+
+function git(...args) {
+  return execFileSync('git', args, { cwd: project, encoding: 'utf8' });
+}
+
+writeProjectFile('.qaterm.json', JSON.stringify({
+  phind: { llamaPath: FAKE_LLAMA, modelPath: fixturePath('chat'), gpuLayers: 0 },
+  models: {
+    'phind-34b': { modelPath: fixturePath('chat') },
+    'codellama-7b': { modelPath: fixturePath('chat') }
+  },
+  sessions: { directory: sessionsDirectory },
+  audit: { enabled: true, file: auditFile },
+  retrieval: { embeddings: false }
+}));
+writeProjectFile('greet.js', 'export const greet = (name) => `Hi ${name}`;\n');
+writeProjectFile('ai.md', '# Project\n\n## Notes\nUse ES modules.\n');
+writeProjectFile('.qaterm/prompts/explain-simply.md', '---\ndescription: Explain for an audience\nvariables: audience\n---\nExplain {{input}} for {{audience}}.\n');
+writeProjectFile('.qaterm/prompts/pirate.md', '---\ntype: system\n---\nYou answer like a pirate.\n');
+git('init', '-q');
+git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'add', '.');
+git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'Initial commit');
+git('config', 'user.name', 'Test');
+git('config', 'user.email', 'test@example.com');
+process.chdir(project);
+
+// Answer confirmations as if at a terminal; inquirer is mocked in run()
+process.stdin.isTTY = true;
+
+const app = await import('../index.js');
+
+// Run a REPL command; questions are answered with answers, in order. Resolves
+// with what the command printed.
+async function run(command, ...answers) {
+  const output = [];
+  const record = (...args) => output.push(args.join(' '));
+  mock.method(console, 'log', record);
+  mock.method(console, 'error', record);
+  mock.method(inquirer, 'prompt', async (questions) => Object.fromEntries(questions.map((question) => {
+    if (answers.length === 0) {
+      throw new Error(`Unexpected question: ${question.message}`);
+    }
+    return [question.name, answers.shift()];
+  })));
+  try {
+    const handled = command.startsWith('\\')
+      ? await app.processSpecialCommand(command)
+      : (await app.submitPrompt(command), true);
+    assert.equal(handled, true, `${command} was not handled`);
+    assert.deepEqual(answers, [], 'not every answer was asked for');
+  } finally {
+    mock.restoreAll();
+  }
+  return output.join('\n');
+}
+
+const lastMessage = (role) => app.conversationHistory.filter((message) => message.role === role).at(-1);
+
+describe('REPL commands', () => {
+  before(async () => {
+    await run('\\help');
+    app.loadConfiguration();
+    await app.connectToPhind();
+    app.openSession('test');
+    app.loadCodeIndex();
+  });
+
+  after(async () => {
+    await app.phindClient?.disconnect();
+  });
+
+  it('\\help lists the commands', async () => {
+    const output = await run('\\help');
+    for (const command of ['\\session', '\\prompt', '\\stats', '\\commit', '\\config']) {
+      assert.ok(output.includes(command), `${command} is missing from the help`);
+    }
+  });
+
+  it('leaves lines that are not commands to be sent', async () => {
+    assert.equal(await app.processSpecialCommand('\\nonsense'), false);
+  });
+
+  it('sends a prompt and keeps the exchange in the session', async () => {
+    await run('hello there');
+    assert.equal(lastMessage('user').content, 'hello there');
+    assert.equal(lastMessage('assistant').content, 'echo: hello there');
+    assert.equal(lastMessage('assistant').params.backend, 'spawn');
+  });
+
+  it('\\status and \\context describe the connection and context', async () => {
+    const status = await run('\\status');
+    assert.match(status, /Status: Connected/);
+    assert.match(status, /Session: test/);
+    assert.match(status, /History: 2 messages/);
+
+    const context = await run('\\context');
+    assert.match(context, /Context Usage \(estimated\)/);
+    assert.match(context, /Recent turns: \d+ \(2 messages\)/);
+  });
+
+  it('\\save and loadConversationHistory round-trip the transcript', async () => {
+    await run('code please');
+    const before = structuredClone(app.conversationHistory);
+    assert.match(await run('\\save'), /Conversation saved/);
+
+    app.conversationHistory.length = 0;
+    app.loadConversationHistory();
+    assert.deepEqual(app.conversationHistory, before);
+    assert.match(lastMessage('assistant').content, /^Two files:\n\n```js\n/);
+
+    const lines = fs.readFileSync(path.join(sessionsDirectory, 'test.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(lines.length, before.length);
+    assert.deepEqual(lines.map((line) => JSON.parse(line).id), before.map((message) => message.id));
+  });
+
+  it('\\copy copies a code block from the last reply', async () => {
+    assert.match(await run('\\copy 1'), /Copied 2 lines|No clipboard tool found/);
+  });
+
+  it('\\save-block writes a code block and \\undo removes it', async () => {
+    assert.match(await run('\\save-block 2 test.sh'), /Wrote test\.sh/);
+    assert.equal(fs.readFileSync('test.sh', 'utf8'), 'npm test\n');
+    assert.match(await run('\\undo'), /Removed test\.sh/);
+    assert.equal(fs.existsSync('test.sh'), false);
+  });
+
+  it('\\apply writes the blocks the user approves and \\undo restores the file', async () => {
+    await run('\\apply', true, '');
+    assert.match(fs.readFileSync('greet.js', 'utf8'), /Hello, \$\{name\}/);
+    assert.match(await run('\\undo'), /Restored greet\.js/);
+    assert.match(fs.readFileSync('greet.js', 'utf8'), /Hi \$\{name\}/);
+  });
+
+  it('\\read attaches files to the next prompt', async () => {
+    assert.match(await run('\\read greet.js'), /greet\.js/);
+    assert.match(await run('\\context'), /Pending \\read files/);
+    await run('what does it do?');
+    assert.match(lastMessage('user').content, /greet\.js[\s\S]*Hi \$\{name\}[\s\S]*what does it do\?/);
+    assert.equal(app.pendingAttachments.length, 0);
+  });
+
+  it('\\set changes, shows and saves generation parameters', async () => {
+    assert.match(await run('\\set temperature 0.3'), /temperature/);
+    assert.equal(app.phindClient.getParameters().temperature, 0.3);
+    assert.match(await run('\\set'), /temperature\s+0\.3/);
+    assert.match(await run('\\set save'), /Saved 1 parameter/);
+    const saved = JSON.parse(fs.readFileSync(path.join(root, 'config', 'qaterm', 'config.json'), 'utf8'));
+    assert.equal(saved.models['phind-34b'].temperature, 0.3);
+  });
+
+  it('\\set refuses a maxTokens that leaves no room for the conversation', async () => {
+    const before = app.phindClient.getParameters().maxTokens;
+    const { contextSize } = app.phindClient.config;
+    assert.match(await run(`\\set maxTokens ${contextSize}`), /must be below the context size/);
+    assert.equal(app.phindClient.getParameters().maxTokens, before);
+  });
+
+  it('\\config show lists settings with where they came from', async () => {
+    const output = await run('\\config show sessions');
+    assert.match(output, /sessions\.directory/);
+    assert.match(output, /\.qaterm\.json/);
+  });
+
+  it('\\model lists profiles and switches between them', async () => {
+    const list = await run('\\model list');
+    assert.match(list, /phind-34b/);
+    assert.match(list, /codellama-7b/);
+
+    await run('\\model use codellama-7b');
+    assert.match(await run('\\status'), /Model: codellama-7b/);
+    await run('\\model use phind-34b');
+    assert.match(await run('\\status'), /Model: phind-34b/);
+  });
+
+  it('\\session creates, switches, forks, renames and removes sessions', async () => {
+    await run('\\session new other');
+    assert.equal(app.activeSession, 'other');
+    assert.equal(app.conversationHistory.length, 0);
+    assert.equal(app.sessionStore.get('other').tokens, 0, 'the new session took the old one\'s size');
+    assert.equal(app.sessionStore.get('other').summary, null);
+
+    await run('\\session switch test');
+    assert.equal(app.activeSession, 'test');
+    assert.ok(app.conversationHistory.length > 0);
+
+    await run('\\session fork copy');
+    assert.equal(app.activeSession, 'copy');
+    await run('\\session rename copy copied');
+    assert.equal(app.activeSession, 'copied');
+    await run('\\session switch test');
+    await run('\\session rm copied', true);
+
+    const list = await run('\\session list');
+    assert.match(list, /test/);
+    assert.match(list, /other/);
+    assert.doesNotMatch(list, /copied/);
+  });
+
+  it('\\export writes the session and \\import reads it back as a new one', async () => {
+    const markdown = path.join(root, 'chat.md');
+    const json = path.join(root, 'chat.json');
+    await run(`\\export ${markdown}`);
+    assert.match(fs.readFileSync(markdown, 'utf8'), /hello there/);
+
+    await run(`\\export ${json} --format json`);
+    await run(`\\import ${json} imported`);
+    assert.equal(app.activeSession, 'imported');
+    assert.equal(app.sessionStore.load('imported').length, app.sessionStore.load('test').length);
+    await run('\\session switch test');
+  });
+
+  it('\\project shows, edits and reloads ai.md', async () => {
+    assert.match(await run('\\project show'), /Use ES modules/);
+    await run('\\project edit Notes', 'Use ES modules and node:test.');
+    assert.match(fs.readFileSync('ai.md', 'utf8'), /node:test/);
+    assert.match(await run('\\project reload'), /Reloaded project context/);
+    assert.match(app.phindClient.systemPrompt, /node:test/);
+  });
+
+  it('\\prompt lists, shows and uses library prompts', async () => {
+    assert.match(await run('\\prompt list'), /explain-simply/);
+    assert.match(await run('\\prompt show explain-simply'), /Explain \{\{input\}\} for \{\{audience\}\}/);
+
+    await run('\\prompt use explain-simply recursion audience=children');
+    assert.equal(lastMessage('user').content, 'Explain recursion for children.');
+
+    // A missing variable is asked for
+    await run('\\prompt use explain-simply closures', 'students');
+    assert.equal(lastMessage('user').content, 'Explain closures for students.');
+  });
+
+  it('\\system swaps the persona and back', async () => {
+    await run('\\system pirate');
+    assert.match(app.phindClient.systemPrompt, /like a pirate/);
+    assert.match(await run('\\system'), /System prompt: pirate/);
+    await run('\\system default');
+    assert.doesNotMatch(app.phindClient.systemPrompt, /pirate/);
+  });
+
+  it('\\run runs an approved command and sends its output', async () => {
+    assert.match(await run('\\run echo from-the-shell', true), /from-the-shell/);
+    assert.match(lastMessage('user').content, /from-the-shell/);
+
+    const count = app.conversationHistory.length;
+    await run('\\run echo not-approved', false);
+    assert.equal(app.conversationHistory.length, count);
+  });
+
+  it('\\explain, \\review, \\refactor and \\test send task prompts about a file', async () => {
+    for (const task of ['explain', 'review', 'refactor', 'test']) {
+      await run(`\\${task} greet.js`);
+      assert.match(lastMessage('user').content, /greet\.js/, `\\${task} did not include the file`);
+    }
+  });
+
+  it('\\fix runs the failing command and asks for a fix', async () => {
+    await run('\\fix node -e "console.error(\'boom\'); process.exit(2)"', true);
+    assert.match(lastMessage('user').content, /boom/);
+  });
+
+  it('\\diff attaches the changes and \\review reviews them', async () => {
+    fs.appendFileSync('greet.js', 'export const bye = (name) => `Bye ${name}`;\n');
+    assert.match(await run('\\diff'), /greet\.js/);
+    await run('\\review');
+    assert.match(lastMessage('user').content, /\+export const bye/);
+  });
+
+  it('\\commit drafts a message for the staged changes and commits', async () => {
+    git('add', 'greet.js');
+    await run('\\commit', 'commit');
+    assert.match(git('log', '-1', '--format=%B'), /^Add a greeting helper\n\nGreets people by name\./);
+  });
+
+  it('\\index builds the search index and \\sources shows what was used', async () => {
+    await run('\\index');
+    assert.match(await run('\\index status'), /\d+ files, \d+ chunks/);
+    await run('how does greet work?');
+    assert.match(lastMessage('user').content, /greet\.js:\d+-\d+/);
+    assert.match(await run('\\sources'), /greet\.js/);
+    await run('\\index clear');
+    assert.match(await run('\\index status'), /No code index yet/);
+  });
+
+  it('\\stats summarizes the audit log', async () => {
+    const output = await run('\\stats');
+    assert.match(output, /model calls/);
+    assert.match(output, /phind-34b/);
+  });
+
+  it('\\edit sends a prompt written in the editor', async () => {
+    await run('\\edit draft', 'a prompt from the editor');
+    assert.equal(lastMessage('user').content, 'a prompt from the editor');
+  });
+
+  it('\\reconnect restarts the model and keeps the conversation', async () => {
+    const count = app.conversationHistory.length;
+    await run('\\reconnect');
+    await run('still there?');
+    assert.equal(lastMessage('user').content, 'still there?');
+    assert.equal(app.conversationHistory.length, count + 2);
+    assert.equal(app.phindClient.isConnected, true);
+  });
+
+  it('\\fresh, \\resume and \\clear start over', async () => {
+    const saved = app.sessionStore.load(app.activeSession);
+    const [, archived] = (await run('\\fresh')).match(/kept as session "([^"]+)"/);
+    assert.equal(app.conversationHistory.length, 0);
+
+    // The next reply is saved over the active session; the archive keeps the old turns
+    await run('a new start');
+    assert.deepEqual(app.sessionStore.load(archived).map((entry) => entry.content), saved.map((entry) => entry.content));
+    assert.match(await run('\\resume'), /Resumed conversation/);
+    assert.ok(app.conversationHistory.length > 0);
+
+    assert.match(await run('\\clear'), /kept as session "test-/);
+    assert.equal(app.conversationHistory.length, 0);
+    assert.ok(app.sessionStore.list().some((session) => session.name.startsWith('test-')));
+  });
+
+  it('\\exit and \\quit disconnect and exit', async () => {
+    for (const command of ['\\quit', '\\exit']) {
+      const exit = mock.method(process, 'exit', () => {});
+      try {
+        await run(command);
+        assert.deepEqual(exit.mock.calls[0].arguments, [0]);
+      } finally {
+        exit.mock.restore();
+      }
+    }
+    assert.equal(app.phindClient.isConnected, false);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { describeConfig, envName, loadConfig, parseSettingValue, updateConfigFile } from '../configLoader.js';
+import { tempDir } from './helpers.js';
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+// A defaults file, a user config home and a project directory, each with the given settings
+function layers({ defaults = {}, user, project } = {}) {
+  const root = tempDir();
+  const env = { XDG_CONFIG_HOME: path.join(root, 'home') };
+  const cwd = path.join(root, 'project', 'src');
+  fs.mkdirSync(cwd, { recursive: true });
+  if (user) {
+    writeJson(path.join(env.XDG_CONFIG_HOME, 'qaterm', 'config.json'), user);
+  }
+  if (project) {
+    writeJson(path.join(root, 'project', '.qaterm.json'), project);
+  }
+  const defaultsFile = writeJson(path.join(root, 'defaults.json'), defaults);
+  return { defaultsFile, cwd, env };
+}
+
+describe('loadConfig layers', () => {
+  const defaults = { phind: { contextSize: 4096, gpuLayers: 0, temperature: 0.7, backend: 'spawn', serverUrl: 'http://localhost:8080' } };
+
+  it('override each other: defaults, user, project, environment, command line', () => {
+    const options = layers({
+      defaults,
+      user: { phind: { contextSize: 8192, gpuLayers: 10, temperature: 0.5, backend: 'http' } },
+      project: { phind: { gpuLayers: 20, temperature: 0.4, backend: 'spawn' } }
+    });
+    options.env.QATERM_PHIND_TEMPERATURE = '0.3';
+    options.env.QATERM_PHIND_BACKEND = 'http';
+    const { config, sources, files } = loadConfig({ ...options, overrides: ['phind.backend=spawn'] });
+
+    assert.deepEqual(config.phind, { contextSize: 8192, gpuLayers: 20, temperature: 0.3, backend: 'spawn', serverUrl: 'http://localhost:8080' });
+    assert.equal(sources.get('phind.serverUrl'), 'defaults');
+    assert.equal(sources.get('phind.contextSize'), files.user);
+    assert.equal(sources.get('phind.gpuLayers'), files.project);
+    assert.equal(sources.get('phind.temperature'), 'env QATERM_PHIND_TEMPERATURE');
+    assert.equal(sources.get('phind.backend'), '--config');
+  });
+
+  it('find the project config in a directory above the working directory', () => {
+    const options = layers({ defaults, project: { phind: { gpuLayers: 5 } } });
+    const { config, files } = loadConfig(options);
+    assert.equal(config.phind.gpuLayers, 5);
+    assert.equal(files.project, path.join(path.dirname(options.cwd), '.qaterm.json'));
+    assert.equal(files.user, null);
+  });
+
+  it('ignore empty environment variables', () => {
+    const options = layers({ defaults });
+    options.env.QATERM_PHIND_GPU_LAYERS = '';
+    assert.equal(loadConfig(options).config.phind.gpuLayers, 0);
+  });
+
+  it('let a JSON object replace a whole section', () => {
+    const options = layers({ defaults });
+    const { config, sources } = loadConfig({ ...options, overrides: ['phind={"contextSize":2048}'] });
+    assert.deepEqual(config.phind, { contextSize: 2048 });
+    assert.equal(sources.get('phind.contextSize'), '--config');
+    assert.equal(sources.has('phind.gpuLayers'), false);
+  });
+
+  it('accept the older QATERM_API_KEY for server.apiKey', () => {
+    const options = layers({ defaults: { server: { apiKey: null } } });
+    options.env.QATERM_API_KEY = 'key';
+    const { config, sources } = loadConfig(options);
+    assert.equal(config.server.apiKey, 'key');
+    assert.equal(sources.get('server.apiKey'), 'env QATERM_API_KEY');
+  });
+});
+
+describe('loadConfig values', () => {
+  it('parses environment and command-line text into the setting type', () => {
+    assert.equal(envName('phind.modelPath'), 'QATERM_PHIND_MODEL_PATH');
+    assert.equal(parseSettingValue('yes', { type: 'boolean' }), true);
+    assert.equal(parseSettingValue('off', { type: 'boolean' }), false);
+    assert.equal(parseSettingValue(' 42 ', { type: 'integer' }), 42);
+    assert.deepEqual(parseSettingValue('a, b,', { type: 'array' }), ['a', 'b']);
+    assert.deepEqual(parseSettingValue('["a,b"]', { type: 'array' }), ['a,b']);
+    assert.equal(parseSettingValue('many', { type: 'integer' }), 'many');
+  });
+
+  it('expands ~ in path settings only', () => {
+    const options = layers({
+      defaults: { phind: { modelPath: '~/models/phind.gguf' }, models: { small: { llamaPath: '~' } }, terminal: { prompt: '~> ' } }
+    });
+    const { config } = loadConfig(options);
+    assert.equal(config.phind.modelPath, path.join(os.homedir(), 'models/phind.gguf'));
+    assert.equal(config.models.small.llamaPath, os.homedir());
+    assert.equal(config.terminal.prompt, '~> ');
+  });
+
+  it('reports every invalid setting with the expected type and its source', () => {
+    const options = layers({
+      defaults: { phind: { contextSize: 4096, backend: 'spawn' }, shell: { allow: [] } },
+      user: { phind: { backend: 'cloud' } }
+    });
+    options.env.QATERM_PHIND_CONTEXT_SIZE = 'big';
+    assert.throws(() => loadConfig({ ...options, overrides: ['shell.allow=[1]', 'server.port=70000'] }), (thrown) => {
+      assert.deepEqual(thrown.problems, [
+        'phind.contextSize must be an integer of at least 256, got "big" (set in env QATERM_PHIND_CONTEXT_SIZE)',
+        `phind.backend must be one of "spawn", "http", got "cloud" (set in ${path.join(options.env.XDG_CONFIG_HOME, 'qaterm', 'config.json')})`,
+        'shell.allow[0] must be a string, got 1 (set in --config)',
+        'server.port must be an integer from 0 to 65535, got 70000 (set in --config)'
+      ]);
+      return true;
+    });
+  });
+
+  it('points at the line of a JSON syntax error', () => {
+    const options = layers();
+    fs.writeFileSync(options.defaultsFile, '{\n  "phind": {\n    "gpuLayers": 1,\n  }\n}\n');
+    assert.throws(() => loadConfig(options), /^Error: Default config .* is not valid JSON \(line 4\)/);
+  });
+
+  it('only warns about unknown settings', () => {
+    const options = layers({ defaults: {}, project: { phind: { tempreature: 0.5 } } });
+    const { warnings } = loadConfig(options);
+    assert.deepEqual(warnings, [`Unknown setting phind.tempreature (set in ${path.join(path.dirname(options.cwd), '.qaterm.json')})`]);
+  });
+
+  it('rejects a --config without a value', () => {
+    assert.throws(() => loadConfig({ ...layers(), overrides: ['phind.gpuLayers'] }), (thrown) => {
+      assert.deepEqual(thrown.problems, ['--config phind.gpuLayers: expected key=value']);
+      return true;
+    });
+  });
+});
+
+describe('describeConfig', () => {
+  it('lists the settings under a prefix with their sources, masking secrets', () => {
+    const options = layers({ defaults: { phind: { gpuLayers: 0, apiKey: 'abc' }, server: { apiKey: null } } });
+    const { config, sources } = loadConfig({ ...options, overrides: ['phind.gpuLayers=8'] });
+    assert.deepEqual(describeConfig(config, sources, 'phind'), [
+      ['phind.gpuLayers', '8', '--config'],
+      ['phind.apiKey', '********', 'defaults']
+    ]);
+    assert.deepEqual(describeConfig(config, sources, 'server'), [['server.apiKey', 'null', 'defaults']]);
+  });
+});
+
+describe('updateConfigFile', () => {
+  it('sets and removes one setting, keeping the others', () => {
+    const file = writeJson(path.join(tempDir(), 'config.json'), { phind: { gpuLayers: 1 } });
+    updateConfigFile(file, 'phind.temperature', 0.2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { phind: { gpuLayers: 1, temperature: 0.2 } });
+    updateConfigFile(file, 'phind.gpuLayers', undefined);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { phind: { temperature: 0.2 } });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { exportConversation, markdownToHtml, readConversationFile, resolveExportFormat } from '../conversationFormats.js';
+import { createMessage, writeTranscript } from '../transcript.js';
+import { tempDir } from './helpers.js';
+
+const messages = [
+  createMessage('user', 'How do I read a file?'),
+  createMessage('assistant', 'Use `fs.readFileSync`:\n\n```js\nconst text = fs.readFileSync(file, "utf8");\n```')
+];
+const session = { name: 'work', createdAt: '2024-05-01T10:00:00.000Z', model: 'phind', systemPrompt: 'Be brief.' };
+
+function exported(format, name) {
+  const file = path.join(tempDir(), name);
+  fs.writeFileSync(file, exportConversation(messages, format, session));
+  return readConversationFile(file);
+}
+
+const turns = (list) => list.map(({ role, content }) => ({ role, content }));
+
+describe('resolveExportFormat', () => {
+  it('takes the requested format, accepting short names', () => {
+    assert.equal(resolveExportFormat('notes.md', 'HTML'), 'html');
+    assert.equal(resolveExportFormat(null, 'md'), 'markdown');
+    assert.throws(() => resolveExportFormat(null, 'pdf'), /Unknown export format "pdf"/);
+  });
+
+  it('otherwise goes by the file name, defaulting to markdown', () => {
+    assert.equal(resolveExportFormat('chat.openai.json'), 'openai');
+    assert.equal(resolveExportFormat('chat.JSON'), 'json');
+    assert.equal(resolveExportFormat('chat.htm'), 'html');
+    assert.equal(resolveExportFormat('chat.txt'), 'markdown');
+    assert.equal(resolveExportFormat(undefined), 'markdown');
+  });
+});
+
+describe('export and import', () => {
+  it('round-trip QAterm JSON with ids, timestamps and the system prompt', () => {
+    const result = exported('json', 'chat.json');
+    assert.equal(result.format, 'QAterm JSON');
+    assert.deepEqual(result.messages, messages);
+    assert.equal(result.systemPrompt, 'Be brief.');
+  });
+
+  it('round-trip OpenAI messages, with the system prompt first', () => {
+    const text = exportConversation(messages, 'openai', session);
+    assert.deepEqual(JSON.parse(text)[0], { role: 'system', content: 'Be brief.' });
+
+    const result = exported('openai', 'chat.openai.json');
+    assert.equal(result.format, 'OpenAI messages');
+    assert.deepEqual(turns(result.messages), turns(messages));
+    assert.equal(result.systemPrompt, 'Be brief.');
+    assert.equal(result.skipped, 1);
+  });
+
+  it('round-trip markdown', () => {
+    const result = exported('markdown', 'chat.md');
+    assert.equal(result.format, 'markdown');
+    assert.deepEqual(turns(result.messages), turns(messages));
+  });
+
+  it('read session transcripts', () => {
+    const file = path.join(tempDir(), 'work.jsonl');
+    writeTranscript(file, messages);
+    const result = readConversationFile(file);
+    assert.equal(result.format, 'QAterm transcript');
+    assert.deepEqual(result.messages, messages);
+  });
+});
+
+describe('readConversationFile with OpenAI messages', () => {
+  function read(data) {
+    const file = path.join(tempDir(), 'request.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return readConversationFile(file);
+  }
+
+  it('keeps text parts and skips tool calls, tool results and later system messages', () => {
+    const result = read({
+      model: 'gpt',
+      messages: [
+        { role: 'system', content: 'First.' },
+        { role: 'user', content: [{ type: 'text', text: 'Look at' }, { type: 'image_url', image_url: {} }, { type: 'text', text: 'this' }] },
+        { role: 'assistant', content: null, tool_calls: [{ id: '1' }] },
+        { role: 'tool', content: 'result' },
+        { role: 'system', content: 'Second.' },
+        { role: 'assistant', content: ' Done. ' }
+      ]
+    });
+    assert.deepEqual(turns(result.messages), [{ role: 'user', content: 'Look at\nthis' }, { role: 'assistant', content: 'Done.' }]);
+    assert.equal(result.systemPrompt, 'First.');
+    assert.equal(result.skipped, 4);
+  });
+
+  it('rejects messages without a role and files of other shapes', () => {
+    assert.throws(() => read([{ content: 'hi' }]), /Message 1 has no role/);
+    assert.throws(() => read({ format: 'qaterm-transcript', messages: [{ role: 'user' }] }), /request.json: message 1 is not a message/);
+    assert.throws(() => read({ hello: 'world' }), /neither a message array nor a QAterm export/);
+
+    const file = path.join(tempDir(), 'notes.txt');
+    fs.writeFileSync(file, 'plain text');
+    assert.throws(() => readConversationFile(file), /notes.txt is not JSON/);
+  });
+});
+
+describe('HTML export', () => {
+  it('is a standalone page with escaped metadata and one section per message', () => {
+    const html = exportConversation(messages, 'html', { ...session, name: '<b>work</b>' });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes('<title>QAterm session: &lt;b&gt;work&lt;/b&gt;</title>'));
+    assert.ok(html.includes('model phind · 2 messages'));
+    assert.equal(html.match(/<section class="message (user|assistant)">/g).length, 2);
+    assert.ok(!html.includes('Be brief.'));
+  });
+
+  it('renders markdown with escaped text and highlighted code', () => {
+    const html = markdownToHtml([
+      '## Steps',
+      'Run **this** and _that_, see [docs](https://example.com) or `a<b`',
+      'next line',
+      '',
+      '1. first',
+      '2. second',
+      '- bullet',
+      '> quoted',
+      '```js',
+      'const x = "<tag>"; // note',
+      '```'
+    ].join('\n'));
+
+    assert.deepEqual(html.split('\n').slice(0, 5), [
+      '<h4>Steps</h4>',
+      '<p>Run <strong>this</strong> and <em>that</em>, see <a href="https://example.com">docs</a> or <code>a&lt;b</code><br>',
+      'next line</p>',
+      '<ol><li>first</li><li>second</li></ol>',
+      '<ul><li>bullet</li></ul>'
+    ]);
+    assert.ok(html.includes('<blockquote>quoted</blockquote>'));
+    assert.match(html, /<pre><code class="language-js"><span class="keyword">const<\/span> x = <span class="string">&quot;&lt;tag&gt;&quot;<\/span>; <span class="comment">\/\/ note<\/span><\/code><\/pre>$/);
+  });
+
+  it('does not link other URL schemes', () => {
+    assert.equal(markdownToHtml('[click](javascript:alert(1))'), '<p>[click](javascript:alert(1))</p>');
+  });
+
+  it('still shows code from a reply cut off inside a block', () => {
+    assert.equal(markdownToHtml('```\nlet a;'), '<pre><code>let a;</code></pre>');
+  });
+});
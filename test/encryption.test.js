@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { decryptText, encryptText, isEncrypted } from '../encryption.js';
+import { createMessage, readTranscript, writeTranscript } from '../transcript.js';
+import { tempDir } from './helpers.js';
+
+describe('encryptText and decryptText', () => {
+  it('round-trip text through a one-line envelope', () => {
+    const text = '{"role":"user","content":"hello ü"}\n{"role":"assistant","content":"hi"}\n';
+    const envelope = encryptText(text, 'correct horse');
+
+    assert.ok(isEncrypted(envelope));
+    assert.ok(!envelope.includes('\n'));
+    assert.ok(!envelope.includes('hello'));
+    assert.equal(decryptText(envelope, 'correct horse'), text);
+  });
+
+  it('use a new IV for every encryption', () => {
+    const first = JSON.parse(encryptText('same', 'pass'));
+    const second = JSON.parse(encryptText('same', 'pass'));
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.data, second.data);
+  });
+
+  it('reject a wrong passphrase', () => {
+    const envelope = encryptText('secret notes', 'right');
+    assert.throws(() => decryptText(envelope, 'wrong'), { code: 'WRONG_PASSPHRASE' });
+  });
+
+  it('reject a tampered auth tag or ciphertext', () => {
+    const envelope = JSON.parse(encryptText('secret notes', 'pass'));
+    const flip = (base64) => {
+      const bytes = Buffer.from(base64, 'base64');
+      bytes[0] ^= 1;
+      return bytes.toString('base64');
+    };
+
+    assert.throws(() => decryptText(JSON.stringify({ ...envelope, tag: flip(envelope.tag) }), 'pass'), { code: 'WRONG_PASSPHRASE' });
+    assert.throws(() => decryptText(JSON.stringify({ ...envelope, data: flip(envelope.data) }), 'pass'), { code: 'WRONG_PASSPHRASE' });
+  });
+
+  it('tell envelopes from plain transcripts', () => {
+    assert.equal(isEncrypted('{"role":"user","content":"hi"}'), false);
+    assert.equal(isEncrypted(''), false);
+    assert.equal(isEncrypted(null), false);
+  });
+});
+
+describe('encrypted transcripts', () => {
+  it('are written and read back with the passphrase', () => {
+    const file = path.join(tempDir(), 'chat.jsonl');
+    writeTranscript(file, [createMessage('user', 'my plans')], { passphrase: 'pass' });
+
+    assert.ok(isEncrypted(fs.readFileSync(file, 'utf8')));
+    assert.equal(readTranscript(file, { passphrase: 'pass' })[0].content, 'my plans');
+    assert.throws(() => readTranscript(file), { code: 'ENCRYPTED' });
+    assert.throws(() => readTranscript(file, { passphrase: 'wrong' }), { code: 'WRONG_PASSPHRASE' });
+  });
+
+  it('are never overwritten without the passphrase', () => {
+    const file = path.join(tempDir(), 'chat.jsonl');
+    writeTranscript(file, [createMessage('user', 'my plans')], { passphrase: 'pass' });
+    const before = fs.readFileSync(file, 'utf8');
+
+    assert.throws(() => writeTranscript(file, [createMessage('user', 'plain text')]), { code: 'ENCRYPTED' });
+    assert.equal(fs.readFileSync(file, 'utf8'), before);
+  });
+});
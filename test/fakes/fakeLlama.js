@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+import * as fs from 'fs';
+
+// Stand-in for llama-simple-chat that replays a fixture instead of running a model.
+// The fixture is the file passed as the model (-m), a JSON object with:
+//
+//   startup: steps run when the process starts (the banner and first prompt)
+//   replies: answers to the messages, each { "match": "text", "steps": [...] }.
+//            Replies with a match are used for every message containing that text;
+//            the others are used once each, in order.
+//
+// A step is a string written to stdout, { "stderr": text }, { "wait": ms },
+// { "exit": code } or { "hang": true } (stop answering, but keep running).
+// Without a reply left, a message is answered with "echo: <its last line>".
+//
+// With FAKE_LLAMA_LOG set, the arguments and every message received are appended
+// to that file as JSON lines, so tests can check what was sent.
+
+const PROMPT = '\x1b[32m> \x1b[0m';
+
+const args = process.argv.slice(2);
+const modelIndex = args.indexOf('-m');
+const fixture = JSON.parse(fs.readFileSync(args[modelIndex + 1], 'utf8'));
+const startup = fixture.startup ?? [PROMPT];
+const replies = fixture.replies ?? [];
+
+function log(entry) {
+  if (process.env.FAKE_LLAMA_LOG) {
+    fs.appendFileSync(process.env.FAKE_LLAMA_LOG, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+let hung = false;
+
+async function run(steps) {
+  for (const step of steps) {
+    if (typeof step === 'string') {
+      process.stdout.write(step);
+    } else if (step.stderr !== undefined) {
+      process.stderr.write(step.stderr);
+    } else if (step.wait !== undefined) {
+      await new Promise((resolve) => setTimeout(resolve, step.wait));
+    } else if (step.exit !== undefined) {
+      process.exit(step.exit);
+    } else if (step.hang) {
+      hung = true;
+      return;
+    }
+  }
+}
+
+function replyTo(message) {
+  const matched = replies.find((reply) => reply.match !== undefined && message.includes(reply.match));
+  if (matched) {
+    return matched.steps;
+  }
+  const next = replies.findIndex((reply) => reply.match === undefined);
+  if (next !== -1) {
+    return replies.splice(next, 1)[0].steps;
+  }
+  const lastLine = message.trim().split('\n').pop();
+  return [`\x1b[33mecho: ${lastLine}\n\x1b[0m`, PROMPT];
+}
+
+// The backend writes a message (and, before the first one, the system prompt) as
+// lines in quick succession; input that stops arriving for a moment is one message
+let input = '';
+let quietTimer = null;
+let queue = Promise.resolve();
+
+process.stdin.on('data', (data) => {
+  input += data.toString();
+  clearTimeout(quietTimer);
+  quietTimer = setTimeout(() => {
+    const message = input;
+    input = '';
+    log({ message });
+    queue = queue.then(() => (hung ? null : run(replyTo(message))));
+  }, 30);
+});
+
+// The backend went away without killing the process
+process.stdin.on('end', () => process.exit(0));
+
+log({ args });
+await run(startup);
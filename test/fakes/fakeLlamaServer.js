@@ -0,0 +1,113 @@
+import * as fs from 'fs';
+import * as http from 'http';
+
+// Stand-in for llama-server that replays a fixture, for testing the http backend.
+// The fixture (an object, or the path of a JSON file) may have:
+//
+//   health:   statuses /health answers with, one per probe; the last one repeats
+//   tokenize: false to answer /tokenize with 404 (a plain OpenAI-compatible server)
+//   replies:  answers to /v1/chat/completions, each { "match": "text", ... } like
+//             the fake llama's, with "chunks" (the content, streamed one delta per
+//             chunk), "wait" (ms between chunks), "status" and "error" (an error
+//             response), "raw" (stream lines sent as is) or "hang": true
+//
+// Without a reply left, a request is answered with "echo: <last message>".
+// Every request is recorded in server.requests as { method, path, body }.
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function startFakeServer(fixture = {}) {
+  const script = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+  const health = [...(script.health ?? [200])];
+  const replies = [...(script.replies ?? [])];
+  const requests = [];
+  const hanging = new Set();
+
+  const replyTo = (message) => {
+    const matched = replies.find((reply) => reply.match !== undefined && message.includes(reply.match));
+    if (matched) {
+      return matched;
+    }
+    const next = replies.findIndex((reply) => reply.match === undefined);
+    return next !== -1 ? replies.splice(next, 1)[0] : { chunks: [`echo: ${message}`] };
+  };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const complete = async (req, res, body) => {
+    const reply = replyTo(body.messages[body.messages.length - 1].content);
+    if (reply.hang) {
+      hanging.add(res);
+      return;
+    }
+    if (reply.status) {
+      sendJson(res, reply.status, { error: { message: reply.error || 'error' } });
+      return;
+    }
+    const chunks = reply.chunks ?? [];
+    if (!body.stream) {
+      await sleep(reply.wait ?? 0);
+      sendJson(res, 200, { choices: [{ index: 0, message: { role: 'assistant', content: chunks.join('') } }] });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const lines = reply.raw ?? chunks.map((content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}`);
+    for (const line of lines) {
+      if (res.destroyed) {
+        return;
+      }
+      res.write(`${line}\n\n`);
+      await sleep(reply.wait ?? 0);
+    }
+    if (!reply.raw) {
+      res.write('data: [DONE]\n\n');
+    }
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: req.url, body });
+
+    if (req.url === '/health') {
+      const status = health.length > 1 ? health.shift() : health[0];
+      sendJson(res, status, status === 200 ? { status: 'ok' } : { error: { message: 'Loading model' } });
+    } else if (req.url === '/tokenize' && script.tokenize !== false) {
+      // One token per word is close enough for counting
+      sendJson(res, 200, { tokens: body.content.split(/\s+/).filter(Boolean).map((word, index) => index) });
+    } else if (req.url === '/v1/chat/completions') {
+      await complete(req, res, body);
+    } else {
+      sendJson(res, 404, { error: { message: 'Not found' } });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      for (const res of hanging) {
+        res.destroy();
+      }
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
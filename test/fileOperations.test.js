@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { applyHunks, createUnifiedDiff, extractEdits, parseUnifiedDiff, undoLastWrite, writeWithBackup } from '../fileOperations.js';
+import { tempDir } from './helpers.js';
+
+const numbered = (count, from = 1) => Array.from({ length: count }, (_, index) => `line ${from + index}`);
+const text = (lines) => lines.join('\n');
+
+describe('parseUnifiedDiff', () => {
+  it('reads hunks per file, restoring blank context lines', () => {
+    const files = parseUnifiedDiff([
+      '--- a/src/app.js',
+      '+++ b/src/app.js\t2024-05-01',
+      '@@ -2,3 +2,3 @@ function main() {',
+      ' a',
+      '',
+      '-b',
+      '+c',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-x'
+    ].join('\n'));
+    assert.deepEqual(files, [{ path: 'src/app.js', hunks: [{ oldStart: 2, newStart: 2, lines: [' a', ' ', '-b', '+c'] }] }]);
+  });
+});
+
+describe('applyHunks', () => {
+  const original = text(numbered(20));
+
+  it('applies hunks in order, shifting later ones by the lines added before them', () => {
+    const hunks = [
+      { oldStart: 2, lines: [' line 2', '+inserted a', '+inserted b', ' line 3'] },
+      { oldStart: 10, lines: [' line 10', '-line 11', '+eleven', ' line 12'] }
+    ];
+    const lines = applyHunks(original, hunks).split('\n');
+    assert.deepEqual(lines.slice(1, 5), ['line 2', 'inserted a', 'inserted b', 'line 3']);
+    assert.deepEqual(lines.slice(11, 14), ['line 10', 'eleven', 'line 12']);
+    assert.equal(lines.length, 22);
+  });
+
+  it('finds context that has drifted from the stated line, preferring the closest match', () => {
+    const repeated = text(['x', 'target', 'x', 'x', 'x', 'x', 'target', 'x']);
+    assert.equal(applyHunks(repeated, [{ oldStart: 6, lines: ['-target', '+hit'] }]), text(['x', 'target', 'x', 'x', 'x', 'x', 'hit', 'x']));
+    assert.equal(applyHunks(repeated, [{ oldStart: 3, lines: ['-target', '+hit'] }]), text(['x', 'hit', 'x', 'x', 'x', 'x', 'target', 'x']));
+    assert.equal(applyHunks(original, [{ oldStart: 1, lines: [' line 15', '-line 16'] }]).split('\n').length, 19);
+  });
+
+  it('ignores trailing blank context lines left by the fence', () => {
+    assert.equal(applyHunks(text(['a', 'b']), [{ oldStart: 2, lines: ['-b', '+c', ' ', ' '] }]), text(['a', 'c']));
+  });
+
+  it('leaves the hunks it is given unchanged', () => {
+    const hunks = [{ oldStart: 2, lines: [' line 2', '-line 3', '+three', ' ', ' '] }];
+    const before = structuredClone(hunks);
+    const first = applyHunks(original, hunks);
+    assert.deepEqual(hunks, before);
+    assert.equal(applyHunks(original, hunks), first);
+  });
+
+  it('refuses hunks whose context is not in the file', () => {
+    assert.throws(() => applyHunks(original, [{ oldStart: 4, lines: [' line 4', '-line 99', '+new'] }]), {
+      message: 'Hunk at line 4 does not match the current file'
+    });
+  });
+
+  it('creates a file from a hunk against empty content', () => {
+    assert.equal(applyHunks('', [{ oldStart: 0, lines: ['+first', '+second'] }]), text(['first', 'second', '']));
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  it('is empty for identical texts', () => {
+    assert.equal(createUnifiedDiff('a\nb\n', 'a\nb\n', 'same.txt'), '');
+  });
+
+  it('shows a change with three lines of context', () => {
+    const changed = numbered(10);
+    changed[4] = 'five';
+    assert.equal(createUnifiedDiff(text(numbered(10)), text(changed), 'src/a.txt'), [
+      '--- a/src/a.txt',
+      '+++ b/src/a.txt',
+      '@@ -2,7 +2,7 @@',
+      ' line 2',
+      ' line 3',
+      ' line 4',
+      '-line 5',
+      '+five',
+      ' line 6',
+      ' line 7',
+      ' line 8'
+    ].join('\n'));
+  });
+
+  it('joins nearby changes into one hunk and keeps distant ones apart', () => {
+    const near = numbered(30);
+    near[5] = 'six';
+    near[10] = 'eleven';
+    assert.equal(createUnifiedDiff(text(numbered(30)), text(near), 'a').match(/^@@ /gm).length, 1);
+
+    const far = numbered(30);
+    far[2] = 'three';
+    far[25] = 'twenty-six';
+    const diff = createUnifiedDiff(text(numbered(30)), text(far), 'a');
+    assert.deepEqual(diff.match(/^@@ .* @@$/gm), ['@@ -1,6 +1,6 @@', '@@ -23,7 +23,7 @@']);
+  });
+
+  it('shows a new file as added lines', () => {
+    assert.equal(createUnifiedDiff('', 'one\ntwo', 'new.txt'), '--- a/new.txt\n+++ b/new.txt\n@@ -1,0 +1,2 @@\n+one\n+two');
+  });
+
+  it('produces hunks that applyHunks turns back into the new text', () => {
+    const before = text([...numbered(40), '']);
+    const lines = numbered(40);
+    lines.splice(3, 2, 'replaced');
+    lines.splice(20, 0, 'added 1', 'added 2');
+    lines.splice(35, 1);
+    const after = text([...lines, '']);
+
+    const [file] = parseUnifiedDiff(createUnifiedDiff(before, after, 'file.txt'));
+    assert.equal(file.path, 'file.txt');
+    assert.equal(applyHunks(before, file.hunks), after);
+  });
+});
+
+describe('extractEdits', () => {
+  it('finds file blocks with their paths, and diffs by file', () => {
+    const reply = [
+      'Update `src/util.js`:',
+      '```js',
+      'export const x = 1;',
+      '```',
+      '```diff',
+      '--- a/README.md',
+      '+++ b/README.md',
+      '@@ -1 +1 @@',
+      '-Old',
+      '+New',
+      '```',
+      '```python',
+      '# tools/run.py',
+      'print(1)',
+      '```'
+    ].join('\n');
+    const edits = extractEdits(reply);
+    assert.deepEqual(edits.map((edit) => [edit.type, edit.path]), [['file', 'src/util.js'], ['diff', 'README.md'], ['file', 'tools/run.py']]);
+    assert.equal(edits[0].content, 'export const x = 1;\n');
+    assert.equal(edits[0].language, 'js');
+  });
+
+  it('takes the path from the info string', () => {
+    assert.equal(extractEdits('```ts src/main.ts\nlet a;\n```')[0].path, 'src/main.ts');
+  });
+});
+
+describe('writeWithBackup and undoLastWrite', () => {
+  it('undo writes in reverse order, restoring or removing the file', () => {
+    const dir = tempDir();
+    const backups = path.join(dir, '.backups');
+    const file = path.join(dir, 'notes.txt');
+
+    writeWithBackup(file, 'first', backups);
+    const { backupPath, existed } = writeWithBackup(file, 'second', backups);
+    assert.equal(existed, true);
+    assert.equal(fs.readFileSync(backupPath, 'utf8'), 'first');
+
+    assert.equal(undoLastWrite(backups).existed, true);
+    assert.equal(fs.readFileSync(file, 'utf8'), 'first');
+    assert.equal(fs.existsSync(backupPath), false);
+    assert.equal(undoLastWrite(backups).existed, false);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(undoLastWrite(backups), null);
+  });
+});
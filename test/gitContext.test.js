@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetDiff, extractCommitMessage, readGitDiff, splitDiff } from '../gitContext.js';
+import { tempDir } from './helpers.js';
+
+// A file diff with the given number of hunks, each with `lines` changed lines
+function fileDiff(file, hunks, lines = 3) {
+  const header = `diff --git a/${file} b/${file}\nindex 0000000..1111111 100644\n--- a/${file}\n+++ b/${file}\n`;
+  const body = Array.from({ length: hunks }, (_, hunk) => {
+    const changes = Array.from({ length: lines }, (_, line) => `-old ${hunk}.${line}\n+new ${hunk}.${line}`).join('\n');
+    return `@@ -${hunk * 10 + 1},${lines} +${hunk * 10 + 1},${lines} @@\n${changes}\n`;
+  }).join('');
+  return header + body;
+}
+
+// One token per character, so budgets are easy to reason about
+const characters = (text) => text.length;
+
+describe('splitDiff', () => {
+  it('splits a diff into one part per file, named by its new path', () => {
+    const diff = fileDiff('a.js', 1) + fileDiff('lib/b.js', 2);
+    const files = splitDiff(diff);
+    assert.deepEqual(files.map((file) => file.path), ['a.js', 'lib/b.js']);
+    assert.equal(files[1].text, fileDiff('lib/b.js', 2).replace(/\n$/, ''));
+    assert.deepEqual(splitDiff(''), []);
+  });
+});
+
+describe('budgetDiff', () => {
+  it('keeps a diff that fits whole', () => {
+    const diff = fileDiff('a.js', 1) + fileDiff('b.js', 1);
+    const result = budgetDiff(diff, 10000);
+    assert.equal(result.text, diff.replace(/\n$/, ''));
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.files.map((file) => file.status), ['full', 'full']);
+    assert.equal(result.tokens, Math.ceil(result.text.length / 4));
+  });
+
+  it('keeps small files whole and cuts a large one at hunk boundaries', () => {
+    const small = fileDiff('small.js', 1);
+    const large = fileDiff('package-lock.json', 20);
+    const budget = small.length * 3;
+    const result = budgetDiff(large + small, budget, characters);
+
+    assert.deepEqual(result.files.map(({ path, status }) => [path, status]), [['package-lock.json', 'truncated'], ['small.js', 'full']]);
+    assert.equal(result.files[0].tokens, large.length - 1);
+    assert.equal(result.truncated, true);
+
+    const [kept] = splitDiff(result.text);
+    assert.ok(kept.text.startsWith(large.split('@@')[0]));
+    const keptHunks = kept.text.match(/^@@ /gm).length;
+    assert.ok(keptHunks > 0 && keptHunks < 20);
+    assert.ok(kept.text.endsWith(`\n... ${20 - keptHunks} more hunks omitted ...`));
+    assert.ok(result.text.endsWith(small.replace(/\n$/, '')));
+    // Each kept hunk is whole
+    assert.ok(kept.text.includes(`+new ${keptHunks - 1}.2\n...`));
+  });
+
+  it('gives the budget left by small files to the larger ones', () => {
+    const tiny = fileDiff('tiny.js', 1, 1);
+    const large = fileDiff('large.js', 10);
+    const result = budgetDiff(tiny + large, tiny.length + large.length / 2, characters);
+    const [, kept] = splitDiff(result.text);
+    // Half the budget would be less than half the file; the tiny file leaves it more
+    assert.ok(kept.text.length > (tiny.length + large.length / 2) / 2);
+  });
+
+  it('omits files whose header does not fit, naming their size', () => {
+    const first = fileDiff('a.js', 3);
+    const second = fileDiff('b.js', 3);
+    const result = budgetDiff(first + second, 40, characters);
+    assert.deepEqual(result.files.map((file) => file.status), ['omitted', 'omitted']);
+    assert.equal(result.text, `diff --git a/a.js b/a.js\n... diff omitted (~${first.length - 1} tokens) ...\ndiff --git a/b.js b/b.js\n... diff omitted (~${second.length - 1} tokens) ...`);
+  });
+
+  it('says when exactly one hunk is left out', () => {
+    const diff = fileDiff('a.js', 2);
+    const result = budgetDiff(diff, diff.length - 5, characters);
+    assert.match(result.text, /\n\.\.\. 1 more hunk omitted \.\.\.$/);
+  });
+});
+
+describe('extractCommitMessage', () => {
+  it('takes the message out of a fence and drops a label', () => {
+    assert.equal(extractCommitMessage('Here it is:\n```text\nFix the parser\n\nHandles tabs.\n```'), 'Fix the parser\n\nHandles tabs.');
+    assert.equal(extractCommitMessage('**Commit message:** Add retries'), 'Add retries');
+  });
+
+  it('puts a blank line between the summary and the body', () => {
+    assert.equal(extractCommitMessage('Add retries\n- on timeouts'), 'Add retries\n\n- on timeouts');
+  });
+});
+
+describe('readGitDiff', () => {
+  it('refuses to diff outside a repository', () => {
+    const dir = tempDir();
+    assert.throws(() => readGitDiff({ cwd: dir }), { message: `${dir} is not in a git repository` });
+  });
+});
@@ -0,0 +1,51 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+// Shared setup for the tests: the fake llama, its fixtures and temporary directories
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+export const FAKE_LLAMA = path.join(testDir, 'fakes', 'fakeLlama.js');
+
+export function fixturePath(name) {
+  return path.join(testDir, 'fixtures', `${name}.json`);
+}
+
+// Model settings that run the fake llama with a fixture in place of the model
+export function fakeModelConfig(fixture, settings = {}) {
+  return {
+    backend: 'spawn',
+    llamaPath: FAKE_LLAMA,
+    modelPath: fixturePath(fixture),
+    gpuLayers: 0,
+    contextSize: 4096,
+    maxTokens: 512,
+    ...settings
+  };
+}
+
+// A directory that is removed when the test process exits
+export function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qaterm-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function logEntries(logFile) {
+  if (!fs.existsSync(logFile)) {
+    return [];
+  }
+  return fs.readFileSync(logFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+// Messages the fake llama received, from its FAKE_LLAMA_LOG file
+export function receivedMessages(logFile) {
+  return logEntries(logFile).filter((entry) => entry.message !== undefined).map((entry) => entry.message);
+}
+
+// How many times the fake llama was started
+export function processStarts(logFile) {
+  return logEntries(logFile).filter((entry) => entry.args !== undefined).length;
+}
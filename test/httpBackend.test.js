@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpBackend from '../backends/httpBackend.js';
+import { ERROR_CODES } from '../backends/errors.js';
+import { startFakeServer } from './fakes/fakeLlamaServer.js';
+import { fixturePath } from './helpers.js';
+
+const request = (content) => ({ systemPrompt: 'You are a test.', messages: [{ role: 'user', content }] });
+
+describe('HttpBackend against a fake llama-server', () => {
+  let server;
+  let backend;
+
+  before(async () => {
+    server = await startFakeServer(fixturePath('server'));
+    backend = new HttpBackend({ serverUrl: server.url, temperature: 0.3, apiKey: 'test-key' });
+  });
+
+  after(async () => {
+    await backend.disconnect();
+    await server.close();
+  });
+
+  it('waits for /health while the model loads', async () => {
+    await backend.connect();
+    const probes = server.requests.filter((entry) => entry.path === '/health');
+    assert.equal(probes.length, 2);
+    assert.equal(backend.connected, true);
+  });
+
+  it('sends the whole conversation with the sampling fields', async () => {
+    const reply = await backend.complete(request('hello'));
+    assert.equal(reply, 'echo: hello');
+
+    const { body } = server.requests.at(-1);
+    assert.deepEqual(body.messages, [
+      { role: 'system', content: 'You are a test.' },
+      { role: 'user', content: 'hello' }
+    ]);
+    assert.equal(body.temperature, 0.3);
+    assert.equal(body.stream, false);
+  });
+
+  it('returns a reply containing ">" and "User:" whole', async () => {
+    const code = 'const gt = (a, b) => a > b;\nUser: not a turn';
+    assert.equal(await backend.complete(request(code)), `echo: ${code}`);
+  });
+
+  it('streams deltas to onToken', async () => {
+    const tokens = [];
+    const reply = await backend.complete(request('stream me'), { onToken: (token) => tokens.push(token) });
+    assert.deepEqual(tokens, ['Hello', ', ', 'world', '\n\n', 'a > b']);
+    assert.equal(reply, 'Hello, world\n\na > b');
+  });
+
+  it('reports the server\'s error message with the status', async () => {
+    await assert.rejects(backend.complete(request('server error')), (error) => {
+      assert.equal(error.code, ERROR_CODES.HTTP);
+      assert.equal(error.status, 500);
+      assert.match(error.message, /500: model crashed/);
+      return true;
+    });
+  });
+
+  it('rejects malformed stream data', async () => {
+    await assert.rejects(backend.complete(request('broken stream'), { onToken: () => {} }), { code: ERROR_CODES.BAD_RESPONSE });
+  });
+
+  it('times out when the server stops answering', async () => {
+    await assert.rejects(backend.complete(request('hang'), { timeout: 200 }), { code: ERROR_CODES.TIMEOUT });
+  });
+
+  it('keeps reading a stream that is slower than the timeout but still sending', async () => {
+    const reply = await backend.complete(request('slow stream'), { timeout: 200, onToken: () => {} });
+    assert.equal(reply, 'One two three four five');
+  });
+
+  it('is cancelled by the caller\'s signal', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(backend.complete(request('hang'), { signal: controller.signal }), { code: ERROR_CODES.CANCELLED });
+  });
+
+  it('counts tokens with /tokenize', async () => {
+    assert.equal(await backend.countTokens('one two three'), 3);
+  });
+});
+
+describe('HttpBackend without a server', () => {
+  it('falls back to estimates when there is no /tokenize', async () => {
+    const server = await startFakeServer({ tokenize: false });
+    const backend = new HttpBackend({ serverUrl: server.url });
+    try {
+      await backend.connect();
+      assert.equal(await backend.countTokens('one two three'), null);
+      assert.equal(backend.tokenizerUnavailable, true);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('reports an unreachable server', async () => {
+    const server = await startFakeServer();
+    await server.close();
+    const backend = new HttpBackend({ serverUrl: server.url });
+    backend.connected = true;
+    await assert.rejects(backend.complete(request('hello')), { code: ERROR_CODES.UNREACHABLE });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+import { createStreamRenderer, extractCodeBlocks, highlightLine, renderMarkdown } from '../markdownRenderer.js';
+
+// Compare text, not colours, whatever the terminal supports
+chalk.level = 0;
+
+// Shows each highlighted token as kind{text}
+const TAGGED = Object.fromEntries(['comment', 'string', 'key', 'number', 'keyword', 'added', 'removed', 'hunk'].map((kind) => [kind, (text) => `${kind}{${text}}`]));
+TAGGED.text = (text) => text;
+
+const tagged = (line, language, state = {}) => highlightLine(line, language, state, TAGGED);
+
+describe('highlightLine', () => {
+  it('marks keywords, strings, numbers, literals and comments', () => {
+    assert.equal(tagged('const n = 0x1f + 2.5; // "not a string"', 'js'), 'keyword{const} n = number{0x1f} + number{2.5}; comment{// "not a string"}');
+    assert.equal(tagged('return null', 'ts'), 'keyword{return} number{null}');
+    assert.equal(tagged('s = "a # b"  # note', 'python'), 's = string{"a # b"}  comment{# note}');
+  });
+
+  it('keeps escaped quotes inside a string', () => {
+    assert.equal(tagged(String.raw`x = 'it\'s'`, 'rb'), String.raw`x = string{'it\'s'}`);
+  });
+
+  it('matches SQL keywords in any case', () => {
+    assert.equal(tagged("SELECT id FROM users -- all", 'sql'), 'keyword{SELECT} id keyword{FROM} users comment{-- all}');
+  });
+
+  it('colours JSON and YAML keys apart from values', () => {
+    assert.equal(tagged('{"name": "qaterm", "ok": true}', 'json'), '{key{"name"}: string{"qaterm"}, key{"ok"}: number{true}}');
+    assert.equal(tagged('"port" : 8080', 'yaml'), 'key{"port"} : number{8080}');
+  });
+
+  it('carries a block comment across lines', () => {
+    const state = {};
+    assert.equal(tagged('let a; /* starts', 'js', state), 'keyword{let} a; comment{/* starts}');
+    assert.equal(tagged('still inside', 'js', state), 'comment{still inside}');
+    assert.equal(tagged('ends */ let b;', 'js', state), 'comment{ends */} keyword{let} b;');
+    assert.equal(state.inBlockComment, false);
+    assert.equal(tagged('/* one line */ x', 'go', {}), 'comment{/* one line */} x');
+  });
+
+  it('colours diff lines by their first character', () => {
+    assert.deepEqual(['@@ -1 +1 @@', '+new', '-old', ' same'].map((line) => tagged(line, 'diff')), ['hunk{@@ -1 +1 @@}', 'added{+new}', 'removed{-old}', ' same']);
+  });
+
+  it('leaves unknown languages alone', () => {
+    assert.equal(tagged('const x = 1;', 'brainfuck'), 'const x = 1;');
+    assert.equal(tagged('const x = 1;', ''), 'const x = 1;');
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('renders headings, bullets, quotes, rules and inline styles', () => {
+    const text = ['# Title', '- item with `code`', '  * nested', '> quoted', '---', 'See [docs](https://example.com) and **bold**'].join('\n');
+    assert.equal(renderMarkdown(text, { columns: 20 }), [
+      'Title',
+      '• item with code',
+      '  • nested',
+      '│ quoted',
+      '─'.repeat(20),
+      'See docs (https://example.com) and bold'
+    ].join('\n'));
+  });
+
+  it('numbers the code blocks of a reply and leaves their contents as they are', () => {
+    const text = ['```js', '# not a heading', '```', '~~~', '- not a bullet', '~~~'].join('\n');
+    assert.equal(renderMarkdown(text), ['```js [1]', '# not a heading', '```', '~~~ [2]', '- not a bullet', '~~~'].join('\n'));
+  });
+
+  it('closes a block only with a fence as long as the opening one, without a language', () => {
+    const text = ['````md', '```js', '```', '````', '# After'].join('\n');
+    assert.equal(renderMarkdown(text), ['````md [1]', '```js', '```', '````', 'After'].join('\n'));
+  });
+
+  it('returns the text unchanged when plain', () => {
+    const text = '# Title\n```js\nx\n```';
+    assert.equal(renderMarkdown(text, { plain: true }), text);
+  });
+});
+
+describe('createStreamRenderer', () => {
+  function stream(chunks, options = {}) {
+    const output = [];
+    const renderer = createStreamRenderer({ write: (text) => output.push(text), ...options });
+    chunks.forEach((chunk) => renderer.write(chunk));
+    renderer.end();
+    return output;
+  }
+
+  it('shows text as it arrives and redraws lines whose formatting changes', () => {
+    assert.deepEqual(stream(['# Ti', 'tle\nplain ', 'text\n- it', 'em']), [
+      '# Ti', 'tle', '\r\x1b[2KTitle\n',
+      'plain ', 'text', '\n',
+      '- it', 'em', '\r\x1b[2K• item'
+    ]);
+  });
+
+  it('does not redraw lines wider than the terminal or when it cannot', () => {
+    assert.deepEqual(stream(['# A long heading\n'], { columns: 10 }), ['# A long heading', '\n']);
+    assert.deepEqual(stream(['# Short\n'], { canRedraw: false }), ['# Short', '\n']);
+  });
+
+  it('writes the text unchanged when plain', () => {
+    assert.deepEqual(stream(['# Ti', 'tle\n'], { plain: true }), ['# Ti', 'tle', '\n']);
+  });
+});
+
+describe('extractCodeBlocks', () => {
+  it('returns blocks in the order they are numbered', () => {
+    const text = ['Intro', '```js', 'let a;', '', 'let b;', '```', 'Then:', '~~~', 'echo hi', '~~~'].join('\n');
+    assert.deepEqual(extractCodeBlocks(text), [
+      { language: 'js', code: 'let a;\n\nlet b;' },
+      { language: '', code: 'echo hi' }
+    ]);
+  });
+
+  it('keeps the code of a block cut off mid-reply', () => {
+    assert.deepEqual(extractCodeBlocks('```py\nprint(1)\n\n'), [{ language: 'py', code: 'print(1)' }]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PhindClient from '../phindClient.js';
+import ModelSupervisor from '../modelSupervisor.js';
+import { ERROR_CODES } from '../backends/errors.js';
+import { fakeModelConfig } from './helpers.js';
+
+let client = null;
+let supervisor = null;
+
+async function supervise(options) {
+  client = new PhindClient(fakeModelConfig('crash'));
+  await client.connect();
+  supervisor = new ModelSupervisor(client, options);
+}
+
+afterEach(async () => {
+  supervisor?.stop();
+  await client?.disconnect();
+  client = null;
+  supervisor = null;
+  mock.restoreAll();
+});
+
+describe('ModelSupervisor with the fake llama', () => {
+  it('restarts a crashed model and keeps answering', async () => {
+    mock.method(console, 'error', () => {});
+    await supervise({ initialDelay: 20, maxDelay: 1000 });
+    const events = [];
+    for (const name of ['exited', 'restarting', 'restarted']) {
+      supervisor.on(name, (event) => events.push([name, event]));
+    }
+    const restarted = new Promise((resolve) => supervisor.once('restarted', resolve));
+
+    await assert.rejects(client.sendMessage('crash please'), { code: ERROR_CODES.PROCESS_EXITED });
+    await restarted;
+    assert.deepEqual(events, [
+      ['exited', { code: 3 }],
+      ['restarting', { attempt: 1, maxAttempts: 5, delay: 20 }],
+      ['restarted', { restarts: 1, manual: false }]
+    ]);
+    assert.equal(supervisor.getHealth().state, 'healthy');
+    assert.equal(await client.sendMessage('still there?'), 'echo: still there?');
+  });
+
+  it('gives up at once when restarts are disabled', async () => {
+    mock.method(console, 'error', () => {});
+    await supervise({ enabled: false });
+    const failed = new Promise((resolve) => supervisor.once('failed', resolve));
+
+    await assert.rejects(client.sendMessage('crash please'), { code: ERROR_CODES.PROCESS_EXITED });
+    const { error } = await failed;
+    assert.match(error.message, /exited with code 3/);
+    assert.equal(supervisor.getHealth().state, 'failed');
+    assert.equal(supervisor.getHealth().lastExit.code, 3);
+  });
+});
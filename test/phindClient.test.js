@@ -0,0 +1,237 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as path from 'path';
+import PhindClient, { SYSTEM_PROMPT } from '../phindClient.js';
+import { ERROR_CODES } from '../backends/errors.js';
+import { fakeModelConfig, processStarts, receivedMessages, tempDir } from './helpers.js';
+
+let client = null;
+
+// Log what the fake llama is started with and receives, for this test
+function useLlamaLog() {
+  const log = path.join(tempDir(), 'llama.log');
+  process.env.FAKE_LLAMA_LOG = log;
+  return log;
+}
+
+async function connect(fixture, settings = {}) {
+  client = new PhindClient(fakeModelConfig(fixture, settings));
+  await client.connect();
+  return client;
+}
+
+afterEach(async () => {
+  await client?.disconnect();
+  client = null;
+  delete process.env.FAKE_LLAMA_LOG;
+  mock.restoreAll();
+});
+
+describe('PhindClient.cleanResponse', () => {
+  const clean = (raw) => new PhindClient(fakeModelConfig('chat')).cleanResponse(raw);
+
+  it('removes colour codes and the input prompt after the reply', () => {
+    assert.equal(clean('\x1b[33mHello there\n\x1b[0m\x1b[32m> \x1b[0m'), 'Hello there');
+    assert.equal(clean('Hello there\n> '), 'Hello there');
+  });
+
+  it('keeps blank lines between paragraphs and in code', () => {
+    const reply = 'Two steps:\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nDone.';
+    assert.equal(clean(`\x1b[33m${reply}\n\x1b[0m\x1b[32m> \x1b[0m`), reply);
+  });
+
+  it('keeps ">" that is part of the reply', () => {
+    const reply = 'Use `(a, b) => a > b`:\n\n> quoted advice\n>\n> more';
+    assert.equal(clean(`${reply}\n> `), reply);
+  });
+
+  it('removes template markers and an echoed system prompt', () => {
+    assert.equal(clean('<|im_start|>system\nBe brief<|im_end|>The answer<|im_end|>'), 'The answer');
+    assert.equal(clean(`${SYSTEM_PROMPT}\n\nThe answer`), 'The answer');
+  });
+
+  it('removes the banner before the reply and stops at the next turn marker', () => {
+    assert.equal(clean('llama_simple_chat: ready> The answer\n\nmore\nUser: next question'), 'The answer\n\nmore');
+  });
+});
+
+describe('PhindClient with the fake llama', () => {
+  it('streams a reply and returns it cleaned', async () => {
+    await connect('streaming');
+    const tokens = [];
+    const reply = await client.sendMessage('write max', { stream: true, onToken: (token) => tokens.push(token) });
+
+    assert.equal(reply, [
+      'Here is a helper:',
+      '',
+      '```js',
+      'const max = (a, b) => (a > b ? a : b);',
+      '',
+      'export default max;',
+      '```',
+      '',
+      '> Note: it returns b when they are equal.',
+      '',
+      'Done.'
+    ].join('\n'));
+    assert.ok(tokens.length > 1);
+  });
+
+  it('accounts for the system prompt, messages and reply', async () => {
+    await connect('chat');
+    const requests = [];
+    client.on('request', (call) => requests.push(call));
+    const reply = await client.sendMessage('hello there');
+
+    const messageTokens = client.estimateTokens('hello there');
+    const replyTokens = client.estimateTokens(reply);
+    assert.equal(reply, 'echo: hello there');
+    assert.deepEqual(client.lastUsage, { promptTokens: messageTokens, completionTokens: replyTokens });
+    assert.deepEqual(client.getContext().map((entry) => entry.role), ['user', 'assistant']);
+    assert.equal(client.usedTokens(), client.estimateTokens(SYSTEM_PROMPT) + messageTokens + replyTokens);
+
+    const usage = client.getContextUsage();
+    assert.equal(usage.max, 4096 - 512);
+    assert.equal(usage.available, usage.max - usage.current);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].status, 'ok');
+    assert.equal(requests[0].completion, reply);
+    assert.equal(requests[0].timeToFirstTokenMs, null);
+  });
+
+  it('refuses a message larger than the context', async () => {
+    await connect('chat', { contextSize: 1024, maxTokens: 256 });
+    await assert.rejects(client.sendMessage('x'.repeat(4000)), /Message too long/);
+    assert.equal(client.getContext().length, 0);
+  });
+
+  it('summarizes older turns when the context fills up, restarting the process once', async () => {
+    const log = useLlamaLog();
+    await connect('chat', { contextSize: 1600, maxTokens: 400 });
+    const compacted = new Promise((resolve) => client.once('compacted', resolve));
+    const kinds = [];
+    client.on('request', (call) => kinds.push(call.kind));
+
+    const words = 'word '.repeat(80);
+    for (let turn = 0; turn < 4; turn++) {
+      await client.sendMessage(`${turn} ${words}`);
+    }
+
+    const result = await compacted;
+    assert.ok(result.summarized >= 2);
+    assert.equal(client.summary.content, '- The user asked about greetings');
+    assert.ok(result.tokensAfter < result.tokensBefore);
+    assert.equal(client.getContext()[0].role, 'user');
+    assert.ok(client.effectiveSystemPrompt().includes('The user asked about greetings'));
+    assert.deepEqual(kinds, ['chat', 'chat', 'chat', 'summary', 'chat']);
+
+    // The process that held the turns summarized them without getting them again
+    const received = receivedMessages(log);
+    assert.equal(processStarts(log), 2);
+    assert.match(received[3], /^You maintain a running summary[\s\S]*your reply to "1 word/);
+    assert.ok(received[4].includes('The user asked about greetings'), 'the summary was not sent to the new process');
+    assert.ok(received[4].endsWith(`3 ${words}\n`));
+  });
+
+  it('starts a new process when the context is cleared, so the model forgets it', async () => {
+    const log = useLlamaLog();
+    await connect('chat');
+    await client.sendMessage('remember 42');
+    client.clearContext();
+    await client.sendMessage('what did I ask you to remember?');
+
+    assert.equal(processStarts(log), 2);
+    assert.ok(!receivedMessages(log).at(-1).includes('remember 42'));
+    assert.deepEqual(client.getContext().map((entry) => entry.content), ['what did I ask you to remember?', 'echo: what did I ask you to remember?']);
+  });
+
+  it('does not restart a process that has not been sent anything', async () => {
+    const log = useLlamaLog();
+    await connect('chat');
+    client.clearContext();
+    await client.sendMessage('hello');
+    assert.equal(processStarts(log), 1);
+  });
+
+  it('restores saved turns that fit, starting with a user turn', () => {
+    client = new PhindClient(fakeModelConfig('chat', { contextSize: 1600, maxTokens: 400 }));
+    const messages = Array.from({ length: 20 }, (_, index) => ({
+      role: index % 2 === 0 ? 'user' : 'assistant',
+      content: `message ${index}`,
+      tokens: 100
+    }));
+    const result = client.restoreContext(messages, { summary: { content: 'earlier', tokens: 5 } });
+
+    const budget = Math.floor(1200 * 0.9) - client.systemPromptTokens - 5;
+    assert.ok(result.tokens <= budget);
+    assert.equal(result.restored + result.dropped, 20);
+    assert.equal(client.getContext()[0].role, 'user');
+    assert.equal(client.getContext().at(-1).content, 'message 19');
+    assert.equal(client.usedTokens(), client.systemPromptTokens + 5 + result.tokens);
+  });
+
+  it('replays restored turns into a new process, once', async () => {
+    const log = useLlamaLog();
+    await connect('chat');
+    await client.sendMessage('remember 42');
+    client.restoreContext([...client.getContext()]);
+    await client.sendMessage('what was it?');
+
+    assert.equal(processStarts(log), 2);
+    const replayed = receivedMessages(log).at(-1);
+    assert.equal(replayed.split('echo: remember 42').length - 1, 1);
+    assert.ok(replayed.endsWith('what was it?\n'));
+  });
+
+  it('sends a new system prompt and the conversation to a new process', async () => {
+    const log = useLlamaLog();
+    await connect('chat');
+    await client.sendMessage('hello');
+    client.setSystemPrompt('You answer like a pirate.');
+    await client.sendMessage('and now?');
+
+    assert.equal(processStarts(log), 2);
+    const replayed = receivedMessages(log).at(-1);
+    assert.match(replayed, /You answer like a pirate\.[\s\S]*hello[\s\S]*and now\?\n$/);
+    assert.ok(!replayed.includes(SYSTEM_PROMPT));
+  });
+
+  it('reports a crash and replays the conversation after reconnecting', async () => {
+    mock.method(console, 'error', () => {});
+    const log = useLlamaLog();
+    await connect('crash');
+    client.restoreContext([
+      { role: 'user', content: 'remember 42' },
+      { role: 'assistant', content: 'noted' }
+    ]);
+    const requests = [];
+    client.on('request', (call) => requests.push(call));
+    const disconnected = new Promise((resolve) => client.once('disconnected', resolve));
+
+    await assert.rejects(client.sendMessage('crash please'), { code: ERROR_CODES.PROCESS_EXITED });
+    assert.equal(await disconnected, 3);
+    assert.equal(client.isConnected, false);
+    assert.equal(requests[0].status, 'error');
+    assert.equal(client.getContext().length, 2, 'the failed turn was added to the context');
+
+    await client.reconnect();
+    assert.equal(await client.sendMessage('still there?'), 'echo: still there?');
+
+    const replayed = receivedMessages(log).at(-1);
+    assert.ok(replayed.includes('remember 42'), 'restored turns were not replayed');
+    assert.ok(replayed.endsWith('still there?\n'));
+  });
+
+  it('times out and can be cancelled', async () => {
+    await connect('hang');
+    await assert.rejects(client.sendMessage('hang please', { timeout: 200 }), { code: ERROR_CODES.TIMEOUT });
+    assert.equal(client.isGenerating(), false);
+
+    await client.disconnect();
+    await connect('slow-reply');
+    const reply = client.sendMessage('long', { stream: true, onToken: () => client.cancel() });
+    await assert.rejects(reply, { code: ERROR_CODES.CANCELLED });
+    assert.equal(await client.sendMessage('next'), 'The next reply');
+  });
+});
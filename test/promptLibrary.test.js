@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  loadPromptLibrary,
+  missingVariables,
+  parseFrontMatter,
+  parsePrompt,
+  parsePromptArguments,
+  promptVariables,
+  renderPrompt
+} from '../promptLibrary.js';
+import { tempDir } from './helpers.js';
+
+const DOCS = `---
+description: "Document a module"
+Type: system
+variables: audience=new contributors, format, note=a=b
+---
+Write docs in {{ format }} for {{audience}}.
+`;
+
+describe('parseFrontMatter', () => {
+  it('reads key: value lines with lowercased keys and unquoted values', () => {
+    const { attributes, body } = parseFrontMatter(DOCS);
+    assert.deepEqual(attributes, { description: 'Document a module', type: 'system', variables: 'audience=new contributors, format, note=a=b' });
+    assert.equal(body, 'Write docs in {{ format }} for {{audience}}.\n');
+  });
+
+  it('leaves content without front-matter as the body', () => {
+    assert.deepEqual(parseFrontMatter('Just text\n---\n'), { attributes: {}, body: 'Just text\n---\n' });
+    assert.deepEqual(parseFrontMatter('---\r\nname: x\r\n---\r\nbody').attributes, { name: 'x' });
+  });
+});
+
+describe('parsePrompt', () => {
+  it('takes the type, description and variable defaults from the front-matter', () => {
+    const prompt = parsePrompt(DOCS, 'docs', '/prompts/docs.md');
+    assert.deepEqual(prompt, {
+      name: 'docs',
+      description: 'Document a module',
+      type: 'system',
+      defaults: { audience: 'new contributors', format: null, note: 'a=b' },
+      body: 'Write docs in {{ format }} for {{audience}}.',
+      path: '/prompts/docs.md'
+    });
+    assert.equal(parsePrompt('---\ntype: other\nname: renamed\n---\nHi', 'file').type, 'prompt');
+    assert.equal(parsePrompt('---\nname: renamed\n---\nHi', 'file').name, 'renamed');
+  });
+
+  it('lists declared and used variables, leaving out files and the selection', () => {
+    const prompt = parsePrompt('---\nvariables: tone\n---\nReview {{selection}} against {{file:STYLE.md}} in a {{tone}} way for {{team}}.', 'review-style');
+    assert.deepEqual(promptVariables(prompt), ['tone', 'team']);
+    assert.deepEqual(missingVariables(prompt, { tone: 'kind' }), ['team']);
+  });
+});
+
+describe('loadPromptLibrary', () => {
+  it('reads markdown prompts, skipping task templates, with the first directory winning', () => {
+    const project = tempDir();
+    const user = tempDir();
+    fs.writeFileSync(path.join(project, 'docs.md'), 'Project docs');
+    fs.writeFileSync(path.join(project, 'review.md'), 'Review template');
+    fs.writeFileSync(path.join(project, 'notes.txt'), 'Not a prompt');
+    fs.writeFileSync(path.join(user, 'docs.md'), 'User docs');
+    fs.writeFileSync(path.join(user, 'persona.md'), '---\ntype: system\n---\nYou are terse.');
+
+    const prompts = loadPromptLibrary([project, user, path.join(user, 'missing')]);
+    assert.deepEqual([...prompts.keys()], ['docs', 'persona']);
+    assert.equal(prompts.get('docs').body, 'Project docs');
+    assert.equal(prompts.get('persona').type, 'system');
+  });
+});
+
+describe('parsePromptArguments', () => {
+  it('splits key=value pairs, with quoted values, from free text', () => {
+    assert.deepEqual(parsePromptArguments(`format=markdown audience="the ops team" tone='dry' cover the retries`), {
+      format: 'markdown',
+      audience: 'the ops team',
+      tone: 'dry',
+      input: 'cover the retries'
+    });
+    assert.deepEqual(parsePromptArguments(''), {});
+  });
+});
+
+describe('renderPrompt', () => {
+  const docs = parsePrompt(DOCS, 'docs');
+
+  it('fills in values over defaults', () => {
+    assert.equal(renderPrompt(docs, { format: 'markdown' }), 'Write docs in markdown for new contributors.');
+    assert.equal(renderPrompt(docs, { format: 'HTML', audience: 'users' }), 'Write docs in HTML for users.');
+  });
+
+  it('adds free text at the end unless the prompt places {{input}}', () => {
+    assert.equal(renderPrompt(docs, { format: 'markdown', input: 'Keep it short.' }), 'Write docs in markdown for new contributors.\n\nKeep it short.');
+    const placed = parsePrompt('Question: {{input}}\nAnswer briefly.', 'ask');
+    assert.equal(renderPrompt(placed, { input: 'why?' }), 'Question: why?\nAnswer briefly.');
+  });
+
+  it('refuses to render with variables or the selection missing', () => {
+    assert.throws(() => renderPrompt(docs, {}), /^Error: docs needs a value for format$/);
+    const review = parsePrompt('Review:\n{{selection}}', 'check');
+    assert.throws(() => renderPrompt(review, {}), /check needs a selection/);
+    assert.equal(renderPrompt(review, {}, { selection: 'const a = 1;' }), 'Review:\nconst a = 1;');
+  });
+
+  it('includes files relative to cwd, failing when none match', () => {
+    const cwd = tempDir();
+    fs.writeFileSync(path.join(cwd, 'STYLE.md'), 'Use tabs.\n');
+    const prompt = parsePrompt('Follow:\n{{file: STYLE.md}}', 'style');
+    assert.equal(renderPrompt(prompt, {}, { cwd }), 'Follow:\nFile: STYLE.md\n```markdown\nUse tabs.\n```');
+
+    assert.throws(() => renderPrompt(parsePrompt('{{file:NOPE.md}}', 'nope'), {}, { cwd }), /File not found: NOPE.md/);
+    assert.throws(() => renderPrompt(parsePrompt('{{file:docs/*.md}}', 'docs'), {}, { cwd }), /docs includes docs\/\*.md, but no readable file matches it/);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { loadHistory, saveHistory } from '../replInput.js';
+import { tempDir } from './helpers.js';
+
+describe('input history', () => {
+  it('round-trips multi-line entries, newest first', () => {
+    const file = path.join(tempDir(), 'history');
+    saveHistory(file, ['newest', 'two\nlines', 'oldest'], 10);
+    assert.deepEqual(loadHistory(file, 10), ['newest', 'two\nlines', 'oldest']);
+    assert.deepEqual(loadHistory(file, 2), ['newest', 'two\nlines']);
+  });
+
+  it('leaves out entries that are not kept and is readable by the owner only', () => {
+    const file = path.join(tempDir(), 'history');
+    fs.writeFileSync(file, '', { mode: 0o644 });
+    saveHistory(file, ['later', 'token sk-secret', 'earlier'], 10, { keep: (entry) => !entry.includes('sk-') });
+
+    assert.deepEqual(loadHistory(file, 10), ['later', 'earlier']);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  });
+});
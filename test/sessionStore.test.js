@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SessionStore from '../sessionStore.js';
+import { tempDir } from './helpers.js';
+
+describe('SessionStore', () => {
+  it('does not take names inherited by plain objects for sessions', () => {
+    const store = new SessionStore(tempDir());
+    store.create('work');
+
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+      assert.equal(store.exists(name), false, name);
+      assert.throws(() => store.get(name), /No session named/);
+    }
+  });
+
+  it('stores sessions with those names like any other', () => {
+    const store = new SessionStore(tempDir());
+    store.create('constructor', {}, [{ role: 'user', content: 'hi' }]);
+    store.create('__proto__');
+
+    assert.equal(store.exists('constructor'), true);
+    assert.equal(store.load('constructor')[0].content, 'hi');
+    assert.deepEqual(store.list().map((meta) => meta.name).sort(), ['__proto__', 'constructor']);
+    store.rename('__proto__', 'renamed');
+    assert.equal(new SessionStore(store.directory).exists('renamed'), true);
+  });
+});
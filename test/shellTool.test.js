@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ShellSession from '../shellTool.js';
+
+describe('ShellSession.checkCommand', () => {
+  const session = new ShellSession({ allow: ['ls *', 'git status', 'npm test'], deny: ['rm -rf *', 'sudo *'] });
+
+  it('allows commands and compound commands whose every part is allowed', () => {
+    assert.equal(session.checkCommand('ls -la').allowed, true);
+    assert.equal(session.checkCommand('git status && npm test | ls -l').allowed, true);
+    assert.equal(session.checkCommand('cd src && ls -la').allowed, true);
+  });
+
+  it('refuses a part that is not on the allowlist', () => {
+    assert.match(session.checkCommand('ls -la; curl example.com').reason, /"curl example.com" is not on the shell allowlist/);
+    assert.equal(session.checkCommand('ls -la & curl example.com').allowed, false);
+    assert.equal(session.checkCommand('ls -la\ncurl example.com').allowed, false);
+  });
+
+  it('refuses substitution, backgrounding and redirection with an allowlist', () => {
+    for (const command of ['ls $(curl example.com)', 'ls `curl example.com`', 'ls <(curl example.com)', 'npm test &', 'ls > ~/.bashrc', 'ls < secrets']) {
+      assert.equal(session.checkCommand(command).allowed, false, command);
+    }
+  });
+
+  it('matches the denylist regardless of spacing and inside substitutions', () => {
+    const open = new ShellSession({ deny: ['rm -rf *', 'sudo *'] });
+    assert.match(open.checkCommand('rm  -rf   /').reason, /denylist/);
+    assert.match(open.checkCommand('rm\t-rf ~').reason, /denylist/);
+    assert.match(open.checkCommand('ls $(rm -rf ~)').reason, /denylist/);
+    assert.match(open.checkCommand('echo `sudo  reboot`').reason, /denylist/);
+    assert.equal(open.checkCommand('ls $(pwd) > files.txt').allowed, true);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import SpawnBackend from '../backends/spawnBackend.js';
+import { ERROR_CODES } from '../backends/errors.js';
+import { fakeModelConfig, receivedMessages, tempDir } from './helpers.js';
+
+const request = (content, systemPrompt = 'You are a test.') => ({ systemPrompt, messages: [{ role: 'user', content }] });
+
+let backend = null;
+
+// A backend running the fake llama with the fixture, connected
+async function connect(fixture, settings = {}) {
+  backend = new SpawnBackend(fakeModelConfig(fixture, settings));
+  await backend.connect();
+  return backend;
+}
+
+afterEach(async () => {
+  await backend?.disconnect();
+  backend = null;
+  mock.restoreAll();
+});
+
+describe('SpawnBackend ready detection', () => {
+  it('is ready once the input prompt appears after the loading banner', async () => {
+    const stderr = mock.method(console, 'error', () => {});
+    const started = Date.now();
+    backend = new SpawnBackend(fakeModelConfig('banner'));
+    const ready = new Promise((resolve) => backend.once('ready', resolve));
+    await backend.connect();
+    await ready;
+
+    assert.ok(Date.now() - started >= 150, 'resolved before the banner finished');
+    const logged = stderr.mock.calls.map((call) => call.arguments.join(' '));
+    assert.ok(logged.some((line) => line.includes('CUDA devices')));
+    assert.ok(!logged.some((line) => /^STDERR: \.+$/.test(line)), 'loading dots are not logged');
+  });
+
+  it('times out and stops the process when no prompt appears', async () => {
+    backend = new SpawnBackend(fakeModelConfig('no-banner', { connectTimeout: 300 }));
+    await assert.rejects(backend.connect(), /Phind connection timeout/);
+    assert.equal(backend.process, null);
+  });
+
+  it('fails when the process exits before it is ready', async () => {
+    mock.method(console, 'error', () => {});
+    backend = new SpawnBackend(fakeModelConfig('exit-on-start'));
+    await assert.rejects(backend.connect(), /exited with code 1 before it was ready/);
+  });
+
+  it('passes the model, context size and sampling flags', async () => {
+    const log = path.join(tempDir(), 'llama.log');
+    process.env.FAKE_LLAMA_LOG = log;
+    try {
+      await connect('chat', { contextSize: 2048, temperature: 0.2 });
+    } finally {
+      delete process.env.FAKE_LLAMA_LOG;
+    }
+    const { args } = JSON.parse(fs.readFileSync(log, 'utf8').split('\n')[0]);
+    assert.deepEqual(args.slice(0, 6), ['-m', backend.config.modelPath, '-ngl', '0', '-c', '2048']);
+    assert.ok(args.includes('--temp') && args.includes('0.2'));
+  });
+});
+
+describe('SpawnBackend completion detection', () => {
+  it('streams chunks and ends the reply at the input prompt, not at ">" in the text', async () => {
+    await connect('streaming');
+    const tokens = [];
+    const raw = await backend.complete(request('write max'), { onToken: (token) => tokens.push(token) });
+
+    assert.ok(tokens.length > 1, 'reply arrived in one piece');
+    assert.match(raw, /\(a, b\) => \(a > b \? a : b\)/);
+    assert.match(raw, /> Note: it returns b/);
+    assert.match(raw, /Done\./);
+    assert.ok(!tokens.join('').includes('\x1b[32m>'), 'the prompt was passed on as a token');
+  });
+
+  it('waits for the prompt at the end of the output, not a ">" or label in a chunk of its own', async () => {
+    await connect('split-output');
+    const tokens = [];
+    const raw = await backend.complete(request('which type?'), { onToken: (token) => tokens.push(token) });
+
+    assert.match(raw, /Use Vec<String> for the names\.\n> A quote[\s\S]*\nUser: is part of the reply\./);
+    assert.ok(tokens.includes('>'), 'the ">" did not arrive on its own');
+    assert.ok(!tokens.join('').includes('\x1b[32m>'), 'the prompt was passed on as a token');
+    assert.match(await backend.complete(request('next')), /^\x1b\[33mThe next reply\n/);
+  });
+
+  it('ends the reply at a template end marker and reads on to the prompt', async () => {
+    await connect('chatml-end');
+    const raw = await backend.complete(request('what is the answer?'));
+    assert.equal(raw, 'The answer is 42.');
+
+    // The prompt after the marker arrives later and is not taken as the next reply
+    const next = await backend.complete(request('and then?'));
+    assert.match(next, /^\x1b\[33mSecond reply\n/);
+  });
+
+  it('cuts the reply at a configured stop sequence', async () => {
+    await connect('streaming', { stop: ['export default'] });
+    const raw = await backend.complete(request('write max'));
+    assert.match(raw, /=> \(a > b \? a : b\);\n\n$/);
+  });
+
+  it('sends the system prompt before the first message only', async () => {
+    const log = path.join(tempDir(), 'llama.log');
+    process.env.FAKE_LLAMA_LOG = log;
+    try {
+      await connect('chat');
+      await backend.complete(request('first'));
+      await backend.complete({ systemPrompt: 'You are a test.', messages: [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'echo: first' }, { role: 'user', content: 'second' }] });
+    } finally {
+      delete process.env.FAKE_LLAMA_LOG;
+    }
+    const [first, second] = receivedMessages(log);
+    assert.match(first, /You are a test\.[\s\S]*first\n$/);
+    assert.equal(second, 'second\n');
+  });
+});
+
+describe('SpawnBackend failures', () => {
+  it('rejects with the exit code when the process crashes mid-reply', async () => {
+    mock.method(console, 'error', () => {});
+    await connect('crash');
+    const disconnected = new Promise((resolve) => backend.once('disconnected', resolve));
+    await assert.rejects(backend.complete(request('crash please')), (error) => {
+      assert.equal(error.code, ERROR_CODES.PROCESS_EXITED);
+      assert.equal(error.exitCode, 3);
+      return true;
+    });
+    assert.equal(await disconnected, 3);
+    await assert.rejects(backend.complete(request('again')), { code: ERROR_CODES.PROCESS_EXITED });
+  });
+
+  it('times out when the model stops answering', async () => {
+    await connect('hang');
+    await assert.rejects(backend.complete(request('hang please'), { timeout: 200 }), { code: ERROR_CODES.TIMEOUT });
+  });
+
+  it('keeps waiting while a reply is still streaming', async () => {
+    await connect('hang');
+    const reply = await backend.complete(request('slow stream'), { timeout: 300 });
+    assert.match(reply, /One two three four five/);
+  });
+
+  it('drains a cancelled reply so its tail does not leak into the next one', async () => {
+    await connect('slow-reply');
+    const controller = new AbortController();
+    const reply = backend.complete(request('long'), { signal: controller.signal, onToken: () => controller.abort() });
+    await assert.rejects(reply, { code: ERROR_CODES.CANCELLED });
+
+    const next = await backend.complete(request('next'));
+    assert.match(next, /The next reply/);
+    assert.ok(!next.includes('cancelled'));
+  });
+
+  it('starts a new process on restart', async () => {
+    await connect('chat');
+    const first = backend.process.pid;
+    await backend.restart();
+    assert.notEqual(backend.process.pid, first);
+    assert.match(await backend.complete(request('hello')), /echo: hello/);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { createMessage, readTranscript, writeTranscript } from '../transcript.js';
+import SessionStore from '../sessionStore.js';
+import { tempDir } from './helpers.js';
+
+describe('stored transcripts', () => {
+  it('are written readable by the owner only, replacing a more open file', () => {
+    const file = path.join(tempDir(), 'chat.jsonl');
+    fs.writeFileSync(file, '', { mode: 0o644 });
+    writeTranscript(file, [createMessage('user', 'hello')]);
+
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.equal(readTranscript(file)[0].content, 'hello');
+  });
+
+  it('keep the session index and last-used file private too', () => {
+    const dir = tempDir();
+    const store = new SessionStore(dir);
+    store.create('work', {}, [createMessage('user', 'hello')]);
+    store.markUsed('work');
+
+    for (const name of fs.readdirSync(dir)) {
+      assert.equal(fs.statSync(path.join(dir, name)).mode & 0o777, 0o600, name);
+    }
+  });
+});
@@ -0,0 +1,156 @@
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { decryptText, encryptText, isEncrypted } from './encryption.js';
+
+// Conversation transcripts: one JSON message per line (JSONL), written atomically.
+// Markdown is only produced as an export, and read when importing an old current.md.
+// With a passphrase the whole file is encrypted (see encryption.js).
+
+// Mode for files holding conversations or typed input: readable by the owner only
+export const PRIVATE_FILE_MODE = 0o600;
+
+// Write via a temp file and rename so a crash never leaves a half-written file.
+// The new file gets options.mode, whatever the mode of the file it replaces.
+export function writeFileAtomic(filePath, content, { mode } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content, { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// A transcript message; params records the model settings that produced a reply
+export function createMessage(role, content, { tokens, params } = {}) {
+  const message = {
+    id: randomUUID(),
+    role,
+    content,
+    timestamp: new Date().toISOString(),
+    tokens: tokens ?? Math.ceil(content.length / 4)
+  };
+  if (params) {
+    message.params = params;
+  }
+  return message;
+}
+
+// Fill in fields missing from messages created before transcripts were structured
+function normalizeMessage(message) {
+  return {
+    ...message,
+    id: message.id || randomUUID(),
+    timestamp: message.timestamp || new Date().toISOString(),
+    tokens: message.tokens ?? Math.ceil(message.content.length / 4)
+  };
+}
+
+function encryptedError(filePath) {
+  return Object.assign(new Error(`${path.basename(filePath)} is encrypted; set QATERM_PASSPHRASE or turn on sessions.encrypt to open it`), { code: 'ENCRYPTED' });
+}
+
+// Whether the file at filePath holds an encrypted transcript, judged by its first bytes
+export function isEncryptedFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(16);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    return isEncrypted(head.subarray(0, bytes).toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function readTranscript(filePath, { passphrase = null } = {}) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  let content = fs.readFileSync(filePath, 'utf8');
+  if (isEncrypted(content)) {
+    if (!passphrase) {
+      throw encryptedError(filePath);
+    }
+    content = decryptText(content.trim(), passphrase);
+  }
+
+  const messages = [];
+  const lines = content.split('\n');
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) {
+      continue;
+    }
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      throw new Error(`${path.basename(filePath)} line ${index + 1} is not valid JSON`);
+    }
+    if (typeof message.role !== 'string' || typeof message.content !== 'string') {
+      throw new Error(`${path.basename(filePath)} line ${index + 1} is not a message`);
+    }
+    messages.push(normalizeMessage(message));
+  }
+  return messages;
+}
+
+// Without a passphrase an encrypted transcript is never overwritten with plain text
+export function writeTranscript(filePath, messages, { passphrase = null } = {}) {
+  if (!passphrase && isEncryptedFile(filePath)) {
+    throw encryptedError(filePath);
+  }
+  const lines = messages.map((message) => JSON.stringify(normalizeMessage(message))).join('\n');
+  const content = lines ? `${lines}\n` : '';
+  writeFileAtomic(filePath, passphrase ? `${encryptText(content, passphrase)}\n` : content, { mode: PRIVATE_FILE_MODE });
+}
+
+// Markdown view of a transcript, for reading or sharing
+export function formatMarkdown(messages, startedAt = new Date().toISOString()) {
+  let content = `# Current Conversation\n\nStarted: ${startedAt}\n\n`;
+
+  for (const message of messages) {
+    content += `## ${message.role === 'user' ? 'User' : 'Assistant'}\n${message.content}\n\n`;
+  }
+
+  return content;
+}
+
+// Parse the old markdown format (current.md). Blank lines inside messages are kept,
+// but a "## User" or "## Assistant" line inside a message still starts a new one.
+export function parseMarkdown(content) {
+  const messages = [];
+  const lines = content.split('\n');
+  let currentLines = [];
+  let currentRole = '';
+
+  const flush = () => {
+    const text = currentLines.join('\n').trim();
+    if (text && currentRole) {
+      messages.push(createMessage(currentRole, text));
+    }
+  };
+
+  for (const line of lines) {
+    if (line.startsWith('## User')) {
+      flush();
+      currentRole = 'user';
+      currentLines = [];
+    } else if (line.startsWith('## Assistant')) {
+      flush();
+      currentRole = 'assistant';
+      currentLines = [];
+    } else if (currentRole) {
+      currentLines.push(line);
+    }
+  }
+  flush();
+
+  return messages;
+}